@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import { apiV2, apiV3, getDocument, setHighlightTags } from "./readwise.js";
+import { readJson, writeJson } from "./store.js";
+import { tagList } from "./format.js";
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+//
+// Journal of every mutating tool call: when, which client/grant, the
+// arguments, and the state of each touched item right before the change.
+// Kept per Readwise account in DATA_DIR/<name>.json, newest AUDIT_MAX_ENTRIES
+// entries only.
+//
+// Each entry lists its changes as { type, id, action, before }:
+//   type   "document" | "highlight"
+//   action "create"   - undo deletes the item
+//          "update"   - undo writes back the fields in `before`
+//          "delete"   - undo re-creates the item from the `before` snapshot
+//
+// Undo is best effort and never undoes itself: re-created items get new IDs,
+// and a re-saved document only gets its content back if Reader still has it
+// or the snapshot kept its HTML. What it writes is applied to `mirror` too.
+
+const MAX_ENTRIES = Number(process.env.AUDIT_MAX_ENTRIES || 1000);
+// Long arguments (document bodies) are cut down in the journal
+const MAX_ARG_LENGTH = 2000;
+
+// Reader fields update_document can change, i.e. what undo can write back
+const DOCUMENT_FIELDS = [
+  "title", "author", "summary", "published_date", "image_url",
+  "location", "category", "tags", "notes", "seen", "reading_progress",
+];
+const HIGHLIGHT_FIELDS = ["text", "note", "location", "color", "tags"];
+// What /save/ accepts when a deleted document is saved again
+const SAVE_FIELDS = ["title", "author", "summary", "published_date", "image_url", "location", "category", "tags", "notes"];
+
+// Undo failures, by code (notFound, alreadyUndone, ...); the tool
+// translates them
+export class AuditError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function trimArgs(value) {
+  if (typeof value === "string") {
+    return value.length > MAX_ARG_LENGTH ? `${value.slice(0, MAX_ARG_LENGTH)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) return value.map(trimArgs);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, trimArgs(v)]));
+  }
+  return value;
+}
+
+function documentState(doc, fields = DOCUMENT_FIELDS) {
+  const state = {};
+  for (const field of fields) {
+    if (field === "tags") state.tags = tagList(doc.tags);
+    else if (field === "notes") state.notes = doc.notes ?? doc.document_note ?? "";
+    else if (field === "seen") state.seen = doc.seen ?? Boolean(doc.first_opened_at);
+    else if (DOCUMENT_FIELDS.includes(field)) state[field] = doc[field] ?? null;
+  }
+  return state;
+}
+
+export function createAuditLog({ name = "audit", api = { apiV2, apiV3, getDocument, setHighlightTags }, mirror = null } = {}) {
+  let entries = null;
+  const loaded = readJson(name, []).then(saved => {
+    entries = saved;
+  });
+
+  function persist() {
+    if (entries.length > MAX_ENTRIES) entries = entries.slice(-MAX_ENTRIES);
+    return writeJson(name, entries).catch(error => {
+      console.error("Audit log write failed:", error.message);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Before-state snapshots
+  // ---------------------------------------------------------------------------
+
+  // fields: the ones about to change; a delete keeps everything plus the HTML
+  async function snapshotDocument(id, fields, { signal } = {}) {
+    const doc = await api.getDocument(id, { withHtml: !fields, signal });
+    if (!doc) return null;
+    const state = documentState(doc, fields);
+    if (!fields) {
+      state.url = doc.source_url || doc.url;
+      if (doc.html_content || doc.html) state.html = doc.html_content || doc.html;
+    }
+    return state;
+  }
+
+  // Same convention: fields about to change, or nothing for a delete
+  async function snapshotHighlight(id, fields) {
+    const h = await api.apiV2(`/highlights/${id}/`);
+    const state = Object.fromEntries((fields || HIGHLIGHT_FIELDS)
+      .filter(field => HIGHLIGHT_FIELDS.includes(field))
+      .map(field => [field, field === "tags" ? tagList(h.tags) : h[field] ?? null]));
+    if (fields) return state;
+    // Enough to re-create it under the same book
+    const book = h.book_id ? await api.apiV2(`/books/${h.book_id}/`).catch(() => null) : null;
+    return {
+      ...state,
+      location_type: h.location_type ?? null,
+      highlighted_at: h.highlighted_at ?? null,
+      book_id: h.book_id ?? null,
+      title: book?.title ?? null,
+      author: book?.author ?? null,
+      category: book?.category ?? null,
+      source_url: book?.source_url ?? null,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Journal
+  // ---------------------------------------------------------------------------
+
+  // Never lets a journaling problem fail the tool call that was journaled
+  async function record({ tool, actor, args, changes }) {
+    try {
+      await loaded;
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        tool,
+        client_id: actor?.clientId ?? null,
+        grant_id: actor?.grantId ?? null,
+        args: trimArgs(args),
+        changes: changes.filter(Boolean),
+        undone_at: null,
+      };
+      entries.push(entry);
+      await persist();
+      return entry;
+    } catch (error) {
+      console.error("Audit record failed:", error.message);
+      return null;
+    }
+  }
+
+  // Newest first
+  async function list({ tool, itemId, since, limit = 50, includeSnapshots = false } = {}) {
+    await loaded;
+    const matches = entries.filter(entry =>
+      (!tool || entry.tool === tool) &&
+      (!itemId || entry.changes.some(change => String(change.id) === String(itemId))) &&
+      (!since || entry.timestamp >= since)
+    );
+    return matches.slice(-limit).reverse().map(entry => includeSnapshots ? entry : {
+      ...entry,
+      changes: entry.changes.map(({ before, ...change }) => change),
+    });
+  }
+
+  async function get(id) {
+    await loaded;
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Undo
+  // ---------------------------------------------------------------------------
+
+  // Undoing a delete re-creates the item under a new ID; older entries that
+  // touched it follow the recorded `recreated_as` links
+  function currentId(type, id) {
+    let current = id;
+    for (let hops = 0; hops < entries.length; hops++) {
+      const next = entries
+        .flatMap(entry => entry.changes)
+        .find(change => change.type === type && change.action === "delete" && String(change.id) === String(current) && change.recreated_as);
+      if (!next) break;
+      current = next.recreated_as;
+    }
+    return current;
+  }
+
+  async function revert(entry, change) {
+    const { type, action, before } = change;
+    const id = currentId(type, change.id);
+    if (action !== "create" && !before) throw new AuditError("noBefore");
+
+    if (action === "create") {
+      if (type === "document") {
+        // /save/ hands back the existing document for a URL already in Reader;
+        // the minute of slack covers the call itself and clock skew
+        const doc = await api.getDocument(id);
+        if (doc?.created_at && Date.parse(doc.created_at) < Date.parse(entry.timestamp) - 60 * 1000) {
+          throw new AuditError("existed");
+        }
+        await api.apiV3(`/delete/${id}/`, { method: "DELETE" });
+        mirror?.removeDocument(id);
+      } else {
+        await api.apiV2(`/highlights/${id}/`, { method: "DELETE" });
+        mirror?.removeHighlight(id);
+      }
+      return { restored: "deleted" };
+    }
+
+    if (action === "update") {
+      if (type === "document") {
+        await api.apiV3(`/update/${id}/`, { method: "PATCH", body: before });
+        mirror?.patchDocument(id, before);
+      } else {
+        // Highlight tags are separate resources, not PATCHable fields
+        const { tags, ...fields } = before;
+        if (Object.keys(fields).length) {
+          await api.apiV2(`/highlights/${id}/`, { method: "PATCH", body: fields });
+          mirror?.patchHighlight(id, fields);
+        }
+        if (tags) mirror?.patchHighlight(id, { tags: await api.setHighlightTags(id, { tags }) });
+      }
+      return { restored: Object.keys(before) };
+    }
+
+    if (action === "delete" && type === "document") {
+      const body = { url: before.url, html: before.html };
+      for (const field of SAVE_FIELDS) {
+        if (before[field] !== null && before[field] !== undefined) body[field] = before[field];
+      }
+      const saved = await api.apiV3("/save/", { method: "POST", body });
+      const doc = mirror && await api.getDocument(saved.id);
+      if (doc) mirror.putDocument(doc);
+      return { restored: "re-saved", new_id: saved.id };
+    }
+
+    if (action === "delete" && type === "highlight") {
+      const { tags, book_id, ...highlight } = before;
+      const body = Object.fromEntries(Object.entries(highlight).filter(([, v]) => v !== null));
+      const created = await api.apiV2("/highlights/", { method: "POST", body: { highlights: [body] } });
+      const newId = created?.[0]?.modified_highlights?.[0] ?? null;
+      if (newId) {
+        for (const tag of tags || []) {
+          await api.apiV2(`/highlights/${newId}/tags/`, { method: "POST", body: { name: tag } });
+        }
+        if (mirror) mirror.putHighlight(await api.apiV2(`/highlights/${newId}/`));
+      }
+      return { restored: "re-created", new_id: newId };
+    }
+
+    throw new AuditError("unsupported", { action, type });
+  }
+
+  // Reverts the changes of one entry, newest change first. describe(error)
+  // words a failed change for the results.
+  async function undo(id, { actor, describe = error => error.message } = {}) {
+    const entry = await get(id);
+    if (!entry) throw new AuditError("notFound", { id });
+    if (entry.tool === "undo_operation") throw new AuditError("undoOfUndo");
+    if (entry.undone_at) throw new AuditError("alreadyUndone", { id, undoneAt: entry.undone_at });
+
+    const results = [];
+    for (const change of [...entry.changes].reverse()) {
+      try {
+        const result = await revert(entry, change);
+        if (result.new_id) change.recreated_as = result.new_id;
+        results.push({ type: change.type, id: change.id, action: change.action, success: true, ...result });
+      } catch (error) {
+        results.push({ type: change.type, id: change.id, action: change.action, success: false, error: describe(error) });
+      }
+    }
+
+    if (results.some(r => r.success)) {
+      entry.undone_at = new Date().toISOString();
+      await persist();
+    }
+    await record({ tool: "undo_operation", actor, args: { operation_id: id }, changes: [] });
+    return { operation_id: id, tool: entry.tool, results };
+  }
+
+  return { snapshotDocument, snapshotHighlight, record, list, get, undo };
+}
@@ -0,0 +1,75 @@
+// =============================================================================
+// BULK EXECUTION
+// =============================================================================
+//
+// Runs the per-item work of the bulk tools with a few requests in flight at
+// once. The rate limiter (scheduler.js) still decides when each request may
+// go out, so concurrency only overlaps the waiting; it never exceeds
+// Readwise's limits.
+
+export const BULK_CONCURRENCY = Math.max(1, Number(process.env.BULK_CONCURRENCY || 4));
+
+// Outcomes come back in input order as { ok, value } / { ok, error }, or null
+// for items never started because the signal aborted first. onSettled(done,
+// total) is called after each item; its errors are ignored.
+export async function runConcurrently(items, worker, { concurrency = BULK_CONCURRENCY, signal, onSettled } = {}) {
+  const outcomes = new Array(items.length).fill(null);
+  let next = 0;
+  let settled = 0;
+
+  async function lane() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      try {
+        outcomes[index] = { ok: true, value: await worker(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { ok: false, error };
+      }
+      settled++;
+      if (onSettled) {
+        try {
+          await onSettled(settled, items.length);
+        } catch {
+          // Progress is best effort
+        }
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return outcomes;
+}
+
+// notifications/progress for the calling request, if the client asked for
+// progress by sending a progressToken
+export function progressReporter(extra, label) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return null;
+  return (done, total) => extra.sendNotification({
+    method: "notifications/progress",
+    params: { progressToken, progress: done, total, message: `${label}: ${done}/${total}` },
+  });
+}
+
+// In stateless HTTP mode notifications/cancelled arrives on its own POST and
+// a fresh server instance, so running bulk calls register here under
+// "<grant>:<request id>" for the /mcp route to find them
+const inflight = new Map();
+
+export function trackCancellation(key, signal) {
+  const controller = new AbortController();
+  inflight.set(key, controller);
+  return {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    done: () => {
+      if (inflight.get(key) === controller) inflight.delete(key);
+    },
+  };
+}
+
+export function cancelRequest(key, reason = "Cancelled by the client") {
+  const controller = inflight.get(key);
+  if (!controller) return false;
+  controller.abort(new DOMException(reason, "AbortError"));
+  return true;
+}
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./store.js";
+import { SCOPES, parseScope, formatScope } from "./scopes.js";
+
+// =============================================================================
+// OAUTH CLIENT REGISTRY
+// =============================================================================
+//
+// Clients registered through RFC 7591 dynamic client registration, persisted
+// in DATA_DIR/clients.json. Secrets are only kept as SHA-256 hashes. The
+// client from OAUTH_CLIENT_ID/OAUTH_CLIENT_SECRET, if configured, is added
+// on top as a static entry and never written to disk.
+
+export const AUTH_METHODS = ["none", "client_secret_post", "client_secret_basic"];
+export const GRANT_TYPES = ["authorization_code", "refresh_token"];
+
+export function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a ?? ""));
+  const bufB = Buffer.from(String(b ?? ""));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export class RegistrationError extends Error {
+  constructor(code, description) {
+    super(description);
+    this.code = code;
+  }
+}
+
+// https anywhere, http only on loopback, custom schemes for native apps
+function isAcceptableRedirect(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return false;
+  }
+  if (url.hash) return false;
+  if (["javascript:", "data:", "file:", "vbscript:"].includes(url.protocol)) return false;
+  if (url.protocol === "http:") return ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+  return true;
+}
+
+export function createClientRegistry({ staticClient } = {}) {
+  let clients = null;
+
+  const loaded = readJson("clients", {}).then(saved => {
+    clients = saved;
+  });
+
+  function persist() {
+    return writeJson("clients", clients);
+  }
+
+  function staticEntry(id) {
+    if (!staticClient || id !== staticClient.clientId) return null;
+    return {
+      client_id: staticClient.clientId,
+      client_secret_hash: hashSecret(staticClient.clientSecret),
+      client_name: "Static client (OAUTH_CLIENT_ID)",
+      redirect_uris: staticClient.redirectUris || [],
+      token_endpoint_auth_method: "client_secret_post",
+      grant_types: GRANT_TYPES,
+      static: true,
+    };
+  }
+
+  async function get(id) {
+    await loaded;
+    if (!id) return null;
+    return staticEntry(id) || clients[id] || null;
+  }
+
+  async function register(metadata = {}) {
+    await loaded;
+    const {
+      redirect_uris,
+      client_name,
+      client_uri,
+      logo_uri,
+      scope,
+      token_endpoint_auth_method = "client_secret_basic",
+      grant_types = GRANT_TYPES,
+      response_types = ["code"],
+    } = metadata;
+
+    if (!Array.isArray(redirect_uris) || redirect_uris.length === 0) {
+      throw new RegistrationError("invalid_redirect_uri", "redirect_uris must be a non-empty array");
+    }
+    const badUri = redirect_uris.find(uri => typeof uri !== "string" || !isAcceptableRedirect(uri));
+    if (badUri !== undefined) {
+      throw new RegistrationError("invalid_redirect_uri", `Redirect URI not allowed: ${badUri}`);
+    }
+    if (!AUTH_METHODS.includes(token_endpoint_auth_method)) {
+      throw new RegistrationError("invalid_client_metadata", `Unsupported token_endpoint_auth_method: ${token_endpoint_auth_method}`);
+    }
+    if (!Array.isArray(grant_types) || !grant_types.includes("authorization_code") || grant_types.some(g => !GRANT_TYPES.includes(g))) {
+      throw new RegistrationError("invalid_client_metadata", `grant_types must include authorization_code and only use: ${GRANT_TYPES.join(", ")}`);
+    }
+    if (!Array.isArray(response_types) || response_types.some(r => r !== "code")) {
+      throw new RegistrationError("invalid_client_metadata", "Only the 'code' response type is supported");
+    }
+    const scopes = scope ? parseScope(scope) : null;
+    if (scope && (!scopes || scopes.length === 0)) {
+      throw new RegistrationError("invalid_client_metadata", `scope may only use: ${formatScope(SCOPES)}`);
+    }
+
+    const clientId = crypto.randomUUID();
+    const clientSecret = token_endpoint_auth_method === "none" ? null : crypto.randomBytes(32).toString("base64url");
+    const client = {
+      client_id: clientId,
+      client_secret_hash: clientSecret ? hashSecret(clientSecret) : null,
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+      client_name: client_name || null,
+      client_uri: client_uri || null,
+      logo_uri: logo_uri || null,
+      scope: scopes ? formatScope(scopes) : null,
+      redirect_uris,
+      token_endpoint_auth_method,
+      grant_types,
+      response_types,
+    };
+    clients[clientId] = client;
+    await persist();
+    return { client, clientSecret };
+  }
+
+  // The client for this /token request, or null if authentication fails
+  async function authenticate(id, secret) {
+    const client = await get(id);
+    if (!client) return null;
+    if (client.token_endpoint_auth_method === "none") return secret ? null : client;
+    if (!secret || !safeEqual(hashSecret(secret), client.client_secret_hash)) return null;
+    return client;
+  }
+
+  function allowsRedirect(client, uri) {
+    if (client.redirect_uris.length > 0) return client.redirect_uris.includes(uri);
+    // Static client without OAUTH_REDIRECT_URIS keeps the permissive default
+    return isAcceptableRedirect(uri);
+  }
+
+  // Public view of a registration, as returned by the /register endpoint
+  function describe(client, clientSecret) {
+    const { client_secret_hash, static: isStatic, ...rest } = client;
+    const body = Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== null));
+    if (clientSecret) {
+      body.client_secret = clientSecret;
+      body.client_secret_expires_at = 0;
+    }
+    return body;
+  }
+
+  return { get, register, authenticate, allowsRedirect, describe };
+}
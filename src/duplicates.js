@@ -0,0 +1,288 @@
+import { tagList } from "./format.js";
+
+// =============================================================================
+// DUPLICATE DETECTION
+// =============================================================================
+//
+// Documents are the same when their URLs are once tracking parameters, AMP
+// variants and cosmetic differences are normalized away; when their titles
+// match and so does the author, site or length; or when their content
+// fingerprints (a SimHash of Reader's summary) are within a few bits.
+//
+// Highlights are compared within a book only: the same text once case,
+// spacing and punctuation are ignored (exact), or word trigrams that mostly
+// overlap (near, Jaccard similarity >= threshold).
+//
+// Each group comes with the item to keep: for documents the one with the
+// most highlights, then the furthest read, then the oldest; for highlights
+// the one with a note, then the longest, then the oldest.
+
+export const DEFAULT_SIMILARITY = 0.85;
+
+// Dropped from URLs: campaign and click tracking, never part of the content
+const TRACKING_PARAMS = new Set([
+  "fbclid", "gclid", "dclid", "msclkid", "yclid", "twclid", "igshid", "mc_cid", "mc_eid",
+  "_hsenc", "_hsmi", "mkt_tok", "ref", "ref_src", "ref_url", "spm", "cmpid", "s_cid",
+  "amp", "outputtype", "share", "sharesource", "smid", "sr_share",
+]);
+const TRACKING_PREFIXES = ["utm_", "pk_", "mtm_", "hsa_", "oly_"];
+
+// Summaries shorter than this say too little to fingerprint
+const MIN_FINGERPRINT_LENGTH = 80;
+// Fingerprints this many bits apart (of 64) or fewer are the same content
+const FINGERPRINT_DISTANCE = 3;
+
+// -----------------------------------------------------------------------------
+// Normalization
+// -----------------------------------------------------------------------------
+
+// Google AMP cache URLs wrap the original:
+//   https://www.google.com/amp/s/example.com/a  https://example-com.cdn.ampproject.org/c/s/example.com/a
+function unwrapAmpCache(url) {
+  const match = /^https?:\/\/(?:www\.google\.[a-z.]+\/amp\/|[^/]+\.cdn\.ampproject\.org\/[a-z]\/)(s\/)?(.+)$/i.exec(url);
+  return match ? `${match[1] ? "https" : "http"}://${match[2]}` : url;
+}
+
+// "https://www.Example.com/a/amp/?utm_source=x&b=2#top" -> "example.com/a?b=2"
+export function normalizeUrl(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(unwrapAmpCache(String(url).trim()));
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^(www\d*|m|mobile|amp)\./, "");
+  const path = parsed.pathname
+    .replace(/\/amp(\.html)?\/?$/i, "/")
+    .replace(/\.amp(\.html?)$/i, "$1")
+    .replace(/\/(index\.html?)?$/i, "")
+    .replace(/\/{2,}/g, "/");
+  const params = [...parsed.searchParams]
+    .filter(([key]) => {
+      const name = key.toLowerCase();
+      return !TRACKING_PARAMS.has(name) && !TRACKING_PREFIXES.some(prefix => name.startsWith(prefix));
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : "";
+  return `${host}${path}${query}`;
+}
+
+// Case, accents, punctuation and spacing ignored
+export function normalizeText(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function shingles(text, size = 3) {
+  const words = normalizeText(text).split(" ").filter(Boolean);
+  if (words.length <= size) return new Set([words.join(" ")]);
+  const set = new Set();
+  for (let i = 0; i + size <= words.length; i++) set.add(words.slice(i, i + size).join(" "));
+  return set;
+}
+
+export function similarity(a, b) {
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared || 1);
+}
+
+// 64-bit SimHash over word trigrams, as a BigInt
+function hash64(text) {
+  let hash = 0xcbf29ce484222325n;
+  for (const char of text) hash = ((hash ^ BigInt(char.codePointAt(0))) * 0x100000001b3n) & 0xffffffffffffffffn;
+  return hash;
+}
+
+export function fingerprint(text) {
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles(text)) {
+    const hash = hash64(shingle);
+    for (let bit = 0; bit < 64; bit++) weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+  }
+  return weights.reduce((value, weight, bit) => (weight > 0 ? value | (1n << BigInt(bit)) : value), 0n);
+}
+
+function distance(a, b) {
+  let bits = a ^ b;
+  let count = 0;
+  while (bits) {
+    bits &= bits - 1n;
+    count++;
+  }
+  return count;
+}
+
+// -----------------------------------------------------------------------------
+// Grouping
+// -----------------------------------------------------------------------------
+
+// Union-find over item indexes; each link remembers why
+function linker(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const reasons = new Map();
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  return {
+    link(a, b, reason) {
+      const [ra, rb] = [root(a), root(b)];
+      if (ra !== rb) parent[rb] = ra;
+      const r = root(a);
+      const merged = new Set([...(reasons.get(ra) || []), ...(reasons.get(rb) || []), reason]);
+      reasons.delete(ra);
+      reasons.delete(rb);
+      reasons.set(r, merged);
+    },
+    // [{ members: [index], reasons: [..] }] for every set of two or more
+    groups() {
+      const sets = new Map();
+      for (let i = 0; i < size; i++) {
+        const r = root(i);
+        if (!sets.has(r)) sets.set(r, []);
+        sets.get(r).push(i);
+      }
+      return [...sets.entries()]
+        .filter(([, members]) => members.length > 1)
+        .map(([r, members]) => ({ members, reasons: [...(reasons.get(r) || [])] }));
+    },
+  };
+}
+
+// Indexes sharing a key get linked
+function linkByKey(links, items, key, reason) {
+  const first = new Map();
+  items.forEach((item, i) => {
+    const value = key(item);
+    if (!value) return;
+    if (first.has(value)) links.link(first.get(value), i, reason);
+    else first.set(value, i);
+  });
+}
+
+function sameLength(a, b) {
+  if (!a.word_count || !b.word_count) return false;
+  return Math.abs(a.word_count - b.word_count) <= Math.max(a.word_count, b.word_count) * 0.1;
+}
+
+// docs: Reader documents (no highlight/note children). highlightCounts: Map
+// of document ID -> highlights on it.
+// -> [{ keep, merge: [ids], reasons: ["url"|"title"|"content"], documents }]
+export function findDuplicateDocuments(docs, { highlightCounts = new Map() } = {}) {
+  const links = linker(docs.length);
+  linkByKey(links, docs, d => normalizeUrl(d.source_url || d.url), "url");
+
+  // Same title, and something else pointing the same way
+  const byTitle = new Map();
+  docs.forEach((d, i) => {
+    const title = normalizeText(d.title);
+    if (!title) return;
+    for (const j of byTitle.get(title) || []) {
+      const other = docs[j];
+      const author = normalizeText(d.author);
+      const site = normalizeText(d.site_name);
+      if ((author && author === normalizeText(other.author)) || (site && site === normalizeText(other.site_name)) || sameLength(d, other)) {
+        links.link(j, i, "title");
+      }
+    }
+    byTitle.set(title, [...(byTitle.get(title) || []), i]);
+  });
+
+  // Fingerprints split into four 16-bit bands: two within
+  // FINGERPRINT_DISTANCE bits share at least one band exactly
+  const prints = docs.map(d => (String(d.summary ?? "").length >= MIN_FINGERPRINT_LENGTH ? fingerprint(d.summary) : null));
+  const bands = new Map();
+  prints.forEach((print, i) => {
+    if (print === null) return;
+    for (let band = 0; band < 4; band++) {
+      const key = `${band}:${(print >> BigInt(band * 16)) & 0xffffn}`;
+      for (const j of bands.get(key) || []) {
+        if (distance(print, prints[j]) <= FINGERPRINT_DISTANCE) links.link(j, i, "content");
+      }
+      bands.set(key, [...(bands.get(key) || []), i]);
+    }
+  });
+
+  const rank = d => [highlightCounts.get(d.id) || 0, d.reading_progress || 0, -(Date.parse(d.saved_at || d.created_at || "") || 0)];
+  return links.groups().map(({ members, reasons }) => {
+    const group = members.map(i => docs[i]).sort((a, b) => {
+      const [ra, rb] = [rank(a), rank(b)];
+      return rb[0] - ra[0] || rb[1] - ra[1] || rb[2] - ra[2];
+    });
+    return {
+      keep: group[0].id,
+      merge: group.slice(1).map(d => d.id),
+      reasons,
+      documents: group.map(d => ({
+        id: d.id,
+        title: d.title,
+        url: d.source_url || d.url,
+        location: d.location,
+        tags: tagList(d.tags),
+        highlights: highlightCounts.get(d.id) || 0,
+        reading_progress: d.reading_progress ?? null,
+        saved_at: d.saved_at || d.created_at || null,
+      })),
+    };
+  });
+}
+
+// highlights: from one book or many; only compared within the same book.
+// -> [{ book_id, keep, merge: [ids], reasons: ["exact"|"near"], similarity, highlights }]
+export function findDuplicateHighlights(highlights, { threshold = DEFAULT_SIMILARITY } = {}) {
+  const books = new Map();
+  for (const h of highlights) {
+    if (!books.has(h.book_id)) books.set(h.book_id, []);
+    books.get(h.book_id).push(h);
+  }
+
+  const groups = [];
+  for (const [bookId, items] of books) {
+    const links = linker(items.length);
+    linkByKey(links, items, h => normalizeText(h.text), "exact");
+
+    // Sorted by length: a pair can only reach the threshold if the shorter
+    // one has at least threshold times the trigrams of the longer
+    const sets = items.map(h => shingles(h.text));
+    const order = items.map((_, i) => i).sort((a, b) => sets[a].size - sets[b].size);
+    const lowest = new Map();
+    for (let x = 0; x < order.length; x++) {
+      for (let y = x + 1; y < order.length; y++) {
+        const [a, b] = [order[x], order[y]];
+        if (sets[a].size < threshold * sets[b].size) break;
+        const score = similarity(sets[a], sets[b]);
+        if (score >= threshold && normalizeText(items[a].text) !== normalizeText(items[b].text)) {
+          links.link(a, b, "near");
+          for (const i of [a, b]) lowest.set(i, Math.min(lowest.get(i) ?? 1, score));
+        }
+      }
+    }
+
+    const rank = h => [h.note ? 1 : 0, String(h.text ?? "").length, -(Date.parse(h.highlighted_at || h.created_at || "") || 0)];
+    for (const { members, reasons } of links.groups()) {
+      const group = members.map(i => items[i]).sort((a, b) => {
+        const [ra, rb] = [rank(a), rank(b)];
+        return rb[0] - ra[0] || rb[1] - ra[1] || rb[2] - ra[2];
+      });
+      const scores = members.map(i => lowest.get(i)).filter(score => score !== undefined);
+      groups.push({
+        book_id: bookId,
+        keep: group[0].id,
+        merge: group.slice(1).map(h => h.id),
+        reasons,
+        similarity: scores.length ? Math.round(Math.min(...scores) * 100) / 100 : 1,
+        highlights: group.map(h => ({
+          id: h.id,
+          text: h.text,
+          note: h.note || null,
+          tags: tagList(h.tags),
+          highlighted_at: h.highlighted_at ?? null,
+        })),
+      });
+    }
+  }
+  return groups;
+}
@@ -0,0 +1,386 @@
+import crypto from "crypto";
+import initSqlJs from "sql.js";
+import { fetchAllV2 } from "./readwise.js";
+import { escapeHtml } from "./markdown.js";
+import { tagList } from "./format.js";
+import { zipFiles } from "./zip.js";
+
+// =============================================================================
+// FLASHCARDS
+// =============================================================================
+//
+// Turns a selection of highlights into flashcards for Anki or Mochi, one note
+// per highlight:
+//   basic  front: the highlight; back: your note and the source
+//   cloze  the highlight with its marked spans hidden; back: note and source.
+//          Marks: {{span}}, ==span== or Anki's own {{c1::span}}
+// Each book becomes a deck under a parent deck: "Readwise::<title>".
+//
+// Note IDs come from the highlight ID (Anki guid "readwise-<id>", Mochi card
+// "rw<id>"), so importing a newer export updates the cards instead of adding
+// duplicates.
+//
+// Outputs:
+//   tsv    Anki text import (file headers pick the deck, note type and guid;
+//          uses the stock "Basic" and "Cloze" note types)
+//   apkg   Anki package with its own "Readwise Basic"/"Readwise Cloze" types
+//   mochi  Mochi's .mochi archive (data.json)
+
+export const CARD_TYPES = ["auto", "basic", "cloze"];
+export const CARD_OUTPUTS = ["tsv", "apkg", "mochi"];
+
+// Book IDs per /export/?ids= request, to keep URLs short
+const IDS_PER_REQUEST = 100;
+
+// {{c2::span}} / {{c2::span::hint}}, {{span}}, ==span==
+const CLOZE = /\{\{c(\d+)::([\s\S]+?)(?:::([\s\S]*?))?\}\}|\{\{([\s\S]+?)\}\}|==([\s\S]+?)==/g;
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+// Highlights matching every filter, grouped by book the way /export/ returns
+// them. Dates go through /highlights/, which can filter on them; /export/ then
+// loads just the books involved.
+export async function selectHighlights({ api = { fetchAllV2 }, bookIds, tags, colors, startDate, endDate, signal }) {
+  const exportPages = async params => (await api.fetchAllV2("/export/", { params, maxItems: Infinity, signal })).results;
+
+  let ids = bookIds;
+  let dated = null;
+  if (startDate || endDate) {
+    const params = { page_size: 1000 };
+    if (startDate) params.highlighted_at__gt = startDate;
+    if (endDate) params.highlighted_at__lt = endDate;
+    const { results } = await api.fetchAllV2("/highlights/", { params, maxItems: Infinity, signal });
+    dated = new Set(results.map(h => h.id));
+    const datedBooks = [...new Set(results.map(h => h.book_id))];
+    ids = bookIds ? bookIds.filter(id => datedBooks.includes(id)) : datedBooks;
+  }
+
+  let books;
+  if (ids) {
+    books = [];
+    for (let i = 0; i < ids.length; i += IDS_PER_REQUEST) {
+      books.push(...await exportPages({ ids: ids.slice(i, i + IDS_PER_REQUEST).join(",") }));
+    }
+  } else {
+    books = await exportPages({});
+  }
+
+  const wantedTags = tags?.length ? tags.map(tag => tag.toLowerCase()) : null;
+  const wantedColors = colors?.length ? colors.map(color => color.toLowerCase()) : null;
+  return books
+    .map(book => ({
+      ...book,
+      highlights: (book.highlights || []).filter(h => !h.is_deleted && !h.is_discard
+        && (!dated || dated.has(h.id))
+        && (!wantedColors || wantedColors.includes(String(h.color).toLowerCase()))
+        && (!wantedTags || [...tagList(h.tags), ...tagList(book.book_tags)].some(tag => wantedTags.includes(tag.toLowerCase())))),
+    }))
+    .filter(book => book.highlights.length > 0);
+}
+
+// ---------------------------------------------------------------------------
+// Cards
+// ---------------------------------------------------------------------------
+
+// "a {{b}} c" -> [{ text: "a " }, { text: "b", cloze: 1 }, { text: " c" }]
+function parseCloze(text) {
+  const parts = [];
+  let last = 0;
+  let counter = 0;
+  for (const match of text.matchAll(CLOZE)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    if (match[1]) {
+      counter = Math.max(counter, Number(match[1]));
+      parts.push({ text: match[2], cloze: Number(match[1]), hint: match[3] });
+    } else {
+      parts.push({ text: match[4] ?? match[5], cloze: ++counter });
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+// "::" separates Anki subdecks
+function deckName(value) {
+  return String(value ?? "").replace(/::/g, ":").trim() || "Readwise";
+}
+
+// -> { cards, skipped }: skipped counts highlights a cloze-only run had no
+// marks for
+export function buildCards(books, { cardType = "auto", deck = "Readwise" } = {}) {
+  const cards = [];
+  let skipped = 0;
+  for (const book of books) {
+    const title = book.readable_title || book.title;
+    for (const h of book.highlights) {
+      const parts = parseCloze(String(h.text ?? "").trim());
+      const clozes = [...new Set(parts.filter(p => p.cloze).map(p => p.cloze))].sort((a, b) => a - b);
+      const type = cardType === "auto" ? (clozes.length ? "cloze" : "basic") : cardType;
+      if (type === "cloze" && clozes.length === 0) {
+        skipped++;
+        continue;
+      }
+      cards.push({
+        id: h.id,
+        type,
+        parts,
+        clozes,
+        note: (h.note || "").trim(),
+        source: { title, author: book.author, url: h.readwise_url || `https://readwise.io/open/${h.id}` },
+        deck: [deckName(deck), deckName(title)],
+        tags: [...new Set([...tagList(h.tags), ...tagList(book.book_tags)])],
+        updated: h.updated_at || h.highlighted_at,
+      });
+    }
+  }
+  return { cards, skipped };
+}
+
+function plainText(parts) {
+  return parts.map(p => p.text).join("");
+}
+
+// ---------------------------------------------------------------------------
+// Anki (tsv, apkg)
+// ---------------------------------------------------------------------------
+
+function html(text) {
+  return escapeHtml(text).replace(/\r?\n/g, "<br>");
+}
+
+function ankiGuid(card) {
+  return `readwise-${card.id}`;
+}
+
+// [front, back] or [text, back extra]
+function ankiFields(card) {
+  const { title, author, url } = card.source;
+  const source = `<small>— <i>${escapeHtml(title)}</i>${author ? `, ${escapeHtml(author)}` : ""} · <a href="${escapeHtml(url)}">Readwise</a></small>`;
+  const back = card.note ? `${html(card.note)}<br><br>${source}` : source;
+  if (card.type === "basic") return [html(plainText(card.parts)), back];
+  const text = card.parts
+    .map(p => (p.cloze ? `{{c${p.cloze}::${html(p.text)}${p.hint ? `::${html(p.hint)}` : ""}}}` : html(p.text)))
+    .join("");
+  return [text, back];
+}
+
+// Anki tags are space-separated
+function ankiTags(card) {
+  return ["readwise", ...card.tags.map(tag => tag.trim().replace(/\s+/g, "_"))];
+}
+
+function tsvCell(value) {
+  return /["\t\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function toTsv(cards) {
+  const header = ["#separator:tab", "#html:true", "#guid column:1", "#notetype column:2", "#deck column:3", "#tags column:6"];
+  const rows = cards.map(card => [
+    ankiGuid(card),
+    card.type === "cloze" ? "Cloze" : "Basic",
+    card.deck.join("::"),
+    ...ankiFields(card),
+    ankiTags(card).join(" "),
+  ].map(tsvCell).join("\t"));
+  return [...header, ...rows].join("\n") + "\n";
+}
+
+// Numeric Anki IDs (notes, cards, decks, note types) derived from a key, so
+// they are the same on every export. 48 bits: well within SQLite and JS.
+function stableId(key) {
+  return parseInt(crypto.createHash("sha1").update(key).digest("hex").slice(0, 12), 16);
+}
+
+// Anki's collection schema (version 11), as every .apkg importer reads it
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const NOTE_TYPES = {
+  basic: {
+    id: stableId("notetype:readwise-basic"),
+    name: "Readwise Basic",
+    type: 0,
+    fields: ["Front", "Back"],
+    qfmt: "{{Front}}",
+    afmt: "{{FrontSide}}<hr id=answer>{{Back}}",
+  },
+  cloze: {
+    id: stableId("notetype:readwise-cloze"),
+    name: "Readwise Cloze",
+    type: 1,
+    fields: ["Text", "Back Extra"],
+    qfmt: "{{cloze:Text}}",
+    afmt: "{{cloze:Text}}<br>{{Back Extra}}",
+  },
+};
+
+const NOTE_CSS = ".card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }\n.cloze { font-weight: bold; color: blue; }";
+
+function noteTypeEntry({ id, name, type, fields, qfmt, afmt }, deckId, mod) {
+  return {
+    id, name, type, mod,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tags: [],
+    vers: [],
+    flds: fields.map((field, ord) => ({ name: field, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+    tmpls: [{ name: "Card 1", ord: 0, qfmt, afmt, did: null, bqfmt: "", bafmt: "" }],
+    css: NOTE_CSS,
+    latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    req: [[0, "any", [0]]],
+  };
+}
+
+function deckEntry(id, name, mod) {
+  return {
+    id, name, mod,
+    usn: -1,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+const DECK_CONFIG = {
+  1: {
+    id: 1, name: "Default", mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: true },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  },
+};
+
+const COLLECTION_CONFIG = {
+  activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+  dueCounts: true, curModel: null, nextPos: 1, sortType: "noteFld", sortBackwards: false, addToCur: true,
+};
+
+let sqlJs = null;
+
+function sqlite() {
+  sqlJs ??= initSqlJs();
+  return sqlJs;
+}
+
+function checksum(field) {
+  return parseInt(crypto.createHash("sha1").update(field).digest("hex").slice(0, 8), 16);
+}
+
+function stripHtml(value) {
+  return value.replace(/<[^>]*>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+}
+
+// -> Buffer with the .apkg (a zip of collection.anki2 and an empty media map)
+export async function toApkg(cards) {
+  const SQL = await sqlite();
+  const db = new SQL.Database();
+  try {
+    db.run(ANKI_SCHEMA);
+    const now = Date.now();
+    const mod = Math.floor(now / 1000);
+
+    const decks = { 1: deckEntry(1, "Default", mod) };
+    const deckIds = new Map();
+    for (const card of cards) {
+      card.deck.forEach((_, i) => {
+        const name = card.deck.slice(0, i + 1).join("::");
+        if (deckIds.has(name)) return;
+        const id = stableId(`deck:${name}`);
+        deckIds.set(name, id);
+        decks[id] = deckEntry(id, name, mod);
+      });
+    }
+    const firstDeck = deckIds.values().next().value ?? 1;
+    const noteTypes = Object.fromEntries(Object.values(NOTE_TYPES).map(type => [type.id, noteTypeEntry(type, firstDeck, mod)]));
+    const dayStart = Math.floor(new Date(now).setHours(0, 0, 0, 0) / 1000);
+
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      dayStart, now, now,
+      JSON.stringify(COLLECTION_CONFIG), JSON.stringify(noteTypes), JSON.stringify(decks), JSON.stringify(DECK_CONFIG),
+    ]);
+
+    const insertNote = db.prepare("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')");
+    const insertCard = db.prepare("INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')");
+    try {
+      cards.forEach((card, position) => {
+        const fields = ankiFields(card);
+        const noteId = stableId(`note:${card.id}`);
+        // Anki only overwrites an existing note with a newer one
+        const noteMod = Math.floor(Date.parse(card.updated) / 1000) || mod;
+        const sortField = stripHtml(fields[0]);
+        insertNote.run([
+          noteId, ankiGuid(card), NOTE_TYPES[card.type].id, noteMod,
+          ` ${ankiTags(card).join(" ")} `, fields.join("\x1f"), sortField, checksum(sortField),
+        ]);
+        const ords = card.type === "cloze" ? card.clozes.map(n => n - 1) : [0];
+        for (const ord of ords) {
+          insertCard.run([stableId(`card:${card.id}:${ord}`), noteId, deckIds.get(card.deck.join("::")), ord, noteMod, position + 1]);
+        }
+      });
+    } finally {
+      insertNote.free();
+      insertCard.free();
+    }
+
+    return zipFiles([
+      { path: "collection.anki2", content: Buffer.from(db.export()) },
+      { path: "media", content: "{}" },
+    ]);
+  } finally {
+    db.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Mochi
+// ---------------------------------------------------------------------------
+
+function mochiContent(card) {
+  const { title, author, url } = card.source;
+  const back = [card.note, `*— ${title}${author ? `, ${author}` : ""}* · [Readwise](${url})`].filter(Boolean).join("\n\n");
+  if (card.type === "basic") return `${plainText(card.parts)}\n\n---\n\n${back}`;
+  const text = card.parts.map(p => (p.cloze ? `{{${p.cloze}::${p.text}}}` : p.text)).join("");
+  return `${text}\n\n${back}`;
+}
+
+// -> Buffer with the .mochi archive
+export function toMochi(cards) {
+  const decks = new Map();
+  const deckId = name => `rwd${stableId(`deck:${name}`).toString(36)}`;
+  for (const card of cards) {
+    card.deck.forEach((name, i) => {
+      const path = card.deck.slice(0, i + 1).join("::");
+      if (decks.has(path)) return;
+      const deck = { id: deckId(path), name, cards: [] };
+      if (i > 0) deck["parent-id"] = deckId(card.deck.slice(0, i).join("::"));
+      decks.set(path, deck);
+    });
+    const deck = decks.get(card.deck.join("::"));
+    deck.cards.push({ id: `rw${card.id}`, content: mochiContent(card), "deck-id": deck.id, "manual-tags": card.tags });
+  }
+  return zipFiles([{ path: "data.json", content: JSON.stringify({ version: 2, decks: [...decks.values()] }) }]);
+}
@@ -0,0 +1,126 @@
+import { translator } from "./i18n.js";
+
+// =============================================================================
+// MARKDOWN FORMATTERS
+// =============================================================================
+//
+// Readable renderings of Readwise objects, shared by tools and resources.
+// Labels come from the message catalog; pass the caller's translator.
+
+export function tagList(tags) {
+  if (!tags) return [];
+  // Reader returns tags as an object keyed by name, v2 as [{ name }]
+  const list = Array.isArray(tags) ? tags : Object.keys(tags);
+  return list.map(t => (typeof t === "string" ? t : t.name)).filter(Boolean);
+}
+
+export function formatProgress(progress, fallback) {
+  return progress ? Math.round(progress * 100) + "%" : fallback;
+}
+
+export function formatHighlight(h, i, t = translator()) {
+  let output = `### ${t("format.highlight", { n: i + 1 })}\n`;
+  output += `> ${h.text}\n\n`;
+  if (h.note) {
+    output += `**${t("format.yourNote")}:** ${h.note}\n\n`;
+  }
+  const tags = tagList(h.tags);
+  if (tags.length > 0) {
+    output += `**${t("label.tags")}:** ${tags.join(", ")}\n\n`;
+  }
+  return output;
+}
+
+export function formatDocumentForAnalysis(doc, highlights, t = translator()) {
+  let output = `# ${doc.title}\n`;
+  output += `**${t("label.author")}:** ${doc.author || t("value.unknown")}\n`;
+  output += `**${t("label.url")}:** ${doc.url || doc.source_url || t("value.na")}\n`;
+  output += `**${t("label.readingProgress")}:** ${formatProgress(doc.reading_progress, t("value.unknown"))}\n\n`;
+
+  if (doc.summary) {
+    output += `## ${t("label.summary")}\n${doc.summary}\n\n`;
+  }
+
+  if (doc.notes || doc.document_note) {
+    output += `## ${t("format.documentNotes")}\n${doc.notes || doc.document_note}\n\n`;
+  }
+
+  output += `## ${t("format.yourHighlights", { count: highlights.length })}\n\n`;
+  highlights.forEach((h, i) => {
+    output += formatHighlight(h, i, t);
+  });
+
+  return output;
+}
+
+export function formatBook(book, t = translator()) {
+  let output = `# ${book.title}\n`;
+  output += `**${t("label.author")}:** ${book.author || t("value.unknown")}\n`;
+  output += `**${t("label.category")}:** ${book.category || t("value.na")}\n`;
+  output += `**${t("label.source")}:** ${book.source_url || book.source || t("value.na")}\n`;
+  output += `**${t("label.highlights")}:** ${book.num_highlights ?? t("value.na")}\n`;
+  const tags = tagList(book.tags);
+  if (tags.length > 0) output += `**${t("label.tags")}:** ${tags.join(", ")}\n`;
+  output += "\n";
+  if (book.document_note) {
+    output += `## ${t("label.notes")}\n${book.document_note}\n\n`;
+  }
+  return output;
+}
+
+export function formatBookHighlights(book, highlights, t = translator()) {
+  let output = `# ${book.title}\n`;
+  output += `**${t("label.author")}:** ${book.author || t("value.unknown")}\n\n`;
+  output += `## ${t("format.highlights", { count: highlights.length })}\n\n`;
+  highlights.forEach((h, i) => {
+    output += formatHighlight(h, i, t);
+  });
+  return output;
+}
+
+// -----------------------------------------------------------------------------
+// HTML -> Markdown (for reading Reader document content)
+// -----------------------------------------------------------------------------
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+export function htmlToMarkdown(html) {
+  if (!html) return "";
+  let md = html;
+  md = md.replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, "");
+  md = md.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (m, code) =>
+    `\n\n\`\`\`\n${decodeEntities(code.replace(/<[^>]+>/g, "")).trim()}\n\`\`\`\n\n`);
+  md = md.replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, text) =>
+    `\n\n${"#".repeat(Number(level))} ${text.replace(/<[^>]+>/g, "").trim()}\n\n`);
+  md = md.replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (m, text) =>
+    `\n\n${text.replace(/<[^>]+>/g, "").trim().split("\n").map(l => `> ${l.trim()}`).join("\n")}\n\n`);
+  md = md.replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (m, text) => `\n- ${text.replace(/<[^>]+>/g, "").trim()}`);
+  md = md.replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "[$2]($1)");
+  md = md.replace(/<(strong|b)[^>]*>([\s\S]*?)<\/\1>/gi, "**$2**");
+  md = md.replace(/<(em|i)[^>]*>([\s\S]*?)<\/\1>/gi, "*$2*");
+  md = md.replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, "`$1`");
+  md = md.replace(/<br\s*\/?>/gi, "\n");
+  md = md.replace(/<hr[^>]*>/gi, "\n\n---\n\n");
+  md = md.replace(/<\/(p|div|section|article|ul|ol|figure)>/gi, "\n\n");
+  md = md.replace(/<[^>]+>/g, "");
+  md = decodeEntities(md);
+  return md.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+export function formatDocumentContent(doc, t = translator()) {
+  let output = `# ${doc.title}\n`;
+  output += `**${t("label.author")}:** ${doc.author || t("value.unknown")}\n`;
+  output += `**${t("label.url")}:** ${doc.source_url || doc.url || t("value.na")}\n\n`;
+  output += htmlToMarkdown(doc.html_content || doc.html) || doc.summary || t("format.noContent");
+  return output;
+}
@@ -0,0 +1,512 @@
+// =============================================================================
+// LOCALES AND MESSAGES
+// =============================================================================
+//
+// Every reply text, date and generated title goes through translator(locale).
+// The server-wide language is LOCALE (default en); tools that write prose
+// take a per-call `locale` argument on top. Keys missing from a locale fall
+// back to English. Tool and argument descriptions stay in English: they are
+// read by the model, not shown as replies.
+//
+// Messages use {name} parameters. Template texts (template.*) also contain
+// {{placeholders}}, which are filled later by templates.js.
+
+// Language -> the Intl locale used for dates
+const INTL_LOCALES = { en: "en-US", de: "de-DE", es: "es-ES" };
+
+export const LOCALES = Object.keys(INTL_LOCALES);
+
+// "de", "de-AT", "DE_de" -> "de"; null if unsupported
+export function resolveLocale(value) {
+  const language = String(value ?? "").toLowerCase().split(/[-_]/)[0];
+  return INTL_LOCALES[language] ? language : null;
+}
+
+export const DEFAULT_LOCALE = resolveLocale(process.env.LOCALE) || "en";
+
+const MESSAGES = {
+  en: {
+    "value.unknown": "Unknown",
+    "value.na": "N/A",
+    "label.author": "Author",
+    "label.url": "URL",
+    "label.category": "Category",
+    "label.source": "Source",
+    "label.tags": "Tags",
+    "label.note": "Note",
+    "label.notes": "Notes",
+    "label.summary": "Summary",
+    "label.progress": "Progress",
+    "label.status": "Status",
+    "label.readingProgress": "Reading Progress",
+    "label.highlights": "Highlights",
+
+    "format.highlight": "Highlight {n}",
+    "format.yourNote": "Your note",
+    "format.documentNotes": "Document Notes",
+    "format.yourHighlights": "Your Highlights & Annotations ({count})",
+    "format.highlights": "Highlights ({count})",
+    "format.noContent": "(no content available)",
+    "resource.book": "{author} · {count} highlights",
+    "output.showing": "Showing {shown} of {count}",
+    "output.nextPage": "Next page: {next}",
+
+    "error.notFound": "Not found",
+    "error.mirrorSyncing": "Your library is still being imported into the local mirror. Try again in a minute (sync_status shows progress).",
+    "error.documentNotFound": "Document {id} not found",
+    "error.originalNotFound": "Original document {id} not found",
+    "error.seriesNotFound": "No documents found matching \"{query}\"",
+    "error.seriesClosed": "Series \"{title}\" ({id}) is closed: reopen it with close_series (reopen: true) or fork it with fork_series",
+    "error.seriesOrder": "document_ids must list every document of the series exactly once: {ids}",
+    "error.notInSeries": "Document {id} is not part of series \"{title}\"",
+    "error.sectionNotFound": "No section \"{section}\" in the notes of document {id}",
+    "error.sectionAmbiguous": "Several sections are titled \"{section}\": use its ID from list_note_sections",
+    "error.sectionChanged": "Section {section} changed since you read it: read it again (read_note_section) and redo the edit",
+    "error.sectionOrder": "section_ids must list every section exactly once: {ids}",
+    "error.notesBusy": "The notes of document {id} kept changing while this edit was applied, so nothing was written: try again",
+    "error.videoNotFound": "Video not found",
+    "error.notAVideo": "Video not found or document is not a video",
+    "error.tagsWriteScope": "Changing tags requires the \"write\" scope; this token has: {scopes}",
+    "error.tagsRequired": "Tags array required for this action.",
+    "error.invalidAction": "Invalid action",
+    "error.auditEntryNotFound": "Audit entry {id} not found",
+    "error.planUnknown": "Unknown or expired preview_token; run the dry run again",
+    "error.planTool": "This preview_token belongs to {planTool}, not {tool}",
+    "error.planOwner": "This preview_token was issued to a different grant",
+    "error.undoOfUndo": "An undo cannot itself be undone",
+    "error.alreadyUndone": "Audit entry {id} was already undone at {undoneAt}",
+    "error.undoNoBefore": "No before-state was captured for this change",
+    "error.undoExisted": "Document existed before this operation; not deleting it",
+    "error.undoUnsupported": "Cannot undo {action} of {type}",
+    "error.unknownSeries": "Unknown series {id}",
+    "error.undoNeedsDelete": "Undoing {tool} deletes the items it created, which requires the \"delete\" scope",
+    "error.unknownTemplate": "Unknown template \"{name}\". Available: {available}",
+    "error.unknownTheme": "Unknown theme \"{name}\". Available: {available}",
+    "error.reservedVariable": "Custom variables cannot use the built-in placeholder names: {names}",
+    "error.bookNotFound": "Book {id} not found",
+    "error.templateName": "Template names use lowercase letters, digits, '-' and '_' (max 64)",
+    "error.templateBody": "The body must contain {{content}}",
+    "error.styleElement": "Cannot style \"{element}\". Stylable: {available}",
+    "error.styleUnsafe": "Style for \"{element}\" may not contain quotes or angle brackets",
+    "error.noUserTemplate": "No template of yours is named \"{name}\"",
+    "error.highlightNotFound": "Highlight {id} not found",
+
+    "delete.notConfirmed": "Deletion not confirmed. Set confirm=true to delete.",
+    "highlight.deleted": "Highlight {id} deleted successfully.",
+    "document.deleted": "Document {id} deleted successfully.",
+    "document.saved": "✅ Saved \"{title}\" to Readwise Reader",
+    "template.deleted": "✅ Template \"{name}\" deleted",
+
+    "bulk.nothingToPreview": "Nothing to preview: pass the items to check.",
+    "bulk.noItems": "Pass the items to process, or a preview_token from a dry run.",
+    "bulk.next": "Call {tool} with confirm=true and this preview_token to apply exactly these {count} step(s).",
+    "bulk.confirm": "Set confirm=true.",
+    "bulk.confirmOrPreview": "Set confirm=true (or preview with dry_run=true).",
+    "bulk.cancelledInFlight": "Cancelled while in flight; it may or may not have been applied",
+    "bulk.save": "Bulk save not confirmed. This will save {count} documents.",
+    "bulk.save.previewed": "Bulk save not confirmed. This will save the previewed documents.",
+    "bulk.update": "Bulk update not confirmed. This will update {count} documents.",
+    "bulk.update.previewed": "Bulk update not confirmed. This will update the previewed documents.",
+    "bulk.delete": "Bulk delete not confirmed. This will DELETE {count} documents permanently.",
+    "bulk.delete.previewed": "Bulk delete not confirmed. This will DELETE the previewed documents permanently.",
+    "bulk.tags": "Bulk tag not confirmed. This will add tags to {count} documents.",
+    "bulk.tags.previewed": "Bulk tag not confirmed. This will add tags to the previewed documents.",
+    "bulk.merge": "Merge not confirmed. This will merge {count} duplicate groups, archiving or DELETING the duplicates.",
+    "bulk.merge.previewed": "Merge not confirmed. This will merge the previewed duplicate groups.",
+    "bulk.retag": "Tag change not confirmed. This will change {count} tag(s) on every document and highlight that has them.",
+    "bulk.retag.previewed": "Tag change not confirmed. This will change the tags of the previewed documents and highlights.",
+    "duplicates.mergedFrom": "Merged from: {title}",
+    "duplicates.next": "To merge, pass groups (keep + merge, edit as needed) to merge_duplicates, ideally with dry_run=true first.",
+
+    "undo.notConfirmed": "Undo not confirmed. This will revert {count} change(s) made by {tool} at {timestamp}. Set confirm=true.",
+
+    "vault.open": "Open",
+    "vault.page": "Page {n}",
+    "vault.location": "Location {n}",
+    "vault.unchanged": "No highlights changed since the last export ({since}).",
+    "vault.stale": "Delete the files listed under moved (from) and removed from your vault.",
+    "flashcards.none": "No highlights match these filters ({skipped} without cloze marks skipped).",
+
+    "prompt.analyze.description": "Analyze \"{title}\"",
+    "prompt.analyze.text": "Analyze my highlights and notes on \"{title}\" above. Identify the main themes, the connections between highlights, open questions my notes raise, and ideas worth exploring further.\n\nWhen we're done, save the analysis:\n- Use expand_document with document_id \"{id}\" to append it to the document notes (give the section a short title), or\n- Use create_continuation with original_document_id \"{id}\" to turn it into a new document I can highlight in turn.",
+    "prompt.series.description": "Continue the series \"{series}\"",
+    "prompt.series.text": "Let's continue my reading series \"{series}\".\n\n1. Call get_document_series with series_identifier \"{series}\" to load every part with its highlights and notes.\n2. Look at what I highlighted and annotated in the latest part: that is where my attention went.\n3. Write the next part, building on those highlights and answering the questions my notes raise.\n4. Save it with create_continuation, using the ID of the latest document in the series as original_document_id.",
+    "prompt.review.description": "Daily review: {count} highlights",
+    "prompt.review.item": "{n}. [highlight {id}] \"{text}\" ({source})",
+    "prompt.review.empty": "(no highlights in today's review)",
+    "prompt.review.text": "Here is my Readwise daily review ({count} highlights):\n\n{list}\n\nGo through them with me one at a time. For each, briefly explain why it matters, connect it to the others where you can, and ask me a question that helps me remember it. If I react with a thought worth keeping, save it with create_note on that highlight ID.",
+    "prompt.synthesis.description": "Synthesize \"{title}\"",
+    "prompt.synthesis.text": "Write a synthesis of \"{title}\" based only on what I highlighted above: the core arguments, how the ideas build on each other, what I seemed most interested in, and what I might have missed. End with three questions to reflect on.\n\nIf I want to keep it, save it with save_text_content.",
+
+    "expand.unnamed": "(unnamed)",
+    "expand.done": "✅ Document expanded successfully!\n\n**Document:** {title}\n**Section added:** {section}\n**Total notes length:** {length} chars\n\nThe document notes now contain your accumulated analysis.",
+
+    "series.title": "{base} - Analysis #{part}",
+    "series.created": "✅ **Continuation created!**\n\n**New document:** {title}\n**Part:** {part} of the series\n**Series:** {series}\n**Tags:** {tags}\n\nThe user can now:\n1. Open this document in Readwise Reader\n2. Highlight and annotate your analysis\n3. Ask you to continue with the next part\n\n**New document ID:** {id}",
+    "series.idPending": "see Reader",
+    "series.heading": "Series: {name}",
+    "series.total": "Total documents",
+    "series.document": "Document {n}: {title}",
+    "series.documentNotes": "Document notes",
+    "series.highlightsFailed": "Could not load highlights",
+    "series.next": "**To continue the series:** use create_continuation with the ID of the latest document.",
+    "series.open": "open",
+    "series.closed": "closed",
+    "series.forkedFrom": "Forked from series {id} at document {document}",
+    "series.continues": "Continues",
+    "series.missing": "Not found in Reader (deleted?)",
+    "series.forkTitle": "{title} (fork)",
+
+    "template.article.description": "Plain article: author and date under the title",
+    "template.article.meta": "{{author}} · {{date}}",
+    "template.meeting_notes.description": "Meeting notes: date, attendees and who took the notes",
+    "template.meeting_notes.meta": "📅 {{date}}\n👥 {{attendees}}",
+    "template.meeting_notes.footer": "Notes taken by {{author}}",
+    "template.book_summary.description": "Summary of a book, in the serif theme",
+    "template.book_summary.meta": "📖 *{{book_title}}* · {{book_author}}\n{{author}} · {{date}}",
+    "template.series_part.description": "One part of a create_continuation series, linked to the previous part",
+    "template.series_part.meta": "📚 Series: **{{series}}** · Part {{part}} · {{date}}\n🔗 Previous document: {{previous_link}}",
+    "template.series_part.footer": "This document is part of an iterative exploration series.\nHighlight it and add notes, then ask Claude to continue the analysis.",
+  },
+
+  de: {
+    "value.unknown": "Unbekannt",
+    "value.na": "k. A.",
+    "label.author": "Autor",
+    "label.url": "URL",
+    "label.category": "Kategorie",
+    "label.source": "Quelle",
+    "label.tags": "Tags",
+    "label.note": "Notiz",
+    "label.notes": "Notizen",
+    "label.summary": "Zusammenfassung",
+    "label.progress": "Fortschritt",
+    "label.status": "Status",
+    "label.readingProgress": "Lesefortschritt",
+    "label.highlights": "Markierungen",
+
+    "format.highlight": "Markierung {n}",
+    "format.yourNote": "Deine Notiz",
+    "format.documentNotes": "Notizen zum Dokument",
+    "format.yourHighlights": "Deine Markierungen & Anmerkungen ({count})",
+    "format.highlights": "Markierungen ({count})",
+    "format.noContent": "(kein Inhalt verfügbar)",
+    "resource.book": "{author} · {count} Markierungen",
+    "output.showing": "{shown} von {count} angezeigt",
+    "output.nextPage": "Nächste Seite: {next}",
+
+    "error.notFound": "Nicht gefunden",
+    "error.mirrorSyncing": "Deine Bibliothek wird noch in den lokalen Spiegel importiert. Versuche es in einer Minute erneut (sync_status zeigt den Fortschritt).",
+    "error.documentNotFound": "Dokument {id} nicht gefunden",
+    "error.originalNotFound": "Ursprüngliches Dokument {id} nicht gefunden",
+    "error.seriesNotFound": "Keine Dokumente gefunden, die zu \"{query}\" passen",
+    "error.seriesClosed": "Die Serie \"{title}\" ({id}) ist abgeschlossen: mit close_series (reopen: true) wieder öffnen oder mit fork_series abzweigen",
+    "error.seriesOrder": "document_ids muss jedes Dokument der Serie genau einmal enthalten: {ids}",
+    "error.notInSeries": "Dokument {id} gehört nicht zur Serie \"{title}\"",
+    "error.sectionNotFound": "Kein Abschnitt \"{section}\" in den Notizen von Dokument {id}",
+    "error.sectionAmbiguous": "Mehrere Abschnitte heißen \"{section}\": die ID aus list_note_sections verwenden",
+    "error.sectionChanged": "Abschnitt {section} wurde seit dem Lesen geändert: erneut lesen (read_note_section) und die Änderung wiederholen",
+    "error.sectionOrder": "section_ids muss jeden Abschnitt genau einmal enthalten: {ids}",
+    "error.notesBusy": "Die Notizen von Dokument {id} haben sich während der Änderung ständig geändert, daher wurde nichts geschrieben: erneut versuchen",
+    "error.videoNotFound": "Video nicht gefunden",
+    "error.notAVideo": "Video nicht gefunden oder das Dokument ist kein Video",
+    "error.tagsWriteScope": "Tags ändern erfordert den Scope \"write\"; dieses Token hat: {scopes}",
+    "error.tagsRequired": "Für diese Aktion wird ein Tags-Array benötigt.",
+    "error.invalidAction": "Ungültige Aktion",
+    "error.auditEntryNotFound": "Audit-Eintrag {id} nicht gefunden",
+    "error.planUnknown": "Unbekanntes oder abgelaufenes preview_token; führe den Probelauf erneut aus",
+    "error.planTool": "Dieses preview_token gehört zu {planTool}, nicht zu {tool}",
+    "error.planOwner": "Dieses preview_token wurde für eine andere Freigabe ausgestellt",
+    "error.undoOfUndo": "Ein Rückgängigmachen kann nicht selbst rückgängig gemacht werden",
+    "error.alreadyUndone": "Audit-Eintrag {id} wurde bereits am {undoneAt} rückgängig gemacht",
+    "error.undoNoBefore": "Für diese Änderung wurde kein vorheriger Zustand gespeichert",
+    "error.undoExisted": "Das Dokument existierte schon vor diesem Vorgang; es wird nicht gelöscht",
+    "error.undoUnsupported": "{action} von {type} kann nicht rückgängig gemacht werden",
+    "error.unknownSeries": "Unbekannte Serie {id}",
+    "error.undoNeedsDelete": "{tool} rückgängig zu machen löscht die erstellten Einträge und erfordert daher den Scope \"delete\"",
+    "error.unknownTemplate": "Unbekannte Vorlage \"{name}\". Verfügbar: {available}",
+    "error.unknownTheme": "Unbekanntes Design \"{name}\". Verfügbar: {available}",
+    "error.reservedVariable": "Eigene Variablen dürfen nicht wie eingebaute Platzhalter heißen: {names}",
+    "error.bookNotFound": "Buch {id} nicht gefunden",
+    "error.templateName": "Vorlagennamen bestehen aus Kleinbuchstaben, Ziffern, '-' und '_' (max. 64)",
+    "error.templateBody": "Der Body muss {{content}} enthalten",
+    "error.styleElement": "\"{element}\" kann nicht gestaltet werden. Möglich: {available}",
+    "error.styleUnsafe": "Der Stil für \"{element}\" darf keine Anführungszeichen oder spitzen Klammern enthalten",
+    "error.noUserTemplate": "Du hast keine Vorlage namens \"{name}\"",
+    "error.highlightNotFound": "Markierung {id} nicht gefunden",
+
+    "delete.notConfirmed": "Löschen nicht bestätigt. Setze confirm=true zum Löschen.",
+    "highlight.deleted": "Markierung {id} gelöscht.",
+    "document.deleted": "Dokument {id} gelöscht.",
+    "document.saved": "✅ \"{title}\" in Readwise Reader gespeichert",
+    "template.deleted": "✅ Vorlage \"{name}\" gelöscht",
+
+    "bulk.nothingToPreview": "Keine Vorschau möglich: übergib die zu prüfenden Einträge.",
+    "bulk.noItems": "Übergib die zu verarbeitenden Einträge oder ein preview_token aus einem Probelauf.",
+    "bulk.next": "Rufe {tool} mit confirm=true und diesem preview_token auf, um genau diese {count} Schritt(e) auszuführen.",
+    "bulk.confirm": "Setze confirm=true.",
+    "bulk.confirmOrPreview": "Setze confirm=true (oder zeige mit dry_run=true eine Vorschau an).",
+    "bulk.cancelledInFlight": "Während der Ausführung abgebrochen; die Änderung wurde eventuell trotzdem übernommen",
+    "bulk.save": "Massenspeichern nicht bestätigt. Damit werden {count} Dokumente gespeichert.",
+    "bulk.save.previewed": "Massenspeichern nicht bestätigt. Damit werden die Dokumente aus der Vorschau gespeichert.",
+    "bulk.update": "Massenänderung nicht bestätigt. Damit werden {count} Dokumente geändert.",
+    "bulk.update.previewed": "Massenänderung nicht bestätigt. Damit werden die Dokumente aus der Vorschau geändert.",
+    "bulk.delete": "Massenlöschung nicht bestätigt. Damit werden {count} Dokumente ENDGÜLTIG gelöscht.",
+    "bulk.delete.previewed": "Massenlöschung nicht bestätigt. Damit werden die Dokumente aus der Vorschau ENDGÜLTIG gelöscht.",
+    "bulk.tags": "Massen-Tagging nicht bestätigt. Damit werden {count} Dokumente getaggt.",
+    "bulk.tags.previewed": "Massen-Tagging nicht bestätigt. Damit werden die Dokumente aus der Vorschau getaggt.",
+    "bulk.merge": "Zusammenführen nicht bestätigt. Damit werden {count} Gruppen von Duplikaten zusammengeführt und die Duplikate archiviert oder GELÖSCHT.",
+    "bulk.merge.previewed": "Zusammenführen nicht bestätigt. Damit werden die Gruppen aus der Vorschau zusammengeführt.",
+    "bulk.retag": "Tag-Änderung nicht bestätigt. Damit werden {count} Tag(s) an allen Dokumenten und Markierungen geändert, die sie tragen.",
+    "bulk.retag.previewed": "Tag-Änderung nicht bestätigt. Damit werden die Tags der Dokumente und Markierungen aus der Vorschau geändert.",
+    "duplicates.mergedFrom": "Übernommen aus: {title}",
+    "duplicates.next": "Zum Zusammenführen die Gruppen (keep + merge, bei Bedarf angepasst) an merge_duplicates übergeben, am besten zuerst mit dry_run=true.",
+
+    "undo.notConfirmed": "Rückgängig machen nicht bestätigt. Damit werden {count} Änderung(en) von {tool} vom {timestamp} zurückgesetzt. Setze confirm=true.",
+
+    "vault.open": "Öffnen",
+    "vault.page": "Seite {n}",
+    "vault.location": "Position {n}",
+    "vault.unchanged": "Seit dem letzten Export ({since}) wurden keine Markierungen geändert.",
+    "vault.stale": "Lösche die unter moved (from) und removed aufgeführten Dateien aus deinem Vault.",
+    "flashcards.none": "Keine Markierungen passen zu diesen Filtern ({skipped} ohne Lückentext-Markierung übersprungen).",
+
+    "prompt.analyze.description": "„{title}“ analysieren",
+    "prompt.analyze.text": "Analysiere meine Markierungen und Notizen zu „{title}“ oben. Arbeite die Hauptthemen heraus, die Verbindungen zwischen den Markierungen, offene Fragen aus meinen Notizen und Ideen, die es wert sind, weiterverfolgt zu werden.\n\nWenn wir fertig sind, speichere die Analyse:\n- Mit expand_document und document_id \"{id}\" an die Notizen des Dokuments anhängen (mit einem kurzen Abschnittstitel), oder\n- Mit create_continuation und original_document_id \"{id}\" ein neues Dokument daraus machen, das ich wiederum markieren kann.",
+    "prompt.series.description": "Die Serie „{series}“ fortsetzen",
+    "prompt.series.text": "Lass uns meine Leseserie „{series}“ fortsetzen.\n\n1. Rufe get_document_series mit series_identifier \"{series}\" auf, um alle Teile mit ihren Markierungen und Notizen zu laden.\n2. Sieh dir an, was ich im letzten Teil markiert und kommentiert habe: Dorthin ging meine Aufmerksamkeit.\n3. Schreibe den nächsten Teil, der auf diesen Markierungen aufbaut und die Fragen aus meinen Notizen beantwortet.\n4. Speichere ihn mit create_continuation, mit der ID des letzten Dokuments der Serie als original_document_id.",
+    "prompt.review.description": "Tägliche Wiederholung: {count} Markierungen",
+    "prompt.review.item": "{n}. [Markierung {id}] „{text}“ ({source})",
+    "prompt.review.empty": "(keine Markierungen in der heutigen Wiederholung)",
+    "prompt.review.text": "Hier ist meine tägliche Readwise-Wiederholung ({count} Markierungen):\n\n{list}\n\nGeh sie mit mir einzeln durch. Erkläre jeweils kurz, warum sie wichtig ist, verbinde sie wo möglich mit den anderen und stelle mir eine Frage, die mir hilft, sie mir zu merken. Wenn ich mit einem Gedanken reagiere, der es wert ist, behalten zu werden, speichere ihn mit create_note zu dieser Markierungs-ID.",
+    "prompt.synthesis.description": "„{title}“ zusammenführen",
+    "prompt.synthesis.text": "Schreibe eine Synthese von „{title}“, nur auf Grundlage dessen, was ich oben markiert habe: die Kernargumente, wie die Ideen aufeinander aufbauen, was mich am meisten interessiert hat und was ich übersehen haben könnte. Schließe mit drei Fragen zum Nachdenken.\n\nWenn ich sie behalten möchte, speichere sie mit save_text_content.",
+
+    "expand.unnamed": "(ohne Titel)",
+    "expand.done": "✅ Dokument erweitert!\n\n**Dokument:** {title}\n**Neuer Abschnitt:** {section}\n**Länge der Notizen:** {length} Zeichen\n\nDie Notizen des Dokuments enthalten jetzt deine gesammelte Analyse.",
+
+    "series.title": "{base} - Analyse #{part}",
+    "series.created": "✅ **Fortsetzung erstellt!**\n\n**Neues Dokument:** {title}\n**Teil:** {part} der Serie\n**Serie:** {series}\n**Tags:** {tags}\n\nDer Nutzer kann jetzt:\n1. Dieses Dokument in Readwise Reader öffnen\n2. Deine Analyse markieren und kommentieren\n3. Dich bitten, mit dem nächsten Teil fortzufahren\n\n**ID des neuen Dokuments:** {id}",
+    "series.idPending": "siehe Reader",
+    "series.heading": "Serie: {name}",
+    "series.total": "Dokumente insgesamt",
+    "series.document": "Dokument {n}: {title}",
+    "series.documentNotes": "Notizen zum Dokument",
+    "series.highlightsFailed": "Markierungen konnten nicht geladen werden",
+    "series.next": "**Um die Serie fortzusetzen:** create_continuation mit der ID des neuesten Dokuments aufrufen.",
+    "series.open": "offen",
+    "series.closed": "abgeschlossen",
+    "series.forkedFrom": "Abgezweigt von Serie {id} bei Dokument {document}",
+    "series.continues": "Setzt fort",
+    "series.missing": "In Reader nicht gefunden (gelöscht?)",
+    "series.forkTitle": "{title} (Abzweigung)",
+
+    "template.article.description": "Einfacher Artikel: Autor und Datum unter dem Titel",
+    "template.article.meta": "{{author}} · {{date}}",
+    "template.meeting_notes.description": "Besprechungsnotizen: Datum, Teilnehmende und wer mitgeschrieben hat",
+    "template.meeting_notes.meta": "📅 {{date}}\n👥 {{attendees}}",
+    "template.meeting_notes.footer": "Notizen von {{author}}",
+    "template.book_summary.description": "Zusammenfassung eines Buches im Serif-Design",
+    "template.book_summary.meta": "📖 *{{book_title}}* · {{book_author}}\n{{author}} · {{date}}",
+    "template.series_part.description": "Ein Teil einer create_continuation-Serie, mit Link zum vorherigen Teil",
+    "template.series_part.meta": "📚 Serie: **{{series}}** · Teil {{part}} · {{date}}\n🔗 Vorheriges Dokument: {{previous_link}}",
+    "template.series_part.footer": "Dieses Dokument ist Teil einer iterativen Erkundungsserie.\nMarkiere und kommentiere es, dann bitte Claude, die Analyse fortzusetzen.",
+  },
+
+  es: {
+    "value.unknown": "Desconocido",
+    "value.na": "N/D",
+    "label.author": "Autor",
+    "label.url": "URL",
+    "label.category": "Categoría",
+    "label.source": "Fuente",
+    "label.tags": "Tags",
+    "label.note": "Nota",
+    "label.notes": "Notas",
+    "label.summary": "Resumen",
+    "label.progress": "Progreso",
+    "label.status": "Estado",
+    "label.readingProgress": "Progreso de lectura",
+    "label.highlights": "Highlights",
+
+    "format.highlight": "Highlight {n}",
+    "format.yourNote": "Tu nota",
+    "format.documentNotes": "Notas del documento",
+    "format.yourHighlights": "Tus highlights y anotaciones ({count})",
+    "format.highlights": "Highlights ({count})",
+    "format.noContent": "(sin contenido disponible)",
+    "resource.book": "{author} · {count} highlights",
+    "output.showing": "Mostrando {shown} de {count}",
+    "output.nextPage": "Página siguiente: {next}",
+
+    "error.notFound": "No encontrado",
+    "error.mirrorSyncing": "Tu biblioteca aún se está importando al espejo local. Vuelve a intentarlo en un minuto (sync_status muestra el progreso).",
+    "error.documentNotFound": "Documento {id} no encontrado",
+    "error.originalNotFound": "Documento original {id} no encontrado",
+    "error.seriesNotFound": "No se encontraron documentos para \"{query}\"",
+    "error.seriesClosed": "La serie \"{title}\" ({id}) está cerrada: reábrela con close_series (reopen: true) o bifúrcala con fork_series",
+    "error.seriesOrder": "document_ids debe incluir cada documento de la serie exactamente una vez: {ids}",
+    "error.notInSeries": "El documento {id} no forma parte de la serie \"{title}\"",
+    "error.sectionNotFound": "No hay ninguna sección \"{section}\" en las notas del documento {id}",
+    "error.sectionAmbiguous": "Varias secciones se titulan \"{section}\": usa su ID de list_note_sections",
+    "error.sectionChanged": "La sección {section} cambió desde que la leíste: vuelve a leerla (read_note_section) y repite la edición",
+    "error.sectionOrder": "section_ids debe incluir cada sección exactamente una vez: {ids}",
+    "error.notesBusy": "Las notas del documento {id} cambiaron una y otra vez durante la edición, así que no se escribió nada: vuelve a intentarlo",
+    "error.videoNotFound": "Video no encontrado",
+    "error.notAVideo": "Video no encontrado o el documento no es un video",
+    "error.tagsWriteScope": "Cambiar tags requiere el scope \"write\"; este token tiene: {scopes}",
+    "error.tagsRequired": "Esta acción necesita un array de tags.",
+    "error.invalidAction": "Acción no válida",
+    "error.auditEntryNotFound": "Entrada de auditoría {id} no encontrada",
+    "error.planUnknown": "preview_token desconocido o caducado; vuelve a ejecutar la prueba",
+    "error.planTool": "Este preview_token pertenece a {planTool}, no a {tool}",
+    "error.planOwner": "Este preview_token se emitió para otra autorización",
+    "error.undoOfUndo": "Un deshacer no se puede deshacer",
+    "error.alreadyUndone": "La entrada de auditoría {id} ya se deshizo el {undoneAt}",
+    "error.undoNoBefore": "No se guardó el estado anterior de este cambio",
+    "error.undoExisted": "El documento ya existía antes de esta operación; no se borra",
+    "error.undoUnsupported": "No se puede deshacer {action} de {type}",
+    "error.unknownSeries": "Serie desconocida {id}",
+    "error.undoNeedsDelete": "Deshacer {tool} borra los elementos que creó, lo que requiere el scope \"delete\"",
+    "error.unknownTemplate": "Plantilla desconocida \"{name}\". Disponibles: {available}",
+    "error.unknownTheme": "Tema desconocido \"{name}\". Disponibles: {available}",
+    "error.reservedVariable": "Las variables propias no pueden usar los nombres de los marcadores integrados: {names}",
+    "error.bookNotFound": "Libro {id} no encontrado",
+    "error.templateName": "Los nombres de plantilla usan minúsculas, dígitos, '-' y '_' (máx. 64)",
+    "error.templateBody": "El body debe contener {{content}}",
+    "error.styleElement": "No se puede dar estilo a \"{element}\". Con estilo: {available}",
+    "error.styleUnsafe": "El estilo de \"{element}\" no puede contener comillas ni corchetes angulares",
+    "error.noUserTemplate": "No tienes ninguna plantilla llamada \"{name}\"",
+    "error.highlightNotFound": "Highlight {id} no encontrado",
+
+    "delete.notConfirmed": "Borrado no confirmado. Usa confirm=true para borrar.",
+    "highlight.deleted": "Highlight {id} borrado.",
+    "document.deleted": "Documento {id} borrado.",
+    "document.saved": "✅ \"{title}\" guardado en Readwise Reader",
+    "template.deleted": "✅ Plantilla \"{name}\" borrada",
+
+    "bulk.nothingToPreview": "Nada que previsualizar: pasa los elementos a revisar.",
+    "bulk.noItems": "Pasa los elementos a procesar, o un preview_token de una simulación.",
+    "bulk.next": "Llama a {tool} con confirm=true y este preview_token para aplicar exactamente estos {count} paso(s).",
+    "bulk.confirm": "Usa confirm=true.",
+    "bulk.confirmOrPreview": "Usa confirm=true (o previsualiza con dry_run=true).",
+    "bulk.cancelledInFlight": "Cancelado en curso; puede que se haya aplicado o no",
+    "bulk.save": "Guardado masivo no confirmado. Se guardarán {count} documentos.",
+    "bulk.save.previewed": "Guardado masivo no confirmado. Se guardarán los documentos previsualizados.",
+    "bulk.update": "Actualización masiva no confirmada. Se actualizarán {count} documentos.",
+    "bulk.update.previewed": "Actualización masiva no confirmada. Se actualizarán los documentos previsualizados.",
+    "bulk.delete": "Borrado masivo no confirmado. Se BORRARÁN {count} documentos para siempre.",
+    "bulk.delete.previewed": "Borrado masivo no confirmado. Se BORRARÁN para siempre los documentos previsualizados.",
+    "bulk.tags": "Etiquetado masivo no confirmado. Se añadirán tags a {count} documentos.",
+    "bulk.tags.previewed": "Etiquetado masivo no confirmado. Se añadirán tags a los documentos previsualizados.",
+    "bulk.merge": "Fusión no confirmada. Esto fusionará {count} grupos de duplicados, archivando o ELIMINANDO los duplicados.",
+    "bulk.merge.previewed": "Fusión no confirmada. Esto fusionará los grupos de duplicados de la vista previa.",
+    "bulk.retag": "Cambio de tags no confirmado. Se cambiarán {count} tag(s) en todos los documentos y highlights que los tengan.",
+    "bulk.retag.previewed": "Cambio de tags no confirmado. Se cambiarán los tags de los documentos y highlights previsualizados.",
+    "duplicates.mergedFrom": "Fusionado desde: {title}",
+    "duplicates.next": "Para fusionar, pasa los grupos (keep + merge, ajustados si hace falta) a merge_duplicates, idealmente primero con dry_run=true.",
+
+    "undo.notConfirmed": "Deshacer no confirmado. Se revertirán {count} cambio(s) hechos por {tool} el {timestamp}. Usa confirm=true.",
+
+    "vault.open": "Abrir",
+    "vault.page": "Página {n}",
+    "vault.location": "Posición {n}",
+    "vault.unchanged": "No cambió ningún highlight desde la última exportación ({since}).",
+    "vault.stale": "Borra de tu vault los archivos listados en moved (from) y removed.",
+    "flashcards.none": "Ningún highlight coincide con estos filtros ({skipped} sin marcas de cloze omitidos).",
+
+    "prompt.analyze.description": "Analizar «{title}»",
+    "prompt.analyze.text": "Analiza mis highlights y notas sobre «{title}» de arriba. Identifica los temas principales, las conexiones entre highlights, las preguntas abiertas que plantean mis notas y las ideas que vale la pena explorar.\n\nCuando terminemos, guarda el análisis:\n- Usa expand_document con document_id \"{id}\" para añadirlo a las notas del documento (con un título corto para la sección), o\n- Usa create_continuation con original_document_id \"{id}\" para convertirlo en un documento nuevo que pueda subrayar a su vez.",
+    "prompt.series.description": "Continuar la serie «{series}»",
+    "prompt.series.text": "Continuemos mi serie de lectura «{series}».\n\n1. Llama a get_document_series con series_identifier \"{series}\" para cargar cada parte con sus highlights y notas.\n2. Mira lo que subrayé y anoté en la última parte: ahí fue mi atención.\n3. Escribe la siguiente parte, partiendo de esos highlights y respondiendo a las preguntas de mis notas.\n4. Guárdala con create_continuation, usando el ID del último documento de la serie como original_document_id.",
+    "prompt.review.description": "Repaso diario: {count} highlights",
+    "prompt.review.item": "{n}. [highlight {id}] «{text}» ({source})",
+    "prompt.review.empty": "(no hay highlights en el repaso de hoy)",
+    "prompt.review.text": "Este es mi repaso diario de Readwise ({count} highlights):\n\n{list}\n\nRepásalos conmigo uno a uno. Para cada uno, explica brevemente por qué importa, relaciónalo con los demás cuando puedas y hazme una pregunta que me ayude a recordarlo. Si reacciono con una idea que valga la pena guardar, guárdala con create_note en ese ID de highlight.",
+    "prompt.synthesis.description": "Sintetizar «{title}»",
+    "prompt.synthesis.text": "Escribe una síntesis de «{title}» basada solo en lo que subrayé arriba: los argumentos centrales, cómo se construyen las ideas unas sobre otras, lo que más parecía interesarme y lo que podría haber pasado por alto. Termina con tres preguntas para reflexionar.\n\nSi quiero conservarla, guárdala con save_text_content.",
+
+    "expand.unnamed": "(sin título)",
+    "expand.done": "✅ ¡Documento ampliado!\n\n**Documento:** {title}\n**Sección añadida:** {section}\n**Longitud total de las notas:** {length} caracteres\n\nLas notas del documento contienen ahora tu análisis acumulado.",
+
+    "series.title": "{base} - Análisis #{part}",
+    "series.created": "✅ **¡Continuación creada exitosamente!**\n\n**Nuevo documento:** {title}\n**Parte:** {part} de la serie\n**Serie:** {series}\n**Tags:** {tags}\n\nEl usuario ahora puede:\n1. Abrir este documento en Readwise Reader\n2. Hacer highlights y anotaciones sobre tu análisis\n3. Pedirte que continúes con la siguiente parte\n\n**ID del nuevo documento:** {id}",
+    "series.idPending": "ver en Reader",
+    "series.heading": "Serie: {name}",
+    "series.total": "Total documentos",
+    "series.document": "Documento {n}: {title}",
+    "series.documentNotes": "Notas del documento",
+    "series.highlightsFailed": "No se pudieron cargar highlights",
+    "series.next": "**Para continuar la serie:** usa create_continuation con el ID del último documento.",
+    "series.open": "abierta",
+    "series.closed": "cerrada",
+    "series.forkedFrom": "Bifurcada de la serie {id} en el documento {document}",
+    "series.continues": "Continúa",
+    "series.missing": "No encontrado en Reader (¿eliminado?)",
+    "series.forkTitle": "{title} (bifurcación)",
+
+    "template.article.description": "Artículo simple: autor y fecha bajo el título",
+    "template.article.meta": "{{author}} · {{date}}",
+    "template.meeting_notes.description": "Notas de reunión: fecha, asistentes y quién tomó las notas",
+    "template.meeting_notes.meta": "📅 {{date}}\n👥 {{attendees}}",
+    "template.meeting_notes.footer": "Notas tomadas por {{author}}",
+    "template.book_summary.description": "Resumen de un libro, con el tema serif",
+    "template.book_summary.meta": "📖 *{{book_title}}* · {{book_author}}\n{{author}} · {{date}}",
+    "template.series_part.description": "Una parte de una serie de create_continuation, enlazada con la parte anterior",
+    "template.series_part.meta": "📚 Serie: **{{series}}** · Parte {{part}} · {{date}}\n🔗 Documento anterior: {{previous_link}}",
+    "template.series_part.footer": "Este documento es parte de una serie de exploración iterativa.\nHaz highlights y notas, luego pide a Claude que continúe el análisis.",
+  },
+};
+
+// t(key, params) plus t.locale, t.date(date) and t.dateTime(date)
+export function translator(locale) {
+  const language = resolveLocale(locale) || DEFAULT_LOCALE;
+  const messages = MESSAGES[language];
+  const intl = INTL_LOCALES[language];
+
+  const t = (key, params = {}) => {
+    const message = messages[key] ?? MESSAGES.en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+  };
+  t.locale = language;
+  t.date = date => date.toLocaleDateString(intl, { year: "numeric", month: "long", day: "numeric" });
+  t.dateTime = date => date.toLocaleString(intl, {
+    year: "numeric", month: "short", day: "numeric",
+    hour: "2-digit", minute: "2-digit",
+  });
+  return t;
+}
+
+// -----------------------------------------------------------------------------
+// Series titles
+// -----------------------------------------------------------------------------
+
+// The part markers of every locale's series.title ("Analysis", "Analyse",
+// "Análisis") plus "Part"/"Teil"/"Parte", so a series started in one language
+// is still recognized in another
+const PART_WORDS = [...new Set([
+  "Part", "Teil", "Parte",
+  ...Object.values(MESSAGES).map(m => /-\s*(\p{L}+)\s*#/u.exec(m["series.title"])[1]),
+])];
+const PART_MARKER = `(?:${PART_WORDS.join("|")})\\s*#?(\\d+)`;
+const SERIES_SUFFIX = new RegExp(`\\s*[-–—]\\s*${PART_MARKER}.*$`, "iu");
+
+// "Stoicism - Analyse #3" -> { base: "Stoicism", part: 3 }; part is null
+// for a title that is not a numbered part
+export function parseSeriesTitle(title) {
+  const match = SERIES_SUFFIX.exec(title);
+  return match
+    ? { base: title.slice(0, match.index).trim(), part: Number(match[1]) }
+    : { base: title.trim(), part: null };
+}
+
+// The same part title with another base and/or number: ("Stoicism -
+// Analyse #3", { base: "Stoa", part: 2 }) -> "Stoa - Analyse #2". Titles
+// without a part suffix come back unchanged.
+export function retitleSeriesPart(title, { base, part } = {}) {
+  const match = SERIES_SUFFIX.exec(title);
+  if (!match) return title;
+  let suffix = title.slice(match.index);
+  if (part !== undefined) suffix = suffix.replace(/\d+/, String(part));
+  return `${base ?? title.slice(0, match.index)}${suffix}`;
+}
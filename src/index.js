@@ -1,8 +1,32 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import express from "express";
-import crypto from "crypto";
 import { z } from "zod";
+import crypto from "crypto";
+import { checkApiKey, createReadwiseClient, DEFAULT_MAX_ITEMS } from "./readwise.js";
+import { schedulerStats } from "./scheduler.js";
+import { createMirror, isMirrorCursor, MirrorSyncing } from "./mirror.js";
+import { createSearchIndex } from "./search.js";
+import { createOAuth } from "./oauth.js";
+import { createClientRegistry } from "./clients.js";
+import { createTokenStore } from "./tokens.js";
+import { createCipher } from "./secrets.js";
+import { actionScopes, SCOPES, toolScopes } from "./scopes.js";
+import { AuditError, createAuditLog } from "./audit.js";
+import { createPlanStore, PlanError } from "./plans.js";
+import { runConcurrently, progressReporter, trackCancellation, cancelRequest } from "./bulk.js";
+import { createTemplateStore, THEME_NAMES } from "./templates.js";
+import { DEFAULT_LOCALE, LOCALES, translator, parseSeriesTitle, retitleSeriesPart } from "./i18n.js";
+import { FORMATS, outputSchema, renderListing, toListing } from "./output.js";
+import { createVaultExporter, VAULT_FLAVORS } from "./vault.js";
+import { zipFiles } from "./zip.js";
+import { createReviewStore, GRADES } from "./review.js";
+import { DEFAULT_SIMILARITY, findDuplicateDocuments, findDuplicateHighlights, normalizeUrl } from "./duplicates.js";
+import { deleteSection, describeSections, findSection, NOTES_WRITE_ATTEMPTS, notesVersion, parseSections, queueNotesWrite, reorderSections, replaceSection, sectionBlock, SectionError, sectionVersion } from "./notes.js";
+import { matchesTag, retag, TAG_SEPARATOR, tagTree, tagUsage } from "./tags.js";
+import { createSeriesRegistry, isSeriesTag, SeriesError, seriesSlug, seriesTags, SERIES_ID_TAG, SERIES_PARENT_TAG, SERIES_TAG } from "./series.js";
+import { buildCards, CARD_OUTPUTS, CARD_TYPES, selectHighlights, toApkg, toMochi, toTsv } from "./flashcards.js";
+import { formatBook, formatBookHighlights, formatDocumentContent, formatDocumentForAnalysis, formatProgress, tagList } from "./format.js";
 
 // =============================================================================
 // CONFIGURACIÓN Y CREDENCIALES
@@ -11,164 +35,535 @@ import { z } from "zod";
 const READWISE_API_KEY = process.env.READWISE_API_KEY;
 const OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID;
 const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET;
+const OAUTH_REDIRECT_URIS = (process.env.OAUTH_REDIRECT_URIS || "").split(",").map(s => s.trim()).filter(Boolean);
+const OAUTH_REGISTRATION_TOKEN = process.env.OAUTH_REGISTRATION_TOKEN;
+const TOKEN_STORE = process.env.TOKEN_STORE || "file";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const PUBLIC_URL = process.env.PUBLIC_URL;
 const PORT = process.env.PORT || 3000;
+const MIRROR_SYNC_MINUTES = Number(process.env.MIRROR_SYNC_MINUTES ?? 30);
+// Multi-tenant: every OAuth grant brings its own Readwise token
+const MULTI_TENANT = process.env.MULTI_TENANT === "true";
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
 
-if (!READWISE_API_KEY) {
-  console.error("❌ READWISE_API_KEY environment variable is required");
+if (!MULTI_TENANT && !READWISE_API_KEY) {
+  console.error("❌ READWISE_API_KEY environment variable is required (or set MULTI_TENANT=true)");
   process.exit(1);
 }
 
-if (!OAUTH_CLIENT_ID || !OAUTH_CLIENT_SECRET) {
-  console.error("❌ OAUTH_CLIENT_ID and OAUTH_CLIENT_SECRET are required");
+let cipher = null;
+if (MULTI_TENANT) {
+  try {
+    cipher = createCipher(TOKEN_ENCRYPTION_KEY);
+  } catch (error) {
+    console.error(`❌ ${error.message} in multi-tenant mode`);
+    process.exit(1);
+  }
+}
+
+if (Boolean(OAUTH_CLIENT_ID) !== Boolean(OAUTH_CLIENT_SECRET)) {
+  console.error("❌ OAUTH_CLIENT_ID and OAUTH_CLIENT_SECRET must be set together");
   process.exit(1);
 }
 
 console.log("✅ Credentials configured");
 
 // =============================================================================
-// AUTENTICACIÓN OAUTH
+// LOCAL MIRROR
 // =============================================================================
 
-const authCodes = new Map();
-const validTokens = new Map();
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [code, data] of authCodes) {
-    if (now - data.createdAt > 10 * 60 * 1000) authCodes.delete(code);
-  }
-  for (const [token, data] of validTokens) {
-    if (now - data.createdAt > 24 * 60 * 60 * 1000) validTokens.delete(token);
+// One mirror, search index, audit log, bulk plan store, template set, vault
+// export state, review schedule and series registry per Readwise account. The
+// READWISE_API_KEY account keeps the plain "mirror"/"audit"/"templates"/
+// "vault"/"review"/"series" files; tenants get ones suffixed with a hash of
+// their token. Tenant mirrors start syncing the first time they are used.
+const libraries = new Map();
+
+function libraryFor(apiKey) {
+  let library = libraries.get(apiKey);
+  if (!library) {
+    const shared = apiKey === READWISE_API_KEY;
+    const suffix = shared ? "" : `-${crypto.createHash("sha256").update(apiKey).digest("hex").slice(0, 16)}`;
+    const client = createReadwiseClient(apiKey);
+    const mirror = createMirror({ name: `mirror${suffix}`, api: client });
+    library = {
+      client,
+      mirror,
+      searchIndex: createSearchIndex(mirror),
+      audit: createAuditLog({ name: `audit${suffix}`, api: client, mirror }),
+      plans: createPlanStore(),
+      templates: createTemplateStore({ name: `templates${suffix}` }),
+      vault: createVaultExporter({ name: `vault${suffix}`, api: client }),
+      review: createReviewStore({ name: `review${suffix}` }),
+      series: createSeriesRegistry({ name: `series${suffix}` }),
+    };
+    libraries.set(apiKey, library);
+    if (!shared) mirror.start(MIRROR_SYNC_MINUTES);
   }
-}, 5 * 60 * 1000);
+  return library;
+}
 
-function validateCredentials(clientId, clientSecret) {
-  return clientId === OAUTH_CLIENT_ID && clientSecret === OAUTH_CLIENT_SECRET;
+const sourceParam = z.enum(["mirror", "api"]).optional()
+  .describe("Read from the local mirror or the live API (default: mirror once synced)");
+
+const localeParam = z.enum(LOCALES).optional()
+  .describe(`Language of the reply and of generated titles and dates (default: ${DEFAULT_LOCALE})`);
+
+const formatParam = z.enum(FORMATS).optional()
+  .describe("Reply format: json (default), compact (one-line JSON without empty fields), markdown or csv. structuredContent always has the JSON shape");
+
+const templateParams = {
+  theme: z.enum(THEME_NAMES).optional().describe("Styling theme, overriding the template's"),
+  variables: z.record(z.string()).optional().describe("Values for the template's custom placeholders, e.g. { \"attendees\": \"Ana, Luis\" }"),
+};
+
+// Coded errors of the stores -> catalog keys; details are the parameters
+const CODED_ERRORS = [
+  [PlanError, { unknown: "error.planUnknown", tool: "error.planTool", owner: "error.planOwner" }],
+  [AuditError, {
+    notFound: "error.auditEntryNotFound",
+    undoOfUndo: "error.undoOfUndo",
+    alreadyUndone: "error.alreadyUndone",
+    noBefore: "error.undoNoBefore",
+    existed: "error.undoExisted",
+    unsupported: "error.undoUnsupported",
+  }],
+  [SeriesError, { unknown: "error.unknownSeries" }],
+];
+
+function errorText(error, t) {
+  const keys = CODED_ERRORS.find(([type]) => error instanceof type)?.[1];
+  return keys?.[error.code] ? t(keys[error.code], error.details) : error.message;
 }
 
-function validateToken(authHeader) {
-  if (!authHeader?.startsWith("Bearer ")) return false;
-  const token = authHeader.slice(7);
-  const data = validTokens.get(token);
-  if (!data) return false;
-  if (Date.now() - data.createdAt > 24 * 60 * 60 * 1000) {
-    validTokens.delete(token);
-    return false;
-  }
-  return true;
+// =============================================================================
+// AUTOMATIC PAGINATION
+// =============================================================================
+
+const paginationParams = {
+  fetch_all: z.boolean().optional().describe("Follow every page server-side and return the combined results"),
+  max_items: z.number().optional().describe(`Upper bound on items when fetching all pages (default ${DEFAULT_MAX_ITEMS}); implies fetch_all`),
+};
+
+function wantsAll({ fetch_all, max_items }) {
+  return Boolean(fetch_all || max_items);
+}
+
+function maxItems({ max_items }) {
+  return max_items || DEFAULT_MAX_ITEMS;
 }
 
 // =============================================================================
-// READWISE API HELPERS
+// MCP SERVER CON 66 TOOLS
 // =============================================================================
 
-const READWISE_V2 = "https://readwise.io/api/v2";
-const READWISE_V3 = "https://readwise.io/api/v3";
+function createMcpServer({ apiKey = READWISE_API_KEY, scopes = SCOPES, auth = null } = {}) {
+  const server = new McpServer({
+    name: "readwise-mcp-enhanced",
+    version: "2.4.0"
+  });
 
-async function apiV2(endpoint, options = {}) {
-  const { method = "GET", params = {}, body = null } = options;
+  // Tools outside the token's scopes are never registered: not listed, not callable
+  function register(name, config, handler) {
+    if (!toolScopes(name).every(scope => scopes.includes(scope))) return;
+    server.registerTool(name, config, async (args, extra) => {
+      try {
+        return await handler(args, extra);
+      } catch (error) {
+        const t = translator(args?.locale);
+        // The first import of the mirror is still running (mirror.ready())
+        if (error instanceof MirrorSyncing) {
+          return { content: [{ type: "text", text: `⏳ ${t("error.mirrorSyncing")}` }], isError: true };
+        }
+        if (!CODED_ERRORS.some(([type]) => error instanceof type)) throw error;
+        return { content: [{ type: "text", text: `❌ ${errorText(error, t)}` }], isError: true };
+      }
+    });
+  }
 
-  const url = new URL(`${READWISE_V2}${endpoint}`);
-  if (method === "GET") {
-    Object.entries(params).forEach(([k, v]) => {
-      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+  function tool(name, description, inputSchema, handler) {
+    register(name, { description, inputSchema }, handler);
+  }
+
+  // Read tools listing highlights, books or documents (output.js): fetch(args,
+  // extra) returns the API/mirror payload, or null for "not found" (the
+  // notFound catalog key is the message)
+  function dataTool(name, description, inputSchema, kind, fetch, { notFound = "error.notFound" } = {}) {
+    register(name, {
+      description,
+      inputSchema: { ...inputSchema, format: formatParam, locale: localeParam },
+      outputSchema: outputSchema(kind),
+    }, async ({ format, locale, ...args }, extra) => {
+      const t = translator(locale);
+      const data = await fetch(args, extra);
+      if (!data) return { content: [{ type: "text", text: `❌ ${t(notFound)}` }], isError: true };
+      const listing = toListing(kind, data);
+      return {
+        structuredContent: listing,
+        content: [{ type: "text", text: renderListing(kind, listing, format, t) }],
+      };
     });
   }
+  const { client, mirror, searchIndex, audit, plans, templates, vault, review, series: seriesRegistry } = libraryFor(apiKey);
+  const { apiV2, apiV3, fetchAllV2, fetchAllV3, getDocument, setHighlightTags } = client;
 
-  const opts = {
-    method,
-    headers: {
-      Authorization: `Token ${READWISE_API_KEY}`,
-      "Content-Type": "application/json",
-    },
+  // Mutating tools journal what they changed, with the state they replaced
+  const actor = auth ? { clientId: auth.clientId, grantId: auth.grantId } : null;
+  function journal(tool, args, changes) {
+    return audit.record({ tool, actor, args, changes });
+  }
+
+  // v2 create answers with one entry per book, listing the highlight IDs
+  function createdHighlights(data) {
+    const ids = (Array.isArray(data) ? data : []).flatMap(book => book.modified_highlights || []);
+    return ids.map(id => ({ type: "highlight", id, action: "create" }));
+  }
+
+  function createdDocument(data) {
+    return data?.id ? { type: "document", id: data.id, action: "create" } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dry runs for the bulk tools (plans live in plans.js)
+  // ---------------------------------------------------------------------------
+
+  const dryRunParams = {
+    dry_run: z.boolean().optional().describe("Resolve every target and preview the changes without applying them; returns a preview_token"),
+    preview_token: z.string().optional().describe("Token from a dry run; with confirm=true, executes exactly the previewed plan"),
   };
 
-  if (body && method !== "GET") {
-    opts.body = JSON.stringify(body);
+  // What a preview shows about a document as it is now
+  function documentView(doc) {
+    return { title: doc.title, location: doc.location, tags: tagList(doc.tags) };
   }
 
-  const res = await fetch(url.toString(), opts);
+  // Mirror first, the API for anything the mirror does not have (yet)
+  async function currentDocument(id, signal) {
+    return (mirror.isReady() && await mirror.getDocument(id)) || await getDocument(id, { signal });
+  }
 
-  if (res.status === 204) return { success: true };
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Readwise v2 API error: ${res.status} ${text}`);
+  async function resolveDocuments(ids, signal) {
+    const unique = [...new Set(ids)];
+    const outcomes = await runConcurrently(unique, id => currentDocument(id, signal), { signal });
+    const docs = new Map();
+    outcomes.forEach((outcome, i) => {
+      if (outcome?.ok && outcome.value) docs.set(unique[i], outcome.value);
+    });
+    return docs;
   }
 
-  return res.json();
-}
+  // Documents already in the library, keyed by their normalized source URL
+  // (duplicates.js: tracking parameters and AMP variants ignored)
+  async function savedDocumentsByUrl(urls) {
+    await mirror.ready();
+    const wanted = new Set(urls.map(normalizeUrl));
+    const { results } = await mirror.queryDocuments({
+      limit: DEFAULT_MAX_ITEMS,
+      where: d => wanted.has(normalizeUrl(d.source_url || d.url)),
+    });
+    return new Map(results.map(d => [normalizeUrl(d.source_url || d.url), d]));
+  }
 
-async function apiV3(endpoint, options = {}) {
-  const { method = "GET", params = {}, body = null } = options;
+  // Shared flow of the bulk tools: dry_run stores a plan and previews it; a
+  // confirmed run executes the stored plan (preview_token) or the arguments.
+  //   describe                   catalog key of the "not confirmed" message
+  //   direct/plan(items, signal) turn the arguments into steps
+  //   perform(step, signal, t)   does one step -> { data?, change?, changes? };
+  //                              a step that fails after writing attaches
+  //                              what it wrote as error.changes
+  //   key(step)                  identifies a step in the results
+  //   journalArgs(steps)         what the audit log records as arguments
+  // Steps run concurrently with progress notifications. On cancellation the
+  // started steps finish or abort and a partial summary comes back.
+  async function runBulk(name, items, { confirm, dry_run, preview_token, locale }, extra, { describe, direct, plan, perform, key, journalArgs }) {
+    const signal = extra?.signal;
+    const t = translator(locale);
+
+    if (dry_run) {
+      if (!items) return { content: [{ type: "text", text: t("bulk.nothingToPreview") }] };
+      const steps = await plan(items, signal);
+      const runnable = steps.filter(s => !s.skip).length;
+      const { token, expiresAt } = plans.create({ tool: name, owner: auth?.grantId, steps });
+      return { content: [{ type: "text", text: JSON.stringify({
+        dry_run: true,
+        preview_token: token,
+        expires_at: expiresAt,
+        summary: { targets: steps.length, will_run: runnable, flagged: steps.length - runnable },
+        steps,
+        next: t("bulk.next", { tool: name, count: runnable }),
+      }, null, 2) }] };
+    }
+
+    if (!confirm) {
+      const message = preview_token
+        ? `${t(`${describe}.previewed`)} ${t("bulk.confirm")}`
+        : `${t(describe, { count: items?.length ?? 0 })} ${t("bulk.confirmOrPreview")}`;
+      return { content: [{ type: "text", text: message }] };
+    }
+
+    let steps;
+    if (preview_token) {
+      try {
+        steps = plans.take(preview_token, { tool: name, owner: auth?.grantId }).steps.filter(s => !s.skip);
+      } catch (error) {
+        return { content: [{ type: "text", text: `❌ ${errorText(error, t)}` }], isError: true };
+      }
+    } else if (items) {
+      steps = await direct(items, signal);
+    } else {
+      return { content: [{ type: "text", text: `❌ ${t("bulk.noItems")}` }], isError: true };
+    }
 
-  const url = new URL(`${READWISE_V3}${endpoint}`);
-  if (method === "GET") {
-    Object.entries(params).forEach(([k, v]) => {
-      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    const tracked = trackCancellation(`${auth?.grantId}:${extra?.requestId}`, signal);
+    let outcomes;
+    try {
+      outcomes = await runConcurrently(steps, step => perform(step, tracked.signal, t), {
+        signal: tracked.signal,
+        onSettled: progressReporter(extra, name),
+      });
+    } finally {
+      tracked.done();
+    }
+
+    const results = [];
+    const changes = [];
+    const notStarted = [];
+    outcomes.forEach((outcome, i) => {
+      const id = key(steps[i]);
+      if (!outcome) {
+        notStarted.push(id);
+      } else if (outcome.ok) {
+        const { data, change, changes: stepChanges } = outcome.value;
+        if (change) changes.push(change);
+        if (stepChanges) changes.push(...stepChanges);
+        results.push(data === undefined ? { ...id, success: true } : { ...id, success: true, data });
+      } else {
+        if (outcome.error?.changes) changes.push(...outcome.error.changes);
+        results.push(outcome.error?.name === "AbortError"
+          ? { ...id, success: false, cancelled: true, error: t("bulk.cancelledInFlight") }
+          : { ...id, success: false, error: outcome.error.message });
+      }
     });
+    await journal(name, journalArgs(steps.filter((s, i) => outcomes[i])), changes);
+
+    const cancelled = notStarted.length > 0 || results.some(r => r.cancelled);
+    if (!cancelled) {
+      return { content: [{ type: "text", text: JSON.stringify(results, null, 2) }] };
+    }
+    const succeeded = results.filter(r => r.success).length;
+    return { content: [{ type: "text", text: JSON.stringify({
+      cancelled: true,
+      summary: {
+        total: steps.length,
+        succeeded,
+        failed: results.length - succeeded,
+        not_started: notStarted.length,
+      },
+      results,
+      not_started: notStarted,
+    }, null, 2) }] };
   }
 
-  const opts = {
-    method,
-    headers: {
-      Authorization: `Token ${READWISE_API_KEY}`,
-      "Content-Type": "application/json",
-    },
+  // Answer from the mirror when asked to, or by default once it is synced.
+  // Cursors handed out by the live API can only be continued against the API.
+  function useMirror(source, pageCursor) {
+    if (source === "api") return false;
+    if (pageCursor && !isMirrorCursor(pageCursor)) return false;
+    return source === "mirror" || isMirrorCursor(pageCursor) || mirror.isReady();
+  }
+
+  // Highlights the local review schedule draws from (mirror), with their
+  // book's title and author
+  const reviewFilterParams = {
+    book_ids: z.array(z.number()).optional().describe("local: only highlights from these books"),
+    tags: z.array(z.string()).optional().describe("local: only highlights with one of these tags (on the highlight or its book)"),
   };
 
-  if (body && method !== "GET") {
-    opts.body = JSON.stringify(body);
+  async function reviewCandidates({ book_ids, tags }) {
+    await mirror.ready();
+    const { books, highlights } = mirror.snapshot();
+    const wanted = tags?.length ? tags.map(tag => tag.toLowerCase()) : null;
+    return Object.values(highlights)
+      .filter(h => !h.is_discard)
+      .filter(h => !book_ids?.length || book_ids.includes(h.book_id))
+      .filter(h => !wanted || [...tagList(h.tags), ...tagList(books[h.book_id]?.tags)].some(tag => wanted.includes(tag.toLowerCase())))
+      .map(h => ({ ...h, book_title: books[h.book_id]?.title ?? null, book_author: books[h.book_id]?.author ?? null }));
   }
 
-  const res = await fetch(url.toString(), opts);
+  // Document + its highlights, as shown by get_document_for_analysis
+  async function loadDocumentForAnalysis(documentId) {
+    const doc = await getDocument(documentId);
+    if (!doc) return null;
+    const highlightsData = await apiV2("/highlights/", {
+      params: { book_id: documentId, page_size: 100 }
+    });
+    return { doc, highlights: highlightsData.results || [] };
+  }
 
-  if (res.status === 204) return { success: true };
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Readwise v3 API error: ${res.status} ${text}`);
+  // Read-modify-write of a document's notes: edit(notes) returns the new text
+  // and may throw SectionError. The notes are read again just before the
+  // write; if they changed in between (Reader, another client), the edit is
+  // redone on the new text instead of overwriting it, and after
+  // NOTES_WRITE_ATTEMPTS tries nothing is written (SectionError "busy").
+  // null: no such document.
+  function editNotes(documentId, edit, signal) {
+    const noteText = doc => doc.notes || doc.document_note || "";
+    return queueNotesWrite(documentId, async () => {
+      let doc = await getDocument(documentId, { signal });
+      for (let attempt = 1; doc; attempt++) {
+        const before = noteText(doc);
+        const notes = edit(before);
+        const latest = await getDocument(documentId, { signal });
+        if (!latest) return null;
+        if (noteText(latest) !== before) {
+          if (attempt >= NOTES_WRITE_ATTEMPTS) throw new SectionError("busy");
+          doc = latest;
+          continue;
+        }
+        await apiV3(`/update/${documentId}/`, { method: "PATCH", body: { notes }, signal });
+        mirror.patchDocument(documentId, { notes });
+        return { doc, before, notes };
+      }
+      return null;
+    });
   }
 
-  return res.json();
-}
+  // ---------------------------------------------------------------------------
+  // Series (the registry lives in series.js)
+  // ---------------------------------------------------------------------------
+
+  // Documents of a series made before the registry existed, found in the
+  // mirror by its serie: tag or by title. The untitled original counts as
+  // part 1; equal parts go by date.
+  async function legacySeriesDocuments({ tag, title }) {
+    await mirror.ready();
+    const base = title?.toLowerCase();
+    const { results } = await mirror.queryDocuments({
+      limit: DEFAULT_MAX_ITEMS,
+      where: d => !d.parent_id && (
+        (tag && tagList(d.tags).some(name => name.toLowerCase() === tag))
+        || (base && parseSeriesTitle(d.title || "").base.toLowerCase() === base)
+      ),
+    });
+    const part = d => parseSeriesTitle(d.title || "").part ?? 1;
+    const date = d => String(d.created_at || d.saved_at || "");
+    return results.sort((a, b) => part(a) - part(b) || date(a).localeCompare(date(b)));
+  }
 
-// =============================================================================
-// MCP SERVER CON 33 TOOLS
-// =============================================================================
+  // A series from the registry, or adopted into it from the tags and titles
+  // create_continuation used to leave. identifier: series ID, title, serie:
+  // tag or a member's document ID.
+  async function resolveSeries(identifier) {
+    const known = await seriesRegistry.find(identifier);
+    if (known) return known;
+
+    const value = identifier.trim();
+    let docs;
+    if (value.toLowerCase().startsWith(SERIES_TAG)) {
+      docs = await legacySeriesDocuments({ tag: value.toLowerCase() });
+    } else {
+      await mirror.ready();
+      const doc = await mirror.getDocument(value);
+      const tag = doc && tagList(doc.tags).find(name => name.startsWith(SERIES_TAG));
+      docs = doc
+        ? await legacySeriesDocuments({ tag, title: parseSeriesTitle(doc.title || "").base })
+        : await legacySeriesDocuments({ tag: `${SERIES_TAG}${seriesSlug(value)}`, title: value });
+      // A lone untagged document is not a series yet
+      if (doc && !tag && docs.length < 2) return null;
+    }
+    if (docs.length === 0) return null;
+    return seriesRegistry.create({
+      title: parseSeriesTitle(docs[0].title || value).base,
+      members: docs.map((d, i) => ({
+        document_id: d.id,
+        title: d.title,
+        parent_id: i > 0 ? docs[i - 1].id : null,
+        added_at: d.created_at || d.saved_at,
+      })),
+    });
+  }
 
-function createMcpServer() {
-  const server = new McpServer({
-    name: "readwise-mcp-enhanced",
-    version: "2.4.0"
-  });
+  // Brings every member's Reader tags (and numbered part title) in line with
+  // the registry. previousTitle: the series title before a rename, whose
+  // serie: tag and part titles get replaced. Returns the audit changes.
+  async function syncSeriesDocuments(series, { previousTitle = series.title, signal } = {}) {
+    const docs = await resolveDocuments(series.members.map(m => m.document_id), signal);
+    const stale = new Set([`${SERIES_TAG}${seriesSlug(previousTitle)}`, `${SERIES_ID_TAG}${series.id}`]);
+    const changes = [];
+    const titles = new Map();
+
+    for (const member of series.members) {
+      const doc = docs.get(member.document_id);
+      if (!doc) continue;
+      const current = tagList(doc.tags);
+      // The first part continues nothing, so it loses any parent tag
+      const kept = current.filter(tag => !stale.has(tag) && !tag.startsWith(SERIES_PARENT_TAG));
+      const tags = [...new Set([...kept, ...seriesTags(series, member)])];
+      const { base, part } = parseSeriesTitle(doc.title || "");
+      const title = part !== null && base.toLowerCase() === previousTitle.toLowerCase()
+        ? retitleSeriesPart(doc.title, { base: series.title, part: member.part })
+        : doc.title;
+
+      const updates = {};
+      if (title !== doc.title) updates.title = title;
+      if (tags.length !== current.length || tags.some(tag => !current.includes(tag))) updates.tags = tags;
+      if (Object.keys(updates).length === 0) continue;
+      await apiV3(`/update/${doc.id}/`, { method: "PATCH", body: updates, signal });
+      mirror.patchDocument(doc.id, updates);
+      const before = {};
+      if (updates.title) before.title = doc.title;
+      if (updates.tags) before.tags = current;
+      changes.push({ type: "document", id: doc.id, action: "update", before });
+      titles.set(doc.id, title);
+    }
+    return { changes, titles, series: titles.size ? await seriesRegistry.recordTitles(series.id, titles) : series };
+  }
 
   // ===========================================================================
   // HIGHLIGHTS - 11 tools
   // ===========================================================================
 
   // 1. get_highlights
-  server.tool("get_highlights", "Retrieve highlights from your Readwise library with optional filtering", {
+  dataTool("get_highlights", "Retrieve highlights from your Readwise library with optional filtering", {
     page: z.number().optional().describe("Page number for pagination"),
     page_size: z.number().optional().describe("Number of results per page (max 1000)"),
     book_id: z.number().optional().describe("Filter by specific book ID"),
     updated__gt: z.string().optional().describe("Filter highlights updated after this date (ISO 8601)"),
     updated__lt: z.string().optional().describe("Filter highlights updated before this date (ISO 8601)"),
-  }, async (params) => {
-    const data = await apiV2("/highlights/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    source: sourceParam,
+    ...paginationParams,
+  }, "highlights", async ({ source, fetch_all, max_items, ...params }) => {
+    const all = wantsAll({ fetch_all, max_items });
+    const limit = maxItems({ max_items });
+    let data;
+    if (useMirror(source)) {
+      data = await mirror.queryHighlights(all ? { ...params, page: 1, page_size: limit } : params);
+    } else if (all) {
+      const { page, ...filters } = params;
+      data = await fetchAllV2("/highlights/", { params: { ...filters, page_size: 1000 }, maxItems: limit });
+    } else {
+      data = await apiV2("/highlights/", { params });
+    }
+    return data;
   });
 
   // 2. search_highlights
-  server.tool("search_highlights", "Search for highlights in your Readwise library by keyword", {
-    query: z.string().describe("Search query"),
+  dataTool("search_highlights", "Full-text search over highlight text, notes, tags, book titles and authors, ranked by relevance. Supports \"exact phrases\", AND/OR/NOT, -exclusions, (grouping), prefix* and field filters: tag:, author:, title:, note:, text:, color:, category:", {
+    query: z.string().describe("Search query, e.g. 'stoic* author:seneca -tag:draft'"),
     page: z.number().optional(),
-    page_size: z.number().optional(),
-  }, async ({ query, page, page_size }) => {
-    const data = await apiV2("/highlights/", { params: { search: query, page, page_size } });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    page_size: z.number().optional().describe("Results per page (default 20, max 1000)"),
+    sort: z.enum(["relevance", "newest", "oldest"]).optional(),
+    source: z.enum(["mirror", "api"]).optional().describe("Use the local search index (default) or the Readwise API search param"),
+  }, "highlights", async ({ query, page, page_size, sort, source }) => {
+    if (source === "api") {
+      return apiV2("/highlights/", { params: { search: query, page, page_size } });
+    }
+    await mirror.ready();
+    return searchIndex.search(query, { page, page_size, sort });
   });
 
   // 3. create_highlight
-  server.tool("create_highlight", "Create a new highlight in your Readwise library", {
+  tool("create_highlight", "Create a new highlight in your Readwise library", {
     text: z.string().describe("The highlight text (required, max 8191 chars)"),
     title: z.string().optional().describe("Source title (book, article, etc.)"),
     author: z.string().optional().describe("Author name"),
@@ -186,51 +581,63 @@ function createMcpServer() {
       method: "POST",
       body: { highlights: [highlight] }
     });
+    await journal("create_highlight", params, createdHighlights(data));
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 4. update_highlight
-  server.tool("update_highlight", "Update an existing highlight in your Readwise library", {
+  tool("update_highlight", "Update an existing highlight in your Readwise library", {
     highlight_id: z.number().describe("ID of the highlight to update"),
     text: z.string().optional().describe("New highlight text"),
     note: z.string().optional().describe("New note"),
     location: z.number().optional().describe("New location"),
     color: z.enum(["yellow", "blue", "pink", "orange", "green", "purple"]).optional(),
   }, async ({ highlight_id, ...updates }) => {
+    const before = await audit.snapshotHighlight(highlight_id, Object.keys(updates));
     const data = await apiV2(`/highlights/${highlight_id}/`, {
       method: "PATCH",
       body: updates
     });
+    mirror.patchHighlight(highlight_id, updates);
+    await journal("update_highlight", { highlight_id, ...updates }, [{ type: "highlight", id: highlight_id, action: "update", before }]);
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 5. delete_highlight
-  server.tool("delete_highlight", "Delete a highlight from your Readwise library", {
+  tool("delete_highlight", "Delete a highlight from your Readwise library", {
     highlight_id: z.number().describe("ID of the highlight to delete"),
     confirm: z.boolean().describe("Confirm deletion (must be true)"),
-  }, async ({ highlight_id, confirm }) => {
+    locale: localeParam,
+  }, async ({ highlight_id, confirm, locale }) => {
+    const t = translator(locale);
     if (!confirm) {
-      return { content: [{ type: "text", text: "Deletion not confirmed. Set confirm=true to delete." }] };
+      return { content: [{ type: "text", text: t("delete.notConfirmed") }] };
     }
+    const before = await audit.snapshotHighlight(highlight_id);
     await apiV2(`/highlights/${highlight_id}/`, { method: "DELETE" });
-    return { content: [{ type: "text", text: `Highlight ${highlight_id} deleted successfully.` }] };
+    mirror.removeHighlight(highlight_id);
+    await journal("delete_highlight", { highlight_id }, [{ type: "highlight", id: highlight_id, action: "delete", before }]);
+    return { content: [{ type: "text", text: t("highlight.deleted", { id: highlight_id }) }] };
   });
 
   // 6. create_note
-  server.tool("create_note", "Create or update a note on an existing highlight", {
+  tool("create_note", "Create or update a note on an existing highlight", {
     highlight_id: z.number().describe("ID of the highlight"),
     note: z.string().describe("Note text to add"),
   }, async ({ highlight_id, note }) => {
+    const before = await audit.snapshotHighlight(highlight_id, ["note"]);
     const data = await apiV2(`/highlights/${highlight_id}/`, {
       method: "PATCH",
       body: { note }
     });
+    mirror.patchHighlight(highlight_id, { note });
+    await journal("create_note", { highlight_id, note }, [{ type: "highlight", id: highlight_id, action: "update", before }]);
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 7. advanced_search
-  server.tool("advanced_search", "Search highlights with advanced filters and facets", {
-    query: z.string().optional().describe("Search query"),
+  dataTool("advanced_search", "Search highlights with advanced filters and facets", {
+    query: z.string().optional().describe("Search query (same syntax as search_highlights)"),
     book_id: z.number().optional().describe("Filter by book ID"),
     tag: z.string().optional().describe("Filter by tag name"),
     color: z.enum(["yellow", "blue", "pink", "orange", "green", "purple"]).optional(),
@@ -240,76 +647,78 @@ function createMcpServer() {
     updated__lt: z.string().optional().describe("Updated before (ISO 8601)"),
     page: z.number().optional(),
     page_size: z.number().optional(),
-  }, async ({ query, tag, ...params }) => {
-    const searchParams = { ...params };
-    if (query) searchParams.search = query;
-    // Note: tag filtering might need to be done client-side after fetching
-    const data = await apiV2("/highlights/", { params: searchParams });
-
-    // Filter by tag if specified
-    if (tag && data.results) {
-      data.results = data.results.filter(h =>
-        h.tags?.some(t => t.name.toLowerCase() === tag.toLowerCase())
-      );
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    sort: z.enum(["relevance", "newest", "oldest"]).optional(),
+  }, "highlights", async ({ query, page, page_size, sort, ...filters }) => {
+    // Filters run against the whole mirrored library, so counts are exact
+    await mirror.ready();
+    const data = searchIndex.search(query || "", { filters, page, page_size, sort });
+    return data;
   });
 
   // 8. search_by_tag
-  server.tool("search_by_tag", "Search highlights by tag name", {
+  dataTool("search_by_tag", "Search highlights by tag name", {
     tag: z.string().describe("Tag name to search for"),
+    match: z.enum(["contains", "exact", "tree"]).optional()
+      .describe(`contains (default): tag names containing it; exact: that tag only; tree: that tag and its children (tag${TAG_SEPARATOR}...)`),
     page: z.number().optional(),
     page_size: z.number().optional(),
-  }, async ({ tag, page, page_size }) => {
-    // Fetch highlights and filter by tag
-    const data = await apiV2("/highlights/", { params: { page, page_size: page_size || 1000 } });
-
-    if (data.results) {
-      data.results = data.results.filter(h =>
-        h.tags?.some(t => t.name.toLowerCase().includes(tag.toLowerCase()))
-      );
-      data.count = data.results.length;
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  }, "highlights", async ({ tag, match = "contains", page, page_size }) => {
+    // Across every highlight in the mirror
+    await mirror.ready();
+    const needle = tag.toLowerCase();
+    const matches = match === "contains"
+      ? name => name.toLowerCase().includes(needle)
+      : name => matchesTag(name, tag, { children: match === "tree" });
+    const data = searchIndex.search("", {
+      filters: { where: h => tagList(h.tags).some(matches) },
+      page,
+      page_size,
+      sort: "newest",
+    });
+    return data;
   });
 
   // 9. search_by_date
-  server.tool("search_by_date", "Search highlights by date range", {
+  dataTool("search_by_date", "Search highlights by date range", {
     start_date: z.string().describe("Start date (ISO 8601, e.g., 2024-01-01)"),
     end_date: z.string().optional().describe("End date (ISO 8601)"),
     date_field: z.enum(["highlighted_at", "updated"]).optional().describe("Which date to filter by"),
     page: z.number().optional(),
     page_size: z.number().optional(),
-  }, async ({ start_date, end_date, date_field = "highlighted_at", page, page_size }) => {
+  }, "highlights", async ({ start_date, end_date, date_field = "highlighted_at", page, page_size }) => {
     const params = { page, page_size };
     params[`${date_field}__gt`] = start_date;
     if (end_date) params[`${date_field}__lt`] = end_date;
 
-    const data = await apiV2("/highlights/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    return apiV2("/highlights/", { params });
   });
 
   // 10. export_highlights
-  server.tool("export_highlights", "Export all highlights with optional filtering", {
+  dataTool("export_highlights", "Export all highlights with optional filtering", {
     updated_after: z.string().optional().describe("Only export highlights updated after this date (ISO 8601)"),
     book_ids: z.string().optional().describe("Comma-separated list of book IDs to export"),
     page_cursor: z.string().optional().describe("Pagination cursor"),
-  }, async ({ updated_after, book_ids, page_cursor }) => {
+    ...paginationParams,
+  }, "books", async ({ updated_after, book_ids, page_cursor, fetch_all, max_items }) => {
     const params = {};
     if (updated_after) params.updatedAfter = updated_after;
     if (book_ids) params.ids = book_ids;
     if (page_cursor) params.pageCursor = page_cursor;
 
-    const data = await apiV2("/export/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    return wantsAll({ fetch_all, max_items })
+      ? fetchAllV2("/export/", { params, maxItems: maxItems({ max_items }) })
+      : apiV2("/export/", { params });
   });
 
   // 11. get_daily_review
-  server.tool("get_daily_review", "Get your daily review highlights for spaced repetition learning", {}, async () => {
-    const data = await apiV2("/review/");
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  dataTool("get_daily_review", "Get your daily review highlights for spaced repetition learning. scheduler=local returns this server's own FSRS/SM-2 queue instead (due highlights, then new ones); grade each with grade_highlight.", {
+    scheduler: z.enum(["readwise", "local"]).optional().describe("readwise (default): Readwise's daily review; local: this server's schedule"),
+    ...reviewFilterParams,
+    new_limit: z.number().optional().describe("local: new highlights per day (default from REVIEW_NEW_PER_DAY)"),
+    review_limit: z.number().optional().describe("local: reviews per day (default from REVIEW_MAX_PER_DAY)"),
+  }, "highlights", async ({ scheduler = "readwise", book_ids, tags, new_limit, review_limit }) => {
+    if (scheduler === "readwise") return apiV2("/review/");
+    return review.queue(await reviewCandidates({ book_ids, tags }), { newLimit: new_limit, reviewLimit: review_limit });
   });
 
   // ===========================================================================
@@ -317,24 +726,26 @@ function createMcpServer() {
   // ===========================================================================
 
   // 12. get_books
-  server.tool("get_books", "Get a list of books from your Readwise library", {
+  dataTool("get_books", "Get a list of books from your Readwise library", {
     page: z.number().optional(),
     page_size: z.number().optional(),
     category: z.enum(["books", "articles", "tweets", "supplementals", "podcasts"]).optional(),
     source: z.string().optional().describe("Filter by source (kindle, instapaper, etc.)"),
     updated__gt: z.string().optional(),
     updated__lt: z.string().optional(),
-  }, async (params) => {
-    const data = await apiV2("/books/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    // `source` is already the book source filter above
+    data_source: sourceParam,
+  }, "books", async ({ data_source, ...params }) => {
+    return useMirror(data_source)
+      ? mirror.queryBooks(params)
+      : apiV2("/books/", { params });
   });
 
   // 13. get_book
-  server.tool("get_book", "Get details of a specific book by ID", {
+  dataTool("get_book", "Get details of a specific book by ID", {
     book_id: z.number().describe("ID of the book"),
-  }, async ({ book_id }) => {
-    const data = await apiV2(`/books/${book_id}/`);
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  }, "books", async ({ book_id }) => {
+    return apiV2(`/books/${book_id}/`);
   });
 
   // ===========================================================================
@@ -342,36 +753,52 @@ function createMcpServer() {
   // ===========================================================================
 
   // 14. get_documents
-  server.tool("get_documents", "Retrieve documents from your Readwise Reader library", {
+  dataTool("get_documents", "Retrieve documents from your Readwise Reader library", {
     location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional(),
     category: z.enum(["article", "email", "rss", "highlight", "note", "pdf", "epub", "tweet", "video"]).optional(),
     updated_after: z.string().optional().describe("Filter by update date (ISO 8601)"),
+    tag: z.string().optional().describe(`Only documents with this tag or one of its children (tag${TAG_SEPARATOR}...); always read from the mirror`),
     page_cursor: z.string().optional(),
-  }, async ({ location, category, updated_after, page_cursor }) => {
+    source: sourceParam,
+    ...paginationParams,
+  }, "documents", async ({ location, category, updated_after, tag, page_cursor, source, fetch_all, max_items }) => {
     const params = {};
     if (location) params.location = location;
     if (category) params.category = category;
     if (updated_after) params.updatedAfter = updated_after;
     if (page_cursor) params.pageCursor = page_cursor;
 
-    const data = await apiV3("/list/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    const all = wantsAll({ fetch_all, max_items });
+    const limit = maxItems({ max_items });
+    let data;
+    if (tag) {
+      // Reader's list endpoint cannot filter by tag
+      await mirror.ready();
+      const where = d => tagList(d.tags).some(name => matchesTag(name, tag));
+      data = await mirror.queryDocuments(all ? { ...params, limit, where } : { ...params, where });
+    } else if (useMirror(source, page_cursor)) {
+      data = await mirror.queryDocuments(all ? { ...params, limit } : params);
+    } else if (all) {
+      data = await fetchAllV3("/list/", { params, maxItems: limit });
+    } else {
+      data = await apiV3("/list/", { params });
+    }
+    return data;
   });
 
   // 15. get_document
-  server.tool("get_document", "Get a specific document by ID from Readwise Reader", {
+  dataTool("get_document", "Get a specific document by ID from Readwise Reader", {
     document_id: z.string().describe("ID of the document"),
     with_html: z.boolean().optional().describe("Include HTML content"),
-  }, async ({ document_id, with_html }) => {
+  }, "documents", async ({ document_id, with_html }) => {
     const params = { id: document_id };
     if (with_html) params.withHtmlContent = true;
 
-    const data = await apiV3("/list/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    return apiV3("/list/", { params });
   });
 
   // 16. save_document
-  server.tool("save_document", "Save a new document to Readwise Reader. Can save by URL or by providing HTML content directly (bypasses bot protection)", {
+  tool("save_document", "Save a new document to Readwise Reader. Can save by URL or by providing HTML content directly (bypasses bot protection)", {
     url: z.string().describe("URL of the document. For generated content, use a placeholder like 'https://claude.ai/generated/TIMESTAMP'"),
     html: z.string().optional().describe("HTML content to save directly. When provided, Readwise uses this instead of fetching the URL. Wrap text in basic HTML tags."),
     title: z.string().optional().describe("Title of the document (required when using html parameter)"),
@@ -385,102 +812,36 @@ function createMcpServer() {
     notes: z.string().optional().describe("Top-level note for the document"),
   }, async (params) => {
     const data = await apiV3("/save/", { method: "POST", body: params });
+    await journal("save_document", params, [createdDocument(data)]);
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 16b. save_text_content - Save formatted content to Reader
-  server.tool("save_text_content", "Save text/markdown content to Readwise Reader with beautiful formatting. Supports: # headings, **bold**, *italic*, - lists, > quotes, ```code blocks```", {
+  tool("save_text_content", "Save text/markdown content to Readwise Reader with beautiful formatting. Supports: # headings, **bold**, *italic*, - lists, > quotes, ```code blocks```, tables, task lists and footnotes. Pick a template (see list_templates) for the layout around it.", {
     content: z.string().describe("Content in Markdown format"),
     title: z.string().describe("Title of the document"),
     author: z.string().optional().describe("Author name (default: Claude AI)"),
     summary: z.string().optional().describe("Brief summary"),
     tags: z.array(z.string()).optional().describe("Tags to apply"),
     location: z.enum(["new", "later", "archive"]).optional(),
-  }, async ({ content, title, author = "Claude AI", summary, tags, location = "new" }) => {
-
-    // Markdown to HTML converter
-    function md2html(text) {
-      let h = text;
-
-      // Escape HTML entities first
-      h = h.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-
-      // Code blocks ```
-      h = h.replace(/```(\w*)\n([\s\S]*?)```/g, (m, lang, code) =>
-        `<pre style="background:#f6f8fa;padding:16px;border-radius:8px;overflow-x:auto;font-size:14px;line-height:1.5"><code>${code.trim()}</code></pre>`);
-
-      // Inline code `
-      h = h.replace(/`([^`]+)`/g, '<code style="background:#f0f0f0;padding:2px 6px;border-radius:4px;font-size:0.9em">$1</code>');
-
-      // Headings
-      h = h.replace(/^#### (.+)$/gm, '<h4 style="font-size:1.1em;margin:1.5em 0 0.5em;color:#24292f">$1</h4>');
-      h = h.replace(/^### (.+)$/gm, '<h3 style="font-size:1.25em;margin:1.5em 0 0.5em;color:#24292f">$1</h3>');
-      h = h.replace(/^## (.+)$/gm, '<h2 style="font-size:1.5em;margin:1.5em 0 0.5em;color:#24292f;border-bottom:1px solid #eee;padding-bottom:0.3em">$1</h2>');
-      h = h.replace(/^# (.+)$/gm, '<h2 style="font-size:1.5em;margin:1.5em 0 0.5em;color:#24292f;border-bottom:1px solid #eee;padding-bottom:0.3em">$1</h2>');
-
-      // Bold & Italic
-      h = h.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-      h = h.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-      h = h.replace(/\*(.+?)\*/g, '<em>$1</em>');
-      h = h.replace(/_(.+?)_/g, '<em>$1</em>');
-
-      // Links [text](url)
-      h = h.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" style="color:#0969da;text-decoration:none">$1</a>');
-
-      // Blockquotes
-      h = h.replace(/^&gt; (.+)$/gm, '<blockquote style="border-left:4px solid #ddd;margin:1em 0;padding:0.5em 1em;color:#656d76;background:#f6f8fa">$1</blockquote>');
-
-      // Unordered lists
-      h = h.replace(/^[\-\*] (.+)$/gm, '<li style="margin:0.25em 0">$1</li>');
-
-      // Ordered lists
-      h = h.replace(/^\d+\. (.+)$/gm, '<li style="margin:0.25em 0">$1</li>');
-
-      // Wrap consecutive <li> in <ul>
-      h = h.replace(/((?:<li[^>]*>.*<\/li>\s*)+)/g, '<ul style="margin:1em 0;padding-left:2em">$1</ul>');
-
-      // Horizontal rules
-      h = h.replace(/^---$/gm, '<hr style="border:none;border-top:1px solid #eee;margin:2em 0">');
-
-      // Paragraphs
-      const blocks = h.split(/\n\n+/);
-      h = blocks.map(block => {
-        block = block.trim();
-        if (!block) return '';
-        if (/^<(h[1-6]|ul|ol|pre|blockquote|hr)/i.test(block)) return block;
-        return `<p style="margin:1em 0;line-height:1.7">${block.replace(/\n/g, '<br>')}</p>`;
-      }).join('\n');
-
-      return h;
+    template: z.string().optional().describe("Template name (default: article; e.g. meeting_notes, book_summary)"),
+    ...templateParams,
+    locale: localeParam,
+  }, async ({ content, title, author = "Claude AI", summary, tags, location = "new", template = "article", theme, variables, locale }) => {
+    const t = translator(locale);
+    let page;
+    try {
+      page = await templates.render(template, { title, content, theme, locale, variables, values: { author, summary } });
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ ${error.message}` }], isError: true };
     }
 
-    const htmlContent = md2html(content);
-    const now = new Date();
-    const dateStr = now.toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
-
-    const html = `<!DOCTYPE html>
-<html>
-<head>
-<meta charset="UTF-8">
-<title>${title}</title>
-</head>
-<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:680px;margin:0 auto;padding:24px;color:#1f2328;background:#fff">
-<article>
-<h1 style="font-size:2em;margin:0 0 0.5em;color:#1f2328;font-weight:600">${title}</h1>
-<p style="color:#656d76;font-size:0.9em;margin-bottom:2em;padding-bottom:1em;border-bottom:1px solid #eee">
-${author} · ${dateStr}
-</p>
-${htmlContent}
-</article>
-</body>
-</html>`;
-
     const timestamp = Date.now();
     const data = await apiV3("/save/", {
       method: "POST",
       body: {
         url: `https://claude.ai/generated/${timestamp}`,
-        html,
+        html: page,
         title,
         author,
         summary,
@@ -490,12 +851,13 @@ ${htmlContent}
         category: "article"
       }
     });
+    await journal("save_text_content", { content, title, author, summary, tags, location, template, theme, variables, locale }, [createdDocument(data)]);
 
-    return { content: [{ type: "text", text: `✅ Saved "${title}" to Readwise Reader\n\n${JSON.stringify(data, null, 2)}` }] };
+    return { content: [{ type: "text", text: `${t("document.saved", { title })}\n\n${JSON.stringify(data, null, 2)}` }] };
   });
 
   // 17. update_document
-  server.tool("update_document", "Update metadata for an existing document in Readwise Reader", {
+  tool("update_document", "Update metadata for an existing document in Readwise Reader", {
     document_id: z.string().describe("ID of the document to update"),
     title: z.string().optional(),
     author: z.string().optional(),
@@ -508,217 +870,140 @@ ${htmlContent}
     notes: z.string().optional(),
     seen: z.boolean().optional().describe("Mark as read/unread"),
   }, async ({ document_id, ...updates }) => {
+    const before = await audit.snapshotDocument(document_id, Object.keys(updates));
     const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: updates });
+    mirror.patchDocument(document_id, updates);
+    await journal("update_document", { document_id, ...updates }, [{ type: "document", id: document_id, action: "update", before }]);
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 17b. expand_document - Append content to document notes (for iterative workflow)
-  server.tool("expand_document", "Append new content to an existing document's notes. Perfect for iterative analysis: you highlight in Readwise, Claude analyzes and appends insights to the same document.", {
+  tool("expand_document", "Append new content to an existing document's notes. Perfect for iterative analysis: you highlight in Readwise, Claude analyzes and appends insights to the same document.", {
     document_id: z.string().describe("ID of the document to expand"),
     content: z.string().describe("New content to append (supports markdown: # headings, **bold**, *italic*, - lists)"),
     section_title: z.string().optional().describe("Optional title for this section (e.g., 'Analysis #2 - Feb 16')"),
     separator: z.boolean().optional().describe("Add a visual separator before new content (default: true)"),
-  }, async ({ document_id, content, section_title, separator = true }) => {
-    // 1. Fetch current document to get existing notes
-    const docResponse = await apiV3("/list/", { params: { id: document_id } });
-    const results = docResponse.results || [docResponse];
-    const doc = results[0];
-
-    if (!doc) {
-      return { content: [{ type: "text", text: `❌ Document ${document_id} not found` }] };
+    locale: localeParam,
+  }, async ({ document_id, content, section_title, separator = true, locale }, { signal }) => {
+    const t = translator(locale);
+    // Appended to the notes as they are when written, so concurrent
+    // expansions both land
+    const newBlock = sectionBlock({ title: section_title, timestamp: t.dateTime(new Date()), content, separator });
+    let result;
+    try {
+      result = await editNotes(document_id, notes => notes + newBlock, signal);
+    } catch (error) {
+      if (!(error instanceof SectionError)) throw error;
+      return { content: [{ type: "text", text: `❌ ${t("error.notesBusy", { id: document_id })}` }], isError: true };
     }
 
-    const existingNotes = doc.notes || doc.document_note || "";
-    const now = new Date();
-    const timestamp = now.toLocaleString('es-ES', {
-      year: 'numeric', month: 'short', day: 'numeric',
-      hour: '2-digit', minute: '2-digit'
-    });
-
-    // 2. Build new content block
-    let newBlock = "";
-    if (separator) {
-      newBlock += "\n\n───────────────────────────\n\n";
-    }
-    if (section_title) {
-      newBlock += `## ${section_title}\n`;
+    if (!result) {
+      return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: document_id })}` }] };
     }
-    newBlock += `*${timestamp}*\n\n`;
-    newBlock += content;
-
-    // 3. Combine existing + new
-    const updatedNotes = existingNotes + newBlock;
-
-    // 4. Update document
-    const updateResponse = await apiV3(`/update/${document_id}/`, {
-      method: "PATCH",
-      body: { notes: updatedNotes }
-    });
+    await journal("expand_document", { document_id, content, section_title, separator, locale }, [
+      { type: "document", id: document_id, action: "update", before: { notes: result.before } },
+    ]);
 
     return {
       content: [{
         type: "text",
-        text: `✅ Document expanded successfully!\n\n**Document:** ${doc.title}\n**Section added:** ${section_title || '(unnamed)'}\n**Total notes length:** ${updatedNotes.length} chars\n\nThe document notes now contain your accumulated analysis.`
+        text: t("expand.done", { title: result.doc.title, section: section_title || t("expand.unnamed"), length: result.notes.length })
       }]
     };
   });
 
   // 17c. get_document_with_highlights - Get document + all highlights for analysis
-  server.tool("get_document_for_analysis", "Get a document with all its highlights and notes - perfect for Claude to analyze your annotations", {
+  tool("get_document_for_analysis", "Get a document with all its highlights and notes - perfect for Claude to analyze your annotations", {
     document_id: z.string().describe("ID of the document to analyze"),
-  }, async ({ document_id }) => {
-    // Fetch document
-    const docResponse = await apiV3("/list/", { params: { id: document_id } });
-    const results = docResponse.results || [docResponse];
-    const doc = results[0];
-
-    if (!doc) {
-      return { content: [{ type: "text", text: `❌ Document ${document_id} not found` }] };
-    }
-
-    // Fetch highlights for this document
-    const highlightsData = await apiV2("/highlights/", {
-      params: { book_id: document_id, page_size: 100 }
-    });
-
-    // Also try to get from export endpoint for better data
-    let highlights = highlightsData.results || [];
-
-    // Format output for Claude to analyze
-    let output = `# ${doc.title}\n`;
-    output += `**Author:** ${doc.author || 'Unknown'}\n`;
-    output += `**URL:** ${doc.url || doc.source_url || 'N/A'}\n`;
-    output += `**Reading Progress:** ${doc.reading_progress ? Math.round(doc.reading_progress * 100) + '%' : 'Unknown'}\n\n`;
-
-    if (doc.summary) {
-      output += `## Summary\n${doc.summary}\n\n`;
+    locale: localeParam,
+  }, async ({ document_id, locale }) => {
+    const t = translator(locale);
+    const loaded = await loadDocumentForAnalysis(document_id);
+    if (!loaded) {
+      return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: document_id })}` }] };
     }
-
-    if (doc.notes || doc.document_note) {
-      output += `## Document Notes\n${doc.notes || doc.document_note}\n\n`;
-    }
-
-    output += `## Your Highlights & Annotations (${highlights.length})\n\n`;
-
-    highlights.forEach((h, i) => {
-      output += `### Highlight ${i + 1}\n`;
-      output += `> ${h.text}\n\n`;
-      if (h.note) {
-        output += `**Your note:** ${h.note}\n\n`;
-      }
-      if (h.tags && h.tags.length > 0) {
-        output += `**Tags:** ${h.tags.map(t => t.name || t).join(', ')}\n\n`;
-      }
-    });
-
-    return { content: [{ type: "text", text: output }] };
+    return { content: [{ type: "text", text: formatDocumentForAnalysis(loaded.doc, loaded.highlights, t) }] };
   });
 
   // 17d. create_continuation - Create a linked follow-up document for iterative workflow
-  server.tool("create_continuation", "Create a new document as part of a series. Perfect for Claude ↔ Readwise iterative workflow: Claude's analysis becomes a new document you can highlight and annotate.", {
+  tool("create_continuation", "Create a new document as part of a series. Perfect for Claude ↔ Readwise iterative workflow: Claude's analysis becomes a new document you can highlight and annotate.", {
     original_document_id: z.string().describe("ID of the original/previous document in the series"),
     content: z.string().describe("Content for the new document (Markdown supported)"),
-    part_number: z.number().optional().describe("Part number in series (auto-detected if not provided)"),
+    series_id: z.string().optional().describe("Series to add the document to (default: the original document's series, or a new one)"),
+    part_number: z.number().optional().describe("Position in the series; later parts move up one (default: the end)"),
     custom_title: z.string().optional().describe("Custom title (default: auto-generated from original)"),
-  }, async ({ original_document_id, content, part_number, custom_title }) => {
+    template: z.string().optional().describe("Template name (default: series_part)"),
+    ...templateParams,
+    locale: localeParam,
+  }, async ({ original_document_id, content, series_id, part_number, custom_title, template = "series_part", theme, variables, locale }) => {
+    const t = translator(locale);
     // 1. Fetch original document to get title and tags
-    const docResponse = await apiV3("/list/", { params: { id: original_document_id } });
-    const results = docResponse.results || [docResponse];
-    const originalDoc = results[0];
+    const originalDoc = await currentDocument(original_document_id);
 
     if (!originalDoc) {
-      return { content: [{ type: "text", text: `❌ Original document ${original_document_id} not found` }] };
+      return { content: [{ type: "text", text: `❌ ${t("error.originalNotFound", { id: original_document_id })}` }] };
     }
 
-    // 2. Determine series info
+    // 2. Find its series in the registry; a document outside any series
+    // starts one, named after its title without a "Part X" / "Analysis #X" suffix
     const originalTitle = originalDoc.title || "Untitled";
-    // Extract base title (remove existing "Part X" or "Análisis #X" suffix)
-    const baseTitle = originalTitle.replace(/\s*[-–—]\s*(Part|Parte|Análisis|Analysis)\s*#?\d+.*$/i, '').trim();
-
-    // Auto-detect part number by searching for existing parts
-    let detectedPart = part_number;
-    if (!detectedPart) {
-      try {
-        const seriesSearch = await apiV3("/list/", { params: { category: "article" } });
-        const seriesDocs = (seriesSearch.results || []).filter(d =>
-          d.title && d.title.includes(baseTitle) && d.title.match(/(Part|Parte|Análisis|Analysis)\s*#?\d+/i)
-        );
-        detectedPart = seriesDocs.length + 2; // +2 because original is Part 1
-      } catch (e) {
-        detectedPart = 2;
-      }
+    let series = series_id
+      ? await resolveSeries(series_id)
+      : await seriesRegistry.forDocument(originalDoc.id) ?? await resolveSeries(originalDoc.id);
+    if (series_id && !series) {
+      return { content: [{ type: "text", text: `❌ ${t("error.seriesNotFound", { query: series_id })}` }], isError: true };
+    }
+    if (!series) {
+      series = await seriesRegistry.create({
+        title: parseSeriesTitle(originalTitle).base,
+        members: [{ document_id: originalDoc.id, title: originalDoc.title }],
+      });
+    }
+    if (series.status === "closed") {
+      return { content: [{ type: "text", text: `❌ ${t("error.seriesClosed", { title: series.title, id: series.id })}` }], isError: true };
     }
 
     // 3. Generate new title
-    const newTitle = custom_title || `${baseTitle} - Análisis #${detectedPart}`;
-
-    // 4. Convert markdown content to HTML
-    function md2html(text) {
-      let h = text;
-      h = h.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-      h = h.replace(/```(\w*)\n([\s\S]*?)```/g, '<pre style="background:#f6f8fa;padding:16px;border-radius:8px;overflow-x:auto"><code>$2</code></pre>');
-      h = h.replace(/`([^`]+)`/g, '<code style="background:#f0f0f0;padding:2px 6px;border-radius:4px">$1</code>');
-      h = h.replace(/^#### (.+)$/gm, '<h4>$1</h4>');
-      h = h.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-      h = h.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-      h = h.replace(/^# (.+)$/gm, '<h2>$1</h2>');
-      h = h.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-      h = h.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-      h = h.replace(/\*(.+?)\*/g, '<em>$1</em>');
-      h = h.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-      h = h.replace(/^&gt; (.+)$/gm, '<blockquote style="border-left:4px solid #ddd;padding-left:1em;color:#666">$1</blockquote>');
-      h = h.replace(/^[\-\*] (.+)$/gm, '<li>$1</li>');
-      h = h.replace(/((?:<li>.*<\/li>\s*)+)/g, '<ul style="margin:1em 0;padding-left:2em">$1</ul>');
-      h = h.replace(/^---$/gm, '<hr>');
-      const blocks = h.split(/\n\n+/);
-      h = blocks.map(block => {
-        block = block.trim();
-        if (!block) return '';
-        if (/^<(h[1-6]|ul|ol|pre|blockquote|hr)/i.test(block)) return block;
-        return `<p style="margin:1em 0;line-height:1.7">${block.replace(/\n/g, '<br>')}</p>`;
-      }).join('\n');
-      return h;
+    const position = part_number ? Math.min(Math.max(part_number - 1, 1), series.members.length) : series.members.length;
+    const part = position + 1;
+    const newTitle = custom_title || t("series.title", { base: series.title, part });
+
+    // 4. Render the Markdown, with a link back to the original
+    let page;
+    try {
+      page = await templates.render(template, {
+        title: newTitle,
+        content,
+        theme,
+        locale,
+        variables,
+        values: {
+          author: "Claude AI",
+          series: series.title,
+          part: String(part),
+          previous_title: originalTitle,
+          previous_url: originalDoc.url,
+        },
+      });
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ ${error.message}` }], isError: true };
     }
 
-    const htmlContent = md2html(content);
-    const now = new Date();
-    const dateStr = now.toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
-
-    // 5. Create HTML with link back to original
-    const html = `<!DOCTYPE html>
-<html>
-<head><meta charset="UTF-8"><title>${newTitle}</title></head>
-<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:680px;margin:0 auto;padding:24px;color:#1f2328">
-<article>
-<h1 style="font-size:1.8em;margin:0 0 0.5em;color:#1f2328">${newTitle}</h1>
-<p style="color:#656d76;font-size:0.9em;margin-bottom:1em;padding-bottom:1em;border-bottom:1px solid #eee">
-📚 Serie: <strong>${baseTitle}</strong> · Parte ${detectedPart} · ${dateStr}<br>
-🔗 Documento anterior: ${originalTitle}
-</p>
-${htmlContent}
-<hr style="margin:2em 0;border:none;border-top:1px solid #eee">
-<p style="color:#656d76;font-size:0.85em;text-align:center">
-Este documento es parte de una serie de exploración iterativa.<br>
-Haz highlights y notas, luego pide a Claude que continúe el análisis.
-</p>
-</article>
-</body>
-</html>`;
-
-    // 6. Get original tags and add series tag
-    const originalTags = originalDoc.tags || [];
-    const tagNames = originalTags.map(t => typeof t === 'string' ? t : t.name).filter(Boolean);
-    const seriesTag = `serie:${baseTitle.toLowerCase().replace(/\s+/g, '-').substring(0, 30)}`;
-    if (!tagNames.includes(seriesTag)) tagNames.push(seriesTag);
-    tagNames.push('claude-analysis');
-
-    // 7. Save new document
+    // 5. Original tags without its own series bookkeeping, plus this series'
+    const member = { document_id: null, title: newTitle, parent_id: originalDoc.id };
+    const tagNames = [...new Set([
+      ...tagList(originalDoc.tags).filter(tag => !isSeriesTag(tag)),
+      ...seriesTags(series, member),
+      "claude-analysis",
+    ])];
+
+    // 6. Save new document, register it and tag (or renumber) the other parts
     const timestamp = Date.now();
     const newDoc = await apiV3("/save/", {
       method: "POST",
       body: {
         url: `https://claude.ai/series/${timestamp}`,
-        html,
+        html: page,
         title: newTitle,
         author: "Claude AI",
         tags: tagNames,
@@ -727,75 +1012,68 @@ Haz highlights y notas, luego pide a Claude que continúe el análisis.
         category: "article"
       }
     });
+    const changes = [createdDocument(newDoc)];
+    if (newDoc.id) {
+      series = await seriesRegistry.addMember(series.id, { ...member, document_id: newDoc.id }, position);
+      changes.push(...(await syncSeriesDocuments(series)).changes);
+    }
+    await journal("create_continuation", { original_document_id, content, series_id, part_number, custom_title, template, theme, variables, locale }, changes);
 
     return {
       content: [{
         type: "text",
-        text: `✅ **Continuación creada exitosamente!**
-
-**Nuevo documento:** ${newTitle}
-**Parte:** ${detectedPart} de la serie
-**Serie:** ${baseTitle}
-**Tags:** ${tagNames.join(', ')}
-
-El usuario ahora puede:
-1. Abrir este documento en Readwise Reader
-2. Hacer highlights y anotaciones sobre tu análisis
-3. Pedirte que continúes con la siguiente parte
-
-**ID del nuevo documento:** ${newDoc.id || 'ver en Reader'}`
+        text: t("series.created", {
+          title: newTitle,
+          part,
+          series: `${series.title} (${series.id})`,
+          tags: tagNames.join(", "),
+          id: newDoc.id || t("series.idPending"),
+        })
       }]
     };
   });
 
   // 17e. get_document_series - Get all documents in a series for comprehensive analysis
-  server.tool("get_document_series", "Get all documents in a series with their highlights. Perfect for Claude to analyze the complete iterative exploration.", {
-    series_identifier: z.string().describe("Title fragment, tag, or document ID to identify the series"),
+  tool("get_document_series", "Get all documents in a series with their highlights. Perfect for Claude to analyze the complete iterative exploration.", {
+    series_identifier: z.string().describe("Series ID, series title, serie: tag, or the ID of one of its documents"),
     include_highlights: z.boolean().optional().describe("Include highlights from all documents (default: true)"),
-  }, async ({ series_identifier, include_highlights = true }) => {
-    // Search for documents matching the series
-    const searchResponse = await apiV3("/list/", { params: { category: "article" } });
-    const allDocs = searchResponse.results || [];
-
-    // Filter by title containing the identifier or by tag
-    const seriesDocs = allDocs.filter(d => {
-      const titleMatch = d.title && d.title.toLowerCase().includes(series_identifier.toLowerCase());
-      const tagMatch = d.tags && d.tags.some(t => {
-        const tagName = typeof t === 'string' ? t : t.name;
-        return tagName && tagName.toLowerCase().includes(series_identifier.toLowerCase());
-      });
-      const idMatch = d.id === series_identifier;
-      return titleMatch || tagMatch || idMatch;
-    });
+    locale: localeParam,
+  }, async ({ series_identifier, include_highlights = true, locale }) => {
+    const t = translator(locale);
+    const series = await resolveSeries(series_identifier);
 
-    if (seriesDocs.length === 0) {
-      return { content: [{ type: "text", text: `❌ No documents found matching "${series_identifier}"` }] };
+    if (!series) {
+      return { content: [{ type: "text", text: `❌ ${t("error.seriesNotFound", { query: series_identifier })}` }] };
     }
 
-    // Sort by created date or title (to get proper order)
-    seriesDocs.sort((a, b) => {
-      const dateA = new Date(a.created_at || a.saved_at || 0);
-      const dateB = new Date(b.created_at || b.saved_at || 0);
-      return dateA - dateB;
-    });
+    const docs = await resolveDocuments(series.members.map(m => m.document_id));
 
-    let output = `# Serie: ${series_identifier}\n`;
-    output += `**Total documentos:** ${seriesDocs.length}\n\n`;
+    let output = `# ${t("series.heading", { name: series.title })}\n`;
+    output += `**ID:** ${series.id} · **${t("label.status")}:** ${t(`series.${series.status}`)}\n`;
+    if (series.forked_from) {
+      output += `*${t("series.forkedFrom", { id: series.forked_from.series_id, document: series.forked_from.document_id })}*\n`;
+    }
+    output += `**${t("series.total")}:** ${series.members.length}\n\n`;
     output += `---\n\n`;
 
-    for (let i = 0; i < seriesDocs.length; i++) {
-      const doc = seriesDocs[i];
-      output += `## Documento ${i + 1}: ${doc.title}\n`;
-      output += `**ID:** ${doc.id}\n`;
-      output += `**Autor:** ${doc.author || 'Unknown'}\n`;
-      output += `**Progreso:** ${doc.reading_progress ? Math.round(doc.reading_progress * 100) + '%' : 'N/A'}\n\n`;
+    for (const member of series.members) {
+      const doc = docs.get(member.document_id);
+      output += `## ${t("series.document", { n: member.part, title: doc?.title || member.title })}\n`;
+      output += `**ID:** ${member.document_id}\n`;
+      if (member.parent_id) output += `**${t("series.continues")}:** ${member.parent_id}\n`;
+      if (!doc) {
+        output += `\n*${t("series.missing")}*\n\n---\n\n`;
+        continue;
+      }
+      output += `**${t("label.author")}:** ${doc.author || t("value.unknown")}\n`;
+      output += `**${t("label.progress")}:** ${formatProgress(doc.reading_progress, t("value.na"))}\n\n`;
 
       if (doc.summary) {
-        output += `### Resumen\n${doc.summary}\n\n`;
+        output += `### ${t("label.summary")}\n${doc.summary}\n\n`;
       }
 
       if (doc.notes || doc.document_note) {
-        output += `### Notas del documento\n${doc.notes || doc.document_note}\n\n`;
+        output += `### ${t("series.documentNotes")}\n${doc.notes || doc.document_note}\n\n`;
       }
 
       if (include_highlights) {
@@ -804,108 +1082,133 @@ El usuario ahora puede:
           const highlights = highlightsData.results || [];
 
           if (highlights.length > 0) {
-            output += `### Highlights (${highlights.length})\n\n`;
-            highlights.forEach((h, j) => {
+            output += `### ${t("format.highlights", { count: highlights.length })}\n\n`;
+            highlights.forEach(h => {
               output += `> ${h.text}\n`;
-              if (h.note) output += `**Nota:** ${h.note}\n`;
+              if (h.note) output += `**${t("label.note")}:** ${h.note}\n`;
               output += `\n`;
             });
           }
         } catch (e) {
-          output += `*No se pudieron cargar highlights*\n\n`;
+          output += `*${t("series.highlightsFailed")}*\n\n`;
         }
       }
 
       output += `---\n\n`;
     }
 
-    output += `\n**Para continuar la serie:** usa create_continuation con el ID del último documento.`;
+    output += `\n${t("series.next")}`;
 
     return { content: [{ type: "text", text: output }] };
   });
 
   // 18. delete_document
-  server.tool("delete_document", "Delete a document from your Readwise Reader library", {
+  tool("delete_document", "Delete a document from your Readwise Reader library", {
     document_id: z.string().describe("ID of the document to delete"),
     confirm: z.boolean().describe("Confirm deletion (must be true)"),
-  }, async ({ document_id, confirm }) => {
+    locale: localeParam,
+  }, async ({ document_id, confirm, locale }) => {
+    const t = translator(locale);
     if (!confirm) {
-      return { content: [{ type: "text", text: "Deletion not confirmed. Set confirm=true to delete." }] };
+      return { content: [{ type: "text", text: t("delete.notConfirmed") }] };
     }
+    const before = await audit.snapshotDocument(document_id);
     await apiV3(`/delete/${document_id}/`, { method: "DELETE" });
-    return { content: [{ type: "text", text: `Document ${document_id} deleted successfully.` }] };
+    mirror.removeDocument(document_id);
+    await journal("delete_document", { document_id }, [{ type: "document", id: document_id, action: "delete", before }]);
+    return { content: [{ type: "text", text: t("document.deleted", { id: document_id }) }] };
   });
 
   // 19. document_tags
-  server.tool("document_tags", "Get, add, or update tags for a document in Readwise Reader", {
+  tool("document_tags", "Get, add, or update tags for a document in Readwise Reader", {
     document_id: z.string().describe("ID of the document"),
     action: z.enum(["get", "set", "add", "remove"]).describe("Action to perform"),
     tags: z.array(z.string()).optional().describe("Tags to set/add/remove"),
-  }, async ({ document_id, action, tags }) => {
+    locale: localeParam,
+  }, async ({ document_id, action, tags, locale }) => {
+    const t = translator(locale);
     if (action === "get") {
       const data = await apiV3("/list/", { params: { id: document_id } });
       const doc = data.results?.[0];
       return { content: [{ type: "text", text: JSON.stringify(doc?.tags || [], null, 2) }] };
     }
 
+    if (!actionScopes("document_tags", action).every(scope => scopes.includes(scope))) {
+      return { content: [{ type: "text", text: `❌ ${t("error.tagsWriteScope", { scopes: scopes.join(", ") })}` }], isError: true };
+    }
+
     if (!tags || tags.length === 0) {
-      return { content: [{ type: "text", text: "Tags array required for this action." }] };
+      return { content: [{ type: "text", text: t("error.tagsRequired") }] };
     }
 
     if (action === "set") {
+      const before = await audit.snapshotDocument(document_id, ["tags"]);
       const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: { tags } });
+      mirror.patchDocument(document_id, { tags });
+      await journal("document_tags", { document_id, action, tags }, [{ type: "document", id: document_id, action: "update", before }]);
       return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
     }
 
     if (action === "add" || action === "remove") {
-      // First get current tags
-      const current = await apiV3("/list/", { params: { id: document_id } });
-      const doc = current.results?.[0];
-      let currentTags = doc?.tags || [];
-
-      if (action === "add") {
-        currentTags = [...new Set([...currentTags, ...tags])];
-      } else {
-        currentTags = currentTags.filter(t => !tags.includes(t));
+      const before = await audit.snapshotDocument(document_id, ["tags"]);
+      if (!before) {
+        return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: document_id })}` }], isError: true };
       }
+      const newTags = action === "add"
+        ? [...new Set([...before.tags, ...tags])]
+        : before.tags.filter(tag => !tags.includes(tag));
 
-      const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: { tags: currentTags } });
+      const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: { tags: newTags } });
+      mirror.patchDocument(document_id, { tags: newTags });
+      await journal("document_tags", { document_id, action, tags }, [{ type: "document", id: document_id, action: "update", before }]);
       return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
     }
 
-    return { content: [{ type: "text", text: "Invalid action" }] };
+    return { content: [{ type: "text", text: t("error.invalidAction") }] };
   });
 
   // 20. bulk_save_documents
-  server.tool("bulk_save_documents", "Save multiple documents to Readwise Reader in bulk", {
+  tool("bulk_save_documents", "Save multiple documents to Readwise Reader in bulk. Use dry_run=true first to see which URLs are already saved.", {
     documents: z.array(z.object({
       url: z.string(),
       title: z.string().optional(),
       author: z.string().optional(),
       tags: z.array(z.string()).optional(),
       location: z.enum(["new", "later", "archive", "feed"]).optional(),
-    })).describe("Array of documents to save"),
-    confirm: z.boolean().describe("Confirm bulk operation (must be true)"),
-  }, async ({ documents, confirm }) => {
-    if (!confirm) {
-      return { content: [{ type: "text", text: `Bulk save not confirmed. This will save ${documents.length} documents. Set confirm=true.` }] };
-    }
-
-    const results = [];
-    for (const doc of documents) {
-      try {
-        const data = await apiV3("/save/", { method: "POST", body: doc });
-        results.push({ url: doc.url, success: true, data });
-      } catch (error) {
-        results.push({ url: doc.url, success: false, error: error.message });
-      }
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(results, null, 2) }] };
-  });
+    })).optional().describe("Array of documents to save (not needed with preview_token)"),
+    confirm: z.boolean().optional().describe("Confirm bulk operation (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  }, async ({ documents, ...run }, extra) => runBulk("bulk_save_documents", documents, run, extra, {
+    describe: "bulk.save",
+    direct: items => items.map(document => ({ url: document.url, document })),
+    plan: async items => {
+      const saved = await savedDocumentsByUrl(items.map(d => d.url));
+      const seen = new Set();
+      return items.map(document => {
+        const key = normalizeUrl(document.url);
+        const step = { url: document.url, document };
+        const existing = saved.get(key);
+        if (existing) {
+          step.skip = "already_saved";
+          step.existing = { id: existing.id, ...documentView(existing) };
+        } else if (seen.has(key)) {
+          step.skip = "duplicate_in_request";
+        }
+        seen.add(key);
+        return step;
+      });
+    },
+    perform: async ({ document }, signal) => {
+      const data = await apiV3("/save/", { method: "POST", body: document, signal });
+      return { data, change: createdDocument(data) };
+    },
+    key: ({ url }) => ({ url }),
+    journalArgs: steps => ({ documents: steps.map(s => s.document) }),
+  }));
 
   // 21. bulk_update_documents
-  server.tool("bulk_update_documents", "Update multiple documents in Readwise Reader in bulk", {
+  tool("bulk_update_documents", "Update multiple documents in Readwise Reader in bulk. Use dry_run=true first to see current values next to the changes.", {
     updates: z.array(z.object({
       document_id: z.string(),
       title: z.string().optional(),
@@ -913,105 +1216,264 @@ El usuario ahora puede:
       location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional(),
       tags: z.array(z.string()).optional(),
       seen: z.boolean().optional(),
-    })).describe("Array of updates"),
-    confirm: z.boolean().describe("Confirm bulk operation (must be true)"),
-  }, async ({ updates, confirm }) => {
-    if (!confirm) {
-      return { content: [{ type: "text", text: `Bulk update not confirmed. This will update ${updates.length} documents. Set confirm=true.` }] };
-    }
-
-    const results = [];
-    for (const { document_id, ...updateData } of updates) {
-      try {
-        const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: updateData });
-        results.push({ document_id, success: true, data });
-      } catch (error) {
-        results.push({ document_id, success: false, error: error.message });
-      }
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(results, null, 2) }] };
-  });
+    })).optional().describe("Array of updates (not needed with preview_token)"),
+    confirm: z.boolean().optional().describe("Confirm bulk operation (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  }, async ({ updates, ...run }, extra) => runBulk("bulk_update_documents", updates, run, extra, {
+    describe: "bulk.update",
+    direct: items => items.map(({ document_id, ...fields }) => ({
+      document_id,
+      changes: Object.fromEntries(Object.entries(fields).map(([field, to]) => [field, { to }])),
+    })),
+    plan: async (items, signal) => {
+      const docs = await resolveDocuments(items.map(u => u.document_id), signal);
+      return items.map(({ document_id, ...fields }) => {
+        const doc = docs.get(document_id);
+        if (!doc) return { document_id, skip: "not_found" };
+        const changes = {};
+        for (const [field, to] of Object.entries(fields)) {
+          const from = field === "tags" ? tagList(doc.tags) : doc[field] ?? null;
+          const same = field === "tags" ? [...from].sort().join("\n") === [...to].sort().join("\n") : from === to;
+          if (!same) changes[field] = { from, to };
+        }
+        const step = { document_id, current: documentView(doc), changes };
+        if (Object.keys(changes).length === 0) step.skip = "no_change";
+        return step;
+      });
+    },
+    perform: async ({ document_id, changes }, signal) => {
+      const updateData = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+      const before = await audit.snapshotDocument(document_id, Object.keys(updateData), { signal });
+      const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: updateData, signal });
+      mirror.patchDocument(document_id, updateData);
+      return { data, change: { type: "document", id: document_id, action: "update", before } };
+    },
+    key: ({ document_id }) => ({ document_id }),
+    journalArgs: steps => ({
+      updates: steps.map(s => ({
+        document_id: s.document_id,
+        ...Object.fromEntries(Object.entries(s.changes).map(([field, { to }]) => [field, to])),
+      })),
+    }),
+  }));
 
   // 22. bulk_delete_documents
-  server.tool("bulk_delete_documents", "Delete multiple documents from Readwise Reader in bulk", {
-    document_ids: z.array(z.string()).describe("Array of document IDs to delete"),
-    confirm: z.boolean().describe("Confirm bulk deletion (must be true)"),
-  }, async ({ document_ids, confirm }) => {
-    if (!confirm) {
-      return { content: [{ type: "text", text: `Bulk delete not confirmed. This will DELETE ${document_ids.length} documents permanently. Set confirm=true.` }] };
-    }
-
-    const results = [];
-    for (const document_id of document_ids) {
-      try {
-        await apiV3(`/delete/${document_id}/`, { method: "DELETE" });
-        results.push({ document_id, success: true });
-      } catch (error) {
-        results.push({ document_id, success: false, error: error.message });
-      }
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(results, null, 2) }] };
-  });
+  tool("bulk_delete_documents", "Delete multiple documents from Readwise Reader in bulk. Use dry_run=true first to see exactly what would be deleted.", {
+    document_ids: z.array(z.string()).optional().describe("Array of document IDs to delete (not needed with preview_token)"),
+    confirm: z.boolean().optional().describe("Confirm bulk deletion (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  }, async ({ document_ids, ...run }, extra) => runBulk("bulk_delete_documents", document_ids, run, extra, {
+    describe: "bulk.delete",
+    direct: items => items.map(document_id => ({ document_id })),
+    plan: async (items, signal) => {
+      const docs = await resolveDocuments(items, signal);
+      return [...new Set(items)].map(document_id => {
+        const doc = docs.get(document_id);
+        return doc ? { document_id, current: documentView(doc) } : { document_id, skip: "not_found" };
+      });
+    },
+    perform: async ({ document_id }, signal) => {
+      // Full snapshot (with HTML) so undo_operation can save it again
+      const before = await audit.snapshotDocument(document_id, undefined, { signal });
+      await apiV3(`/delete/${document_id}/`, { method: "DELETE", signal });
+      mirror.removeDocument(document_id);
+      return { change: { type: "document", id: document_id, action: "delete", before } };
+    },
+    key: ({ document_id }) => ({ document_id }),
+    journalArgs: steps => ({ document_ids: steps.map(s => s.document_id) }),
+  }));
 
   // 23. get_recent_content
-  server.tool("get_recent_content", "Get the most recently added or updated content from your Readwise library", {
+  dataTool("get_recent_content", "Get the most recently added or updated content from your Readwise library", {
     hours_ago: z.number().optional().describe("Get content from the last N hours (default 24)"),
     category: z.string().optional(),
     location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional(),
-  }, async ({ hours_ago = 24, category, location }) => {
+    ...paginationParams,
+  }, "documents", async ({ hours_ago = 24, category, location, fetch_all, max_items }) => {
     const date = new Date(Date.now() - hours_ago * 60 * 60 * 1000);
     const params = { updatedAfter: date.toISOString() };
     if (category) params.category = category;
     if (location) params.location = location;
 
-    const data = await apiV3("/list/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    return wantsAll({ fetch_all, max_items })
+      ? fetchAllV3("/list/", { params, maxItems: maxItems({ max_items }) })
+      : apiV3("/list/", { params });
   });
 
   // ===========================================================================
-  // TAGS - 2 tools
+  // TAGS - 6 tools
   // ===========================================================================
 
   // 24. get_tags
-  server.tool("get_tags", "Get a list of all tags from your Readwise library", {
+  tool("get_tags", "Get a list of all tags from your Readwise library", {
     page_cursor: z.string().optional(),
-  }, async ({ page_cursor }) => {
+    ...paginationParams,
+  }, async ({ page_cursor, fetch_all, max_items }) => {
     const params = {};
     if (page_cursor) params.pageCursor = page_cursor;
 
-    const data = await apiV3("/tags/", { params });
+    const data = wantsAll({ fetch_all, max_items })
+      ? await fetchAllV3("/tags/", { params, maxItems: maxItems({ max_items }) })
+      : await apiV3("/tags/", { params });
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 25. bulk_tags
-  server.tool("bulk_tags", "Add tags to multiple documents in Readwise Reader", {
-    document_ids: z.array(z.string()).describe("Array of document IDs"),
-    tags: z.array(z.string()).describe("Tags to add to all documents"),
-    confirm: z.boolean().describe("Confirm bulk operation (must be true)"),
-  }, async ({ document_ids, tags, confirm }) => {
-    if (!confirm) {
-      return { content: [{ type: "text", text: `Bulk tag not confirmed. This will add tags to ${document_ids.length} documents. Set confirm=true.` }] };
+  tool("bulk_tags", "Add tags to multiple documents in Readwise Reader. Use dry_run=true first to see each document's current tags.", {
+    document_ids: z.array(z.string()).optional().describe("Array of document IDs (not needed with preview_token)"),
+    tags: z.array(z.string()).optional().describe("Tags to add to all documents"),
+    confirm: z.boolean().optional().describe("Confirm bulk operation (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  }, async ({ document_ids, tags = [], ...run }, extra) => runBulk("bulk_tags", document_ids, run, extra, {
+    describe: "bulk.tags",
+    direct: items => items.map(document_id => ({ document_id, add: tags })),
+    plan: async (items, signal) => {
+      const docs = await resolveDocuments(items, signal);
+      return [...new Set(items)].map(document_id => {
+        const doc = docs.get(document_id);
+        if (!doc) return { document_id, skip: "not_found" };
+        const current = documentView(doc);
+        const added = tags.filter(t => !current.tags.includes(t));
+        const step = { document_id, current, added, tags: [...new Set([...current.tags, ...tags])] };
+        if (added.length === 0) step.skip = "no_change";
+        return step;
+      });
+    },
+    perform: async (step, signal, t) => {
+      const { document_id } = step;
+      // Read live: the mirror may be a sync interval behind, and tags added in
+      // Reader since must not be overwritten
+      const before = await audit.snapshotDocument(document_id, ["tags"], { signal });
+      if (!before) throw new Error(t("error.documentNotFound", { id: document_id }));
+      // A previewed plan is applied as the change it showed
+      const newTags = step.tags
+        ? applyTagChange(before.tags, { from: step.current.tags, to: step.tags })
+        : [...new Set([...before.tags, ...step.add])];
+      await apiV3(`/update/${document_id}/`, { method: "PATCH", body: { tags: newTags }, signal });
+      mirror.patchDocument(document_id, { tags: newTags });
+      return { change: { type: "document", id: document_id, action: "update", before } };
+    },
+    key: ({ document_id }) => ({ document_id }),
+    journalArgs: steps => ({
+      document_ids: steps.map(s => s.document_id),
+      tags: [...new Set(steps.flatMap(s => s.add || s.added))],
+    }),
+  }));
+
+  // Renaming, merging and deleting tags walk the whole mirrored library.
+  // Documents are Reader's top-level ones; highlights made in Reader are
+  // covered through the v2 highlights they sync to.
+  async function retagSteps(rules) {
+    await mirror.ready();
+    const steps = [];
+    const { results } = await mirror.queryDocuments({ limit: Infinity, where: d => !d.parent_id });
+    for (const doc of results) {
+      const from = tagList(doc.tags);
+      const to = retag(from, rules);
+      if (to) steps.push({ type: "document", id: doc.id, title: doc.title, from, to });
     }
-
-    const results = [];
-    for (const document_id of document_ids) {
-      try {
-        // Get current tags
-        const current = await apiV3("/list/", { params: { id: document_id } });
-        const doc = current.results?.[0];
-        const currentTags = doc?.tags || [];
-        const newTags = [...new Set([...currentTags, ...tags])];
-
-        const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body: { tags: newTags } });
-        results.push({ document_id, success: true });
-      } catch (error) {
-        results.push({ document_id, success: false, error: error.message });
-      }
+    for (const h of Object.values(mirror.snapshot().highlights)) {
+      const from = tagList(h.tags);
+      const to = retag(from, rules);
+      if (to) steps.push({ type: "highlight", id: h.id, book_id: h.book_id, from, to });
     }
+    return steps;
+  }
 
-    return { content: [{ type: "text", text: JSON.stringify(results, null, 2) }] };
+  // A step's change applied to the tags as they are now, so tags added since
+  // the mirror last synced (or the preview was made) stay
+  function applyTagChange(current, { from, to }) {
+    const lower = tags => tags.map(tag => tag.toLowerCase());
+    const dropped = lower(from).filter(tag => !lower(to).includes(tag));
+    const kept = current.filter(tag => !dropped.includes(tag.toLowerCase()));
+    return [...kept, ...to.filter(tag => !lower(kept).includes(tag.toLowerCase()))];
+  }
+
+  // tags: the tags being renamed, merged or deleted (for the confirmation
+  // message); rules: what retag() applies, null with a preview_token
+  function retagLibrary(name, tags, rules, run, extra) {
+    return runBulk(name, tags, run, extra, {
+      describe: "bulk.retag",
+      direct: () => retagSteps(rules),
+      plan: () => retagSteps(rules),
+      perform: async (step, signal, t) => {
+        if (step.type === "document") {
+          const before = await audit.snapshotDocument(step.id, ["tags"], { signal });
+          if (!before) throw new Error(t("error.documentNotFound", { id: step.id }));
+          const tags = applyTagChange(before.tags, step);
+          await apiV3(`/update/${step.id}/`, { method: "PATCH", body: { tags }, signal });
+          mirror.patchDocument(step.id, { tags });
+          return { data: { tags }, change: { type: "document", id: step.id, action: "update", before } };
+        }
+        const before = await audit.snapshotHighlight(step.id, ["tags"]);
+        const tags = await setHighlightTags(step.id, { tags: applyTagChange(before.tags, step), signal });
+        mirror.patchHighlight(step.id, { tags });
+        return { data: { tags: tagList(tags) }, change: { type: "highlight", id: step.id, action: "update", before } };
+      },
+      key: ({ type, id }) => ({ type, id }),
+      journalArgs: steps => ({
+        removed: [...new Set(steps.flatMap(s => s.from.filter(tag => !s.to.includes(tag))))],
+        added: [...new Set(steps.flatMap(s => s.to.filter(tag => !s.from.includes(tag))))],
+        documents: steps.filter(s => s.type === "document").length,
+        highlights: steps.filter(s => s.type === "highlight").length,
+      }),
+    });
+  }
+
+  // 25b. get_tag_usage
+  tool("get_tag_usage", `Count how often each tag is used on Reader documents and on highlights, most used first. Tags containing "${TAG_SEPARATOR}" are children of what precedes it (serie${TAG_SEPARATOR}stoicism is a child of serie); tree=true nests them under their parents.`, {
+    tag: z.string().optional().describe("Only this tag and its children"),
+    tree: z.boolean().optional().describe("Nest child tags under their parent, with totals including the children"),
+    limit: z.number().optional().describe("Tags (or top-level tags with tree=true) to return (default 200)"),
+  }, async ({ tag, tree = false, limit = 200 }) => {
+    await mirror.ready();
+    const { results } = await mirror.queryDocuments({ limit: Infinity, where: d => !d.parent_id });
+    let usage = tagUsage({ documents: results, highlights: Object.values(mirror.snapshot().highlights) });
+    if (tag) usage = usage.filter(entry => matchesTag(entry.tag, tag));
+    const tags = tree ? tagTree(usage) : usage;
+    const data = { count: usage.length, separator: TAG_SEPARATOR, tags: tags.slice(0, limit) };
+    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  });
+
+  const retagParams = {
+    confirm: z.boolean().optional().describe("Confirm the change (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  };
+
+  // 25c. rename_tag
+  tool("rename_tag", `Rename a tag on every Reader document and highlight. Its children are renamed along with it (ml${TAG_SEPARATOR}deep -> machine-learning${TAG_SEPARATOR}deep) unless include_children=false. Renaming onto a tag an item already has merges the two. Use dry_run=true first.`, {
+    from: z.string().trim().min(1).optional().describe("Current tag name (not needed with preview_token)"),
+    to: z.string().trim().min(1).optional().describe("New tag name"),
+    include_children: z.boolean().optional().describe("Also rename its child tags (default true)"),
+    ...retagParams,
+  }, async ({ from, to, include_children = true, ...run }, extra) => {
+    const rules = from && to ? { rename: [{ from, to }], children: include_children } : null;
+    return retagLibrary("rename_tag", rules && [from], rules, run, extra);
+  });
+
+  // 25d. merge_tags
+  tool("merge_tags", "Merge synonym tags (e.g. ml, machine-learning) into one on every Reader document and highlight: each is renamed to `into`, children included. Use dry_run=true first.", {
+    tags: z.array(z.string().trim().min(1)).optional().describe("Tags to merge away (not needed with preview_token)"),
+    into: z.string().trim().min(1).optional().describe("The tag they become; may be new or one of them"),
+    include_children: z.boolean().optional().describe("Also merge their child tags (default true)"),
+    ...retagParams,
+  }, async ({ tags, into, include_children = true, ...run }, extra) => {
+    const rules = tags?.length && into ? { rename: tags.map(from => ({ from, to: into })), children: include_children } : null;
+    return retagLibrary("merge_tags", rules && tags, rules, run, extra);
+  });
+
+  // 25e. delete_tag
+  tool("delete_tag", "Remove a tag from every Reader document and highlight, with its children unless include_children=false. The documents and highlights themselves stay. Use dry_run=true first.", {
+    tag: z.string().trim().min(1).optional().describe("Tag to remove (not needed with preview_token)"),
+    include_children: z.boolean().optional().describe("Also remove its child tags (default true)"),
+    ...retagParams,
+  }, async ({ tag, include_children = true, ...run }, extra) => {
+    const rules = tag ? { remove: [tag], children: include_children } : null;
+    return retagLibrary("delete_tag", rules && [tag], rules, run, extra);
   });
 
   // ===========================================================================
@@ -1019,14 +1481,15 @@ El usuario ahora puede:
   // ===========================================================================
 
   // 26. get_reading_progress
-  server.tool("get_reading_progress", "Get the reading progress of a document", {
+  tool("get_reading_progress", "Get the reading progress of a document", {
     document_id: z.string().describe("ID of the document"),
-  }, async ({ document_id }) => {
+    locale: localeParam,
+  }, async ({ document_id, locale }) => {
     const data = await apiV3("/list/", { params: { id: document_id } });
     const doc = data.results?.[0];
 
     if (!doc) {
-      return { content: [{ type: "text", text: "Document not found" }] };
+      return { content: [{ type: "text", text: translator(locale)("error.documentNotFound", { id: document_id }) }] };
     }
 
     return { content: [{ type: "text", text: JSON.stringify({
@@ -1040,7 +1503,7 @@ El usuario ahora puede:
   });
 
   // 27. update_reading_progress
-  server.tool("update_reading_progress", "Update the reading progress of a document", {
+  tool("update_reading_progress", "Update the reading progress of a document", {
     document_id: z.string().describe("ID of the document"),
     reading_progress: z.number().min(0).max(1).describe("Progress from 0.0 to 1.0"),
     seen: z.boolean().optional().describe("Mark as seen/read"),
@@ -1048,49 +1511,52 @@ El usuario ahora puede:
     const body = { reading_progress };
     if (seen !== undefined) body.seen = seen;
 
+    const before = await audit.snapshotDocument(document_id, Object.keys(body));
     const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body });
+    mirror.patchDocument(document_id, body);
+    await journal("update_reading_progress", { document_id, reading_progress, seen }, [{ type: "document", id: document_id, action: "update", before }]);
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 28. get_reading_list
-  server.tool("get_reading_list", "Get a list of documents with their reading progress", {
+  dataTool("get_reading_list", "Get a list of documents with their reading progress", {
     location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional(),
     min_progress: z.number().optional().describe("Minimum reading progress (0.0-1.0)"),
     max_progress: z.number().optional().describe("Maximum reading progress (0.0-1.0)"),
     page_cursor: z.string().optional(),
-  }, async ({ location, min_progress, max_progress, page_cursor }) => {
+    source: sourceParam,
+    ...paginationParams,
+  }, "documents", async ({ location, min_progress, max_progress, page_cursor, source, fetch_all, max_items }) => {
     const params = {};
     if (location) params.location = location;
     if (page_cursor) params.pageCursor = page_cursor;
 
-    const data = await apiV3("/list/", { params });
-
-    // Filter by progress if specified
-    if (data.results && (min_progress !== undefined || max_progress !== undefined)) {
-      data.results = data.results.filter(doc => {
-        const progress = doc.reading_progress || 0;
-        if (min_progress !== undefined && progress < min_progress) return false;
-        if (max_progress !== undefined && progress > max_progress) return false;
-        return true;
+    const inProgressRange = doc => {
+      const progress = doc.reading_progress || 0;
+      if (min_progress !== undefined && progress < min_progress) return false;
+      if (max_progress !== undefined && progress > max_progress) return false;
+      return true;
+    };
+    const filtering = min_progress !== undefined || max_progress !== undefined;
+    const limit = maxItems({ max_items });
+
+    // Progress filters are client-side, so they need the whole list to be exact
+    let data;
+    if (useMirror(source, page_cursor)) {
+      data = await mirror.queryDocuments({
+        ...params,
+        where: inProgressRange,
+        ...(wantsAll({ fetch_all, max_items }) ? { limit } : {}),
       });
+    } else if (filtering || wantsAll({ fetch_all, max_items })) {
+      data = await fetchAllV3("/list/", { params, maxItems: limit });
+      data.results = data.results.filter(inProgressRange);
+      data.count = data.results.length;
+    } else {
+      data = await apiV3("/list/", { params });
     }
 
-    // Return simplified reading list
-    const readingList = data.results?.map(doc => ({
-      id: doc.id,
-      title: doc.title,
-      author: doc.author,
-      reading_progress: doc.reading_progress,
-      word_count: doc.word_count,
-      location: doc.location,
-      category: doc.category,
-    }));
-
-    return { content: [{ type: "text", text: JSON.stringify({
-      count: readingList?.length,
-      results: readingList,
-      nextPageCursor: data.nextPageCursor
-    }, null, 2) }] };
+    return data;
   });
 
   // ===========================================================================
@@ -1098,34 +1564,33 @@ El usuario ahora puede:
   // ===========================================================================
 
   // 29. get_videos
-  server.tool("get_videos", "Get videos from your Readwise Reader library", {
+  dataTool("get_videos", "Get videos from your Readwise Reader library", {
     location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional(),
     page_cursor: z.string().optional(),
-  }, async ({ location, page_cursor }) => {
+    ...paginationParams,
+  }, "documents", async ({ location, page_cursor, fetch_all, max_items }) => {
     const params = { category: "video" };
     if (location) params.location = location;
     if (page_cursor) params.pageCursor = page_cursor;
 
-    const data = await apiV3("/list/", { params });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+    return wantsAll({ fetch_all, max_items })
+      ? fetchAllV3("/list/", { params, maxItems: maxItems({ max_items }) })
+      : apiV3("/list/", { params });
   });
 
   // 30. get_video
-  server.tool("get_video", "Get details of a specific video by document ID", {
+  dataTool("get_video", "Get details of a specific video by document ID", {
     document_id: z.string().describe("ID of the video document"),
-  }, async ({ document_id }) => {
+  }, "documents", async ({ document_id }) => {
     const data = await apiV3("/list/", { params: { id: document_id } });
     const video = data.results?.[0];
 
-    if (!video || video.category !== "video") {
-      return { content: [{ type: "text", text: "Video not found or document is not a video" }] };
-    }
-
-    return { content: [{ type: "text", text: JSON.stringify(video, null, 2) }] };
-  });
+    if (!video || video.category !== "video") return null;
+    return video;
+  }, { notFound: "error.notAVideo" });
 
   // 31. create_video_highlight
-  server.tool("create_video_highlight", "Create a highlight on a video at a specific timestamp", {
+  tool("create_video_highlight", "Create a highlight on a video at a specific timestamp", {
     video_title: z.string().describe("Title of the video"),
     video_url: z.string().describe("URL of the video"),
     text: z.string().describe("Highlight text/transcript"),
@@ -1149,21 +1614,21 @@ El usuario ahora puede:
       method: "POST",
       body: { highlights: [highlight] }
     });
+    await journal("create_video_highlight", { video_title, video_url, text, timestamp_seconds, note, author }, createdHighlights(data));
     return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
   });
 
   // 32. get_video_highlights
-  server.tool("get_video_highlights", "Get all highlights from a specific video", {
+  dataTool("get_video_highlights", "Get all highlights from a specific video", {
     book_id: z.number().describe("Book/source ID of the video in Readwise"),
     page: z.number().optional(),
     page_size: z.number().optional(),
-  }, async ({ book_id, page, page_size }) => {
-    const data = await apiV2("/highlights/", { params: { book_id, page, page_size } });
-    return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+  }, "highlights", async ({ book_id, page, page_size }) => {
+    return apiV2("/highlights/", { params: { book_id, page, page_size } });
   });
 
   // 33. update_video_position
-  server.tool("update_video_position", "Update the playback position of a video", {
+  tool("update_video_position", "Update the playback position of a video", {
     document_id: z.string().describe("ID of the video document"),
     position_seconds: z.number().describe("Current position in seconds"),
     duration_seconds: z.number().optional().describe("Total video duration"),
@@ -1177,7 +1642,10 @@ El usuario ahora puede:
     const body = {};
     if (reading_progress !== undefined) body.reading_progress = reading_progress;
 
+    const before = await audit.snapshotDocument(document_id, Object.keys(body));
     const data = await apiV3(`/update/${document_id}/`, { method: "PATCH", body });
+    mirror.patchDocument(document_id, body);
+    await journal("update_video_position", { document_id, position_seconds, duration_seconds }, [{ type: "document", id: document_id, action: "update", before }]);
     return { content: [{ type: "text", text: JSON.stringify({
       document_id,
       position_seconds,
@@ -1187,14 +1655,15 @@ El usuario ahora puede:
   });
 
   // 34. get_video_position (bonus tool)
-  server.tool("get_video_position", "Get the current playback position of a video", {
+  tool("get_video_position", "Get the current playback position of a video", {
     document_id: z.string().describe("ID of the video document"),
-  }, async ({ document_id }) => {
+    locale: localeParam,
+  }, async ({ document_id, locale }) => {
     const data = await apiV3("/list/", { params: { id: document_id } });
     const video = data.results?.[0];
 
     if (!video) {
-      return { content: [{ type: "text", text: "Video not found" }] };
+      return { content: [{ type: "text", text: translator(locale)("error.videoNotFound") }] };
     }
 
     return { content: [{ type: "text", text: JSON.stringify({
@@ -1209,6 +1678,785 @@ El usuario ahora puede:
     }, null, 2) }] };
   });
 
+  // ===========================================================================
+  // SYNC - 2 tools
+  // ===========================================================================
+
+  // 35. sync_status
+  tool("sync_status", "Show how fresh the local library mirror is (last sync times, item counts, errors)", {}, async () => {
+    const status = await mirror.status();
+    return { content: [{ type: "text", text: JSON.stringify(status, null, 2) }] };
+  });
+
+  // 36. sync_now
+  tool("sync_now", "Pull recent changes from Readwise into the local mirror right now", {
+    full: z.boolean().optional().describe("Re-import the whole library instead of only changes since the last sync"),
+  }, async ({ full = false }) => {
+    const run = await mirror.sync({ full });
+    const status = await mirror.status();
+    return { content: [{ type: "text", text: JSON.stringify({ run, status }, null, 2) }] };
+  });
+
+  // ===========================================================================
+  // AUDIT - 2 tools
+  // ===========================================================================
+
+  // 37. get_audit_log
+  tool("get_audit_log", "List recent changes made through this server (newest first): tool, time, client, arguments and affected items. Use the entry id with undo_operation.", {
+    tool: z.string().optional().describe("Only entries from this tool, e.g. 'bulk_update_documents'"),
+    item_id: z.string().optional().describe("Only entries that touched this document or highlight ID"),
+    since: z.string().optional().describe("Only entries at or after this time (ISO 8601)"),
+    limit: z.number().optional().describe("Maximum entries to return (default 50)"),
+    include_snapshots: z.boolean().optional().describe("Include the before-state of every change"),
+  }, async ({ tool: toolName, item_id, since, limit, include_snapshots }) => {
+    const entries = await audit.list({ tool: toolName, itemId: item_id, since, limit, includeSnapshots: include_snapshots });
+    return { content: [{ type: "text", text: JSON.stringify(entries, null, 2) }] };
+  });
+
+  // 38. undo_operation
+  tool("undo_operation", "Revert one audit log entry: restores previous metadata, tags, notes and location, re-creates deleted highlights and documents, and deletes items the operation created", {
+    operation_id: z.string().describe("Audit log entry id (from get_audit_log)"),
+    confirm: z.boolean().describe("Confirm the undo (must be true)"),
+    locale: localeParam,
+  }, async ({ operation_id, confirm, locale }) => {
+    const t = translator(locale);
+    const entry = await audit.get(operation_id);
+    if (!entry) {
+      return { content: [{ type: "text", text: `❌ ${t("error.auditEntryNotFound", { id: operation_id })}` }], isError: true };
+    }
+    // Undoing a create deletes something, so it needs the delete scope too
+    if (entry.changes.some(c => c.action === "create") && !scopes.includes("delete")) {
+      return { content: [{ type: "text", text: `❌ ${t("error.undoNeedsDelete", { tool: entry.tool })}` }], isError: true };
+    }
+    if (!confirm) {
+      const timestamp = t.dateTime(new Date(entry.timestamp));
+      return { content: [{ type: "text", text: t("undo.notConfirmed", { count: entry.changes.length, tool: entry.tool, timestamp }) }] };
+    }
+    try {
+      const result = await audit.undo(operation_id, { actor, describe: error => errorText(error, t) });
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ ${errorText(error, t)}` }], isError: true };
+    }
+  });
+
+  // ===========================================================================
+  // TEMPLATES - 3 tools
+  // ===========================================================================
+
+  // 39. list_templates
+  tool("list_templates", "List the document templates save_text_content and create_continuation can use (built-in and your own), with their placeholders and themes", {
+    locale: localeParam,
+  }, async ({ locale }) => {
+    const list = await templates.list({ locale });
+    return { content: [{ type: "text", text: JSON.stringify({ themes: THEME_NAMES, templates: list }, null, 2) }] };
+  });
+
+  // 40. save_template
+  tool("save_template", "Create or replace one of your document templates. meta and footer are Markdown lines shown under the title and at the end; body wraps the document and must contain {{content}}. Placeholders: {{title}} {{author}} {{date}} {{summary}} {{series}} {{part}} {{previous_title}} {{previous_url}} {{previous_link}}, plus any custom {{name}} filled from the tool's variables argument.", {
+    name: z.string().describe("Template name: lowercase letters, digits, '-' and '_'. Reusing a built-in name replaces it for you"),
+    description: z.string().optional(),
+    meta: z.string().optional().describe("Lines under the title, e.g. '{{author}} · {{date}}'"),
+    body: z.string().optional().describe("Markdown around the content (default: '{{content}}')"),
+    footer: z.string().optional().describe("Lines after a rule at the end"),
+    theme: z.enum(THEME_NAMES).optional().describe("Default theme for this template"),
+    styles: z.record(z.string()).optional().describe("CSS overrides per element, e.g. { \"h2\": \"color:#a00\", \"body\": \"max-width:720px\" }"),
+    locale: localeParam,
+  }, async ({ name, locale, ...template }) => {
+    try {
+      const saved = await templates.save(name, template, { locale });
+      return { content: [{ type: "text", text: JSON.stringify(saved, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: "text", text: `❌ ${error.message}` }], isError: true };
+    }
+  });
+
+  // 41. delete_template
+  tool("delete_template", "Delete one of your document templates (built-ins cannot be deleted; a built-in you replaced comes back)", {
+    name: z.string(),
+    locale: localeParam,
+  }, async ({ name, locale }) => {
+    const t = translator(locale);
+    const deleted = await templates.remove(name);
+    if (!deleted) {
+      return { content: [{ type: "text", text: `❌ ${t("error.noUserTemplate", { name })}` }], isError: true };
+    }
+    return { content: [{ type: "text", text: t("template.deleted", { name }) }] };
+  });
+
+  // ===========================================================================
+  // EXPORT - 2 tools
+  // ===========================================================================
+
+  // Timestamp for exported file names: 20240131T093000
+  const fileStamp = () => new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+
+  // 42. export_vault
+  tool("export_vault", "Export your highlights as a Markdown vault for Obsidian or Logseq: one note per book with YAML frontmatter, highlights with notes, tags, location links and stable block IDs. After the first run only books with highlights changed since the previous export are included; full=true exports everything again.", {
+    flavor: z.enum(VAULT_FLAVORS).optional().describe("obsidian (default): ^rw-<id> block IDs; logseq: id:: block properties"),
+    folder: z.string().optional().describe("Folder inside the vault for the notes (default 'Readwise')"),
+    delivery: z.enum(["zip", "resources"]).optional().describe("zip (default): one archive; resources: one embedded Markdown resource per note"),
+    book_ids: z.array(z.number()).optional().describe("Only (re-)export these books; does not move the incremental starting point"),
+    full: z.boolean().optional().describe("Ignore the previous export and include every book"),
+    locale: localeParam,
+  }, async ({ flavor, folder, delivery = "zip", book_ids, full, locale }, extra) => {
+    const t = translator(locale);
+    return vault.run({ flavor, folder, bookIds: book_ids, full, locale, signal: extra?.signal, deliver: result => vaultReply(result, { delivery, t }) });
+  });
+
+  // The export_vault reply: a summary plus the notes as a zip or resources
+  function vaultReply(result, { delivery, t }) {
+    const summary = {
+      flavor: result.flavor,
+      folder: result.folder,
+      since: result.since,
+      exported: result.files.length,
+      files: result.files.map(f => f.path),
+      moved: result.moved,
+      removed: result.removed,
+    };
+    if (result.moved.length > 0 || result.removed.length > 0) summary.note = t("vault.stale");
+    if (result.since && result.files.length === 0 && !summary.note) {
+      return { content: [{ type: "text", text: t("vault.unchanged", { since: t.dateTime(new Date(result.since)) }) }] };
+    }
+
+    const content = [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+    if (delivery === "resources") {
+      for (const file of result.files) {
+        const uri = `vault:///${file.path.split("/").map(encodeURIComponent).join("/")}`;
+        content.push({ type: "resource", resource: { uri, mimeType: "text/markdown", text: file.content } });
+      }
+    } else if (result.files.length > 0) {
+      const blob = zipFiles(result.files).toString("base64");
+      content.push({ type: "resource", resource: { uri: `vault:///readwise-${result.flavor}-${fileStamp()}.zip`, mimeType: "application/zip", blob } });
+    }
+    return { content };
+  }
+
+  // 43. export_flashcards
+  tool("export_flashcards", "Turn highlights into flashcards for Anki or Mochi: basic cards (highlight on the front, your note and the source on the back) and cloze cards from spans marked {{like this}} or ==like this==, with one deck per book. Cards keep the highlight's ID, so importing a newer export updates them instead of adding duplicates.", {
+    book_ids: z.array(z.number()).optional().describe("Only highlights from these books"),
+    tags: z.array(z.string()).optional().describe("Only highlights with one of these tags (on the highlight or its book)"),
+    colors: z.array(z.string()).optional().describe("Only highlights of these colors, e.g. ['yellow', 'blue']"),
+    start_date: z.string().optional().describe("Only highlights made after this date (ISO 8601)"),
+    end_date: z.string().optional().describe("Only highlights made before this date (ISO 8601)"),
+    card_type: z.enum(CARD_TYPES).optional().describe("auto (default): cloze when the highlight has marked spans, basic otherwise; cloze: skip highlights without marks"),
+    output: z.enum(CARD_OUTPUTS).optional().describe("tsv (default): Anki text import with the stock Basic and Cloze note types; apkg: Anki package; mochi: Mochi archive"),
+    deck: z.string().optional().describe("Parent deck (default 'Readwise'); every book becomes a subdeck"),
+    locale: localeParam,
+  }, async ({ book_ids, tags, colors, start_date, end_date, card_type, output = "tsv", deck, locale }, extra) => {
+    const t = translator(locale);
+    const books = await selectHighlights({
+      api: client, bookIds: book_ids, tags, colors, startDate: start_date, endDate: end_date, signal: extra?.signal,
+    });
+    const { cards, skipped } = buildCards(books, { cardType: card_type, deck });
+    if (cards.length === 0) {
+      return { content: [{ type: "text", text: t("flashcards.none", { skipped }) }] };
+    }
+
+    const summary = {
+      output,
+      notes: cards.length,
+      cards: cards.reduce((n, card) => n + (card.type === "cloze" ? card.clozes.length : 1), 0),
+      decks: new Set(cards.map(card => card.deck.join("::"))).size,
+      skipped,
+    };
+    const name = `readwise-${fileStamp()}`;
+    let resource;
+    if (output === "apkg") {
+      resource = { uri: `flashcards:///${name}.apkg`, mimeType: "application/zip", blob: (await toApkg(cards)).toString("base64") };
+    } else if (output === "mochi") {
+      resource = { uri: `flashcards:///${name}.mochi`, mimeType: "application/zip", blob: toMochi(cards).toString("base64") };
+    } else {
+      resource = { uri: `flashcards:///${name}.txt`, mimeType: "text/tab-separated-values", text: toTsv(cards) };
+    }
+    return { content: [{ type: "text", text: JSON.stringify(summary, null, 2) }, { type: "resource", resource }] };
+  });
+
+  // ===========================================================================
+  // REVIEW - 2 tools
+  // ===========================================================================
+
+  // 44. grade_highlight
+  tool("grade_highlight", "Grade how well you remembered a highlight from the local review queue (get_daily_review with scheduler=local). Schedules its next review with FSRS or SM-2 and returns the new due date.", {
+    highlight_id: z.number().describe("The highlight you just reviewed"),
+    grade: z.enum(GRADES).describe("again: forgot; hard; good; easy"),
+    locale: localeParam,
+  }, async ({ highlight_id, grade, locale }) => {
+    const t = translator(locale);
+    await mirror.ready();
+    let highlight = mirror.snapshot().highlights[highlight_id];
+    if (!highlight) {
+      try {
+        highlight = await apiV2(`/highlights/${highlight_id}/`);
+      } catch {
+        return { content: [{ type: "text", text: `❌ ${t("error.highlightNotFound", { id: highlight_id })}` }], isError: true };
+      }
+    }
+    const result = await review.grade(highlight, grade);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // 45. review_stats
+  tool("review_stats", "Statistics of the local review schedule: cards graded, new, young and mature, retention (share of reviews not answered again), today's counts and limits, and how many reviews fall due each coming day", {
+    ...reviewFilterParams,
+    days: z.number().int().min(1).max(365).optional().describe("How many days ahead to show (default 14)"),
+  }, async ({ book_ids, tags, days }) => {
+    const filtered = Boolean(book_ids?.length || tags?.length);
+    const candidates = await reviewCandidates({ book_ids, tags });
+    const stats = await review.stats({
+      highlightIds: filtered ? new Set(candidates.map(h => h.id)) : null,
+      candidates: candidates.length,
+      days,
+    });
+    return { content: [{ type: "text", text: JSON.stringify(stats, null, 2) }] };
+  });
+
+  // ===========================================================================
+  // SERIES - 5 tools
+  // ===========================================================================
+
+  const seriesParam = z.string().describe("Series ID, series title, serie: tag, or the ID of one of its documents");
+
+  function seriesNotFound(identifier, t) {
+    return { content: [{ type: "text", text: `❌ ${t("error.seriesNotFound", { query: identifier })}` }], isError: true };
+  }
+
+  // 46. list_series
+  tool("list_series", "List your document series (create_continuation) with their IDs, status and parts in order", {
+    status: z.enum(["open", "closed"]).optional().describe("Only open or only closed series"),
+  }, async ({ status }) => {
+    const list = await seriesRegistry.list({ status });
+    return { content: [{ type: "text", text: JSON.stringify({ count: list.length, results: list }, null, 2) }] };
+  });
+
+  // 47. reorder_series
+  tool("reorder_series", "Put the documents of a series in a new order. Numbered part titles (\"… - Analysis #3\") are renumbered in Reader to match.", {
+    series: seriesParam,
+    document_ids: z.array(z.string()).describe("Every document of the series, in the new order"),
+    locale: localeParam,
+  }, async ({ series: identifier, document_ids, locale }, { signal }) => {
+    const t = translator(locale);
+    const series = await resolveSeries(identifier);
+    if (!series) return seriesNotFound(identifier, t);
+    const current = series.members.map(m => m.document_id);
+    if (document_ids.length !== current.length || current.some(id => !document_ids.includes(id))) {
+      return { content: [{ type: "text", text: `❌ ${t("error.seriesOrder", { ids: current.join(", ") })}` }], isError: true };
+    }
+    const reordered = await seriesRegistry.reorder(series.id, document_ids);
+    const { changes, series: result } = await syncSeriesDocuments(reordered, { signal });
+    await journal("reorder_series", { series: identifier, document_ids }, changes);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // 48. rename_series
+  tool("rename_series", "Rename a series. Its serie: tag and the numbered part titles (\"Old - Analysis #2\" -> \"New - Analysis #2\") change in Reader too.", {
+    series: seriesParam,
+    title: z.string().min(1).describe("The new series title"),
+    locale: localeParam,
+  }, async ({ series: identifier, title, locale }, { signal }) => {
+    const t = translator(locale);
+    const series = await resolveSeries(identifier);
+    if (!series) return seriesNotFound(identifier, t);
+    const renamed = await seriesRegistry.rename(series.id, title.trim());
+    const { changes, series: result } = await syncSeriesDocuments(renamed, { previousTitle: series.title, signal });
+    await journal("rename_series", { series: identifier, title }, changes);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // 49. fork_series
+  tool("fork_series", "Start a new series that branches off an existing one: it shares the parts up to from_document_id, and create_continuation with its series_id continues the new branch", {
+    series: seriesParam,
+    from_document_id: z.string().optional().describe("The last shared document (default: the latest part)"),
+    title: z.string().optional().describe("Title of the new series (default: the original's, marked as a fork)"),
+    locale: localeParam,
+  }, async ({ series: identifier, from_document_id, title, locale }, { signal }) => {
+    const t = translator(locale);
+    const series = await resolveSeries(identifier);
+    if (!series) return seriesNotFound(identifier, t);
+    const from = from_document_id || series.members.at(-1).document_id;
+    if (!series.members.some(m => m.document_id === from)) {
+      return { content: [{ type: "text", text: `❌ ${t("error.notInSeries", { id: from, title: series.title })}` }], isError: true };
+    }
+    const fork = await seriesRegistry.fork(series.id, from, title?.trim() || t("series.forkTitle", { title: series.title }));
+    const { changes, series: result } = await syncSeriesDocuments(fork, { signal });
+    await journal("fork_series", { series: identifier, from_document_id, title }, changes);
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // 50. close_series
+  tool("close_series", "Close a finished series so create_continuation no longer adds to it, or reopen it", {
+    series: seriesParam,
+    reopen: z.boolean().optional().describe("Reopen a closed series instead"),
+    locale: localeParam,
+  }, async ({ series: identifier, reopen = false, locale }) => {
+    const t = translator(locale);
+    const series = await resolveSeries(identifier);
+    if (!series) return seriesNotFound(identifier, t);
+    const result = await seriesRegistry.setStatus(series.id, reopen ? "open" : "closed");
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // ===========================================================================
+  // NOTES - 5 tools
+  // ===========================================================================
+
+  const sectionParam = z.string().describe("Section ID from list_note_sections, or its title");
+  const notesVersionParam = z.string().optional()
+    .describe("version from list_note_sections/read_note_section. If the notes changed since, the edit is merged into the current notes (refused if this section itself changed)");
+
+  const SECTION_ERRORS = {
+    notFound: "error.sectionNotFound",
+    ambiguous: "error.sectionAmbiguous",
+    changed: "error.sectionChanged",
+    order: "error.sectionOrder",
+    busy: "error.notesBusy",
+  };
+
+  // Shared flow of the section editing tools: edit(notes) -> new notes
+  async function editSections(name, args, edit, { t, signal }) {
+    let result;
+    try {
+      result = await editNotes(args.document_id, edit, signal);
+    } catch (error) {
+      if (!(error instanceof SectionError)) throw error;
+      const { ids, ...details } = error.details;
+      const text = t(SECTION_ERRORS[error.code], { id: args.document_id, ...details, ids: ids?.join(", ") });
+      return { content: [{ type: "text", text: `❌ ${text}` }], isError: true };
+    }
+    if (!result) {
+      return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: args.document_id })}` }], isError: true };
+    }
+    await journal(name, args, [{ type: "document", id: args.document_id, action: "update", before: { notes: result.before } }]);
+    const merged = Boolean(args.version) && args.version.split(".")[0] !== notesVersion(result.before);
+    return { content: [{ type: "text", text: JSON.stringify({ document_id: args.document_id, merged, ...describeSections(result.notes) }, null, 2) }] };
+  }
+
+  // 51. list_note_sections
+  tool("list_note_sections", "List the sections of a document's notes (the blocks expand_document appends): ID, title, timestamp, length and version", {
+    document_id: z.string().describe("ID of the document"),
+    locale: localeParam,
+  }, async ({ document_id, locale }, { signal }) => {
+    const t = translator(locale);
+    // Straight from Reader: a version from the mirror could be out of date
+    const doc = await getDocument(document_id, { signal });
+    if (!doc) {
+      return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: document_id })}` }], isError: true };
+    }
+    const outline = describeSections(doc.notes || doc.document_note || "");
+    return { content: [{ type: "text", text: JSON.stringify({ document_id, title: doc.title, ...outline }, null, 2) }] };
+  });
+
+  // 52. read_note_section
+  tool("read_note_section", "Read one section of a document's notes, with the version to pass when editing it", {
+    document_id: z.string().describe("ID of the document"),
+    section: sectionParam,
+    locale: localeParam,
+  }, async ({ document_id, section: ref, locale }, { signal }) => {
+    const t = translator(locale);
+    const doc = await getDocument(document_id, { signal });
+    if (!doc) {
+      return { content: [{ type: "text", text: `❌ ${t("error.documentNotFound", { id: document_id })}` }], isError: true };
+    }
+    const notes = doc.notes || doc.document_note || "";
+    let section;
+    try {
+      section = findSection(parseSections(notes).sections, ref);
+    } catch (error) {
+      if (!(error instanceof SectionError)) throw error;
+      return { content: [{ type: "text", text: `❌ ${t(SECTION_ERRORS[error.code], { id: document_id, ...error.details })}` }], isError: true };
+    }
+    return { content: [{ type: "text", text: JSON.stringify({
+      document_id,
+      id: section.id,
+      title: section.title,
+      timestamp: section.timestamp,
+      version: sectionVersion(notes, section),
+      content: section.body,
+    }, null, 2) }] };
+  });
+
+  // 53. replace_note_section
+  tool("replace_note_section", "Replace the content of one section of a document's notes (and optionally its title), leaving the rest of the notes as they are", {
+    document_id: z.string().describe("ID of the document"),
+    section: sectionParam,
+    content: z.string().describe("New content of the section (Markdown)"),
+    title: z.string().optional().describe("New section title (sections that have one)"),
+    version: notesVersionParam,
+    locale: localeParam,
+  }, async ({ document_id, section, content, title, version, locale }, { signal }) => {
+    const t = translator(locale);
+    return editSections("replace_note_section", { document_id, section, content, title, version },
+      notes => replaceSection(notes, section, { content, title, version }), { t, signal });
+  });
+
+  // 54. reorder_note_sections
+  tool("reorder_note_sections", "Put the sections of a document's notes in a new order. The text before the first section stays first.", {
+    document_id: z.string().describe("ID of the document"),
+    section_ids: z.array(z.string()).describe("Every section ID, in the new order"),
+    version: notesVersionParam,
+    locale: localeParam,
+  }, async ({ document_id, section_ids, version, locale }, { signal }) => {
+    const t = translator(locale);
+    return editSections("reorder_note_sections", { document_id, section_ids, version },
+      notes => reorderSections(notes, section_ids, { version }), { t, signal });
+  });
+
+  // 55. delete_note_section
+  tool("delete_note_section", "Remove one section from a document's notes", {
+    document_id: z.string().describe("ID of the document"),
+    section: sectionParam,
+    version: notesVersionParam,
+    locale: localeParam,
+  }, async ({ document_id, section, version, locale }, { signal }) => {
+    const t = translator(locale);
+    return editSections("delete_note_section", { document_id, section, version },
+      notes => deleteSection(notes, section, { version }), { t, signal });
+  });
+
+  // ===========================================================================
+  // DUPLICATES - 2 tools
+  // ===========================================================================
+
+  // 56. find_duplicates
+  tool("find_duplicates", "Find duplicate documents (same URL once tracking parameters and AMP versions are ignored, same title, or same content) and exact or near-duplicate highlights within a book. Each group suggests the item to keep; pass the groups to merge_duplicates.", {
+    kind: z.enum(["documents", "highlights", "all"]).optional().describe("What to look for (default: all)"),
+    location: z.enum(["new", "later", "shortlist", "archive", "feed"]).optional().describe("documents: only in this Reader location"),
+    book_ids: z.array(z.number()).optional().describe("highlights: only in these books"),
+    similarity: z.number().min(0.5).max(1).optional()
+      .describe(`highlights: share of wording near-duplicates have in common, 0.5-1 (default ${DEFAULT_SIMILARITY}); 1 finds exact duplicates only`),
+    limit: z.number().optional().describe("Groups per kind (default 50)"),
+    locale: localeParam,
+  }, async ({ kind = "all", location, book_ids, similarity = DEFAULT_SIMILARITY, limit = 50, locale }) => {
+    const t = translator(locale);
+    await mirror.ready();
+    const result = {};
+
+    if (kind !== "highlights") {
+      const { results } = await mirror.queryDocuments({ limit: Infinity });
+      // Reader highlights are child documents of the one they were made in
+      const highlightCounts = new Map();
+      for (const d of results) {
+        if (d.parent_id && d.category === "highlight") highlightCounts.set(d.parent_id, (highlightCounts.get(d.parent_id) || 0) + 1);
+      }
+      const docs = results.filter(d => !d.parent_id && (!location || d.location === location));
+      const groups = findDuplicateDocuments(docs, { highlightCounts });
+      result.documents = { groups: groups.length, duplicates: groups.reduce((sum, g) => sum + g.merge.length, 0), results: groups.slice(0, limit) };
+    }
+
+    if (kind !== "documents") {
+      const highlights = Object.values(mirror.snapshot().highlights)
+        .filter(h => !h.is_discard && (!book_ids?.length || book_ids.includes(h.book_id)));
+      const groups = findDuplicateHighlights(highlights, { threshold: similarity });
+      result.highlights = { groups: groups.length, duplicates: groups.reduce((sum, g) => sum + g.merge.length, 0), results: groups.slice(0, limit) };
+    }
+
+    result.next = t("duplicates.next");
+    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+  });
+
+  // 57. merge_duplicates
+  tool("merge_duplicates", "Merge duplicate groups (from find_duplicates): keep one item per group, add the others' tags and notes to it, then archive or delete the others. Deleting a document also deletes the highlights made in it; archiving keeps them. Highlights are always deleted. Use dry_run=true first.", {
+    kind: z.enum(["documents", "highlights"]).describe("What the groups contain"),
+    groups: z.array(z.object({
+      keep: z.union([z.string(), z.number()]).describe("The item that stays"),
+      merge: z.array(z.union([z.string(), z.number()])).min(1).describe("Its duplicates"),
+    })).optional().describe("Groups to merge (not needed with preview_token)"),
+    duplicates: z.enum(["archive", "delete"]).optional().describe("documents: what happens to the duplicates (default: archive)"),
+    confirm: z.boolean().optional().describe("Confirm the merge (must be true)"),
+    ...dryRunParams,
+    locale: localeParam,
+  }, async ({ kind, groups, duplicates = "archive", ...run }, extra) => {
+    const t = translator(run.locale);
+    const id = value => (kind === "highlights" ? Number(value) : String(value));
+    const noteText = doc => doc.notes || doc.document_note || "";
+
+    async function fetchHighlights(ids, signal) {
+      const outcomes = await runConcurrently(ids, hid => apiV2(`/highlights/${hid}/`, { signal }), { signal });
+      return new Map(outcomes.flatMap((outcome, i) => (outcome?.ok ? [[ids[i], outcome.value]] : [])));
+    }
+
+    // Tags of the whole group; notes the kept one does not have yet
+    function combined(kept, others, notesOf) {
+      const tags = [...new Set([kept, ...others].flatMap(item => tagList(item.tags)))];
+      const notes = others
+        .map(item => ({ item, note: notesOf(item).trim() }))
+        .filter(({ note }) => note && !notesOf(kept).includes(note));
+      return { tags, notes };
+    }
+
+    // The duplicates of a group, without the kept item itself
+    const mergeIds = (keep, merge) => [...new Set(merge.map(id))].filter(m => m !== keep);
+
+    // Both record each write in `changes` as soon as it is made, so a group
+    // that fails halfway can still be undone
+    async function mergeDocuments({ keep, merge, duplicates: action }, signal, changes) {
+      merge = mergeIds(keep, merge);
+      const docs = await resolveDocuments([keep, ...merge], signal);
+      const kept = docs.get(keep);
+      if (!kept) throw new Error(t("error.documentNotFound", { id: keep }));
+      const others = merge.map(m => docs.get(m)).filter(Boolean);
+      const { tags, notes } = combined(kept, others, noteText);
+
+      // Notes first: if they keep changing under us, nothing is touched yet
+      if (notes.length > 0) {
+        const timestamp = t.dateTime(new Date());
+        const blocks = notes.map(({ item, note }) => sectionBlock({ title: t("duplicates.mergedFrom", { title: item.title || item.id }), timestamp, content: note }));
+        let written;
+        try {
+          written = await editNotes(keep, current => current + blocks.join(""), signal);
+        } catch (error) {
+          if (!(error instanceof SectionError)) throw error;
+          throw new Error(t("error.notesBusy", { id: keep }));
+        }
+        if (written) changes.push({ type: "document", id: keep, action: "update", before: { notes: written.before } });
+      }
+      if (tags.length > tagList(kept.tags).length) {
+        const before = await audit.snapshotDocument(keep, ["tags"], { signal });
+        await apiV3(`/update/${keep}/`, { method: "PATCH", body: { tags }, signal });
+        mirror.patchDocument(keep, { tags });
+        changes.push({ type: "document", id: keep, action: "update", before });
+      }
+
+      for (const doc of others) {
+        if (action === "delete") {
+          const before = await audit.snapshotDocument(doc.id, undefined, { signal });
+          await apiV3(`/delete/${doc.id}/`, { method: "DELETE", signal });
+          mirror.removeDocument(doc.id);
+          changes.push({ type: "document", id: doc.id, action: "delete", before });
+        } else if (doc.location !== "archive") {
+          const before = await audit.snapshotDocument(doc.id, ["location"], { signal });
+          await apiV3(`/update/${doc.id}/`, { method: "PATCH", body: { location: "archive" }, signal });
+          mirror.patchDocument(doc.id, { location: "archive" });
+          changes.push({ type: "document", id: doc.id, action: "update", before });
+        }
+      }
+      return { kept: keep, tags, notes_added: notes.length, [action === "delete" ? "deleted" : "archived"]: others.map(d => d.id) };
+    }
+
+    async function mergeHighlights({ keep, merge }, signal, changes) {
+      merge = mergeIds(keep, merge);
+      const found = await fetchHighlights([keep, ...merge], signal);
+      const kept = found.get(keep);
+      if (!kept) throw new Error(t("error.highlightNotFound", { id: keep }));
+      const others = merge.map(m => found.get(m)).filter(Boolean);
+      const { tags, notes } = combined(kept, others, h => h.note || "");
+
+      const existing = tagList(kept.tags);
+      const added = tags.filter(tag => !existing.includes(tag));
+      if (notes.length > 0 || added.length > 0) {
+        const before = await audit.snapshotHighlight(keep, ["note", "tags"]);
+        if (notes.length > 0) {
+          const note = [kept.note, ...notes.map(n => n.note)].filter(Boolean).join("\n\n");
+          await apiV2(`/highlights/${keep}/`, { method: "PATCH", body: { note }, signal });
+          mirror.patchHighlight(keep, { note });
+          changes.push({ type: "highlight", id: keep, action: "update", before });
+        }
+        if (added.length > 0) {
+          const newTags = await setHighlightTags(keep, { tags: applyTagChange(before.tags, { from: existing, to: tags }), signal });
+          mirror.patchHighlight(keep, { tags: newTags });
+          if (notes.length === 0) changes.push({ type: "highlight", id: keep, action: "update", before });
+        }
+      }
+
+      for (const h of others) {
+        const before = await audit.snapshotHighlight(h.id);
+        await apiV2(`/highlights/${h.id}/`, { method: "DELETE", signal });
+        mirror.removeHighlight(h.id);
+        changes.push({ type: "highlight", id: h.id, action: "delete", before });
+      }
+      return { kept: keep, tags, notes_added: notes.length, deleted: others.map(h => h.id) };
+    }
+
+    return runBulk("merge_duplicates", groups, run, extra, {
+      describe: "bulk.merge",
+      direct: items => items.map(group => {
+        const keep = id(group.keep);
+        return { kind, keep, merge: mergeIds(keep, group.merge), duplicates: kind === "documents" ? duplicates : "delete" };
+      }),
+      plan: async (items, signal) => {
+        const ids = items.flatMap(group => [group.keep, ...group.merge]).map(id);
+        let views;
+        if (kind === "documents") {
+          const docs = await resolveDocuments(ids, signal);
+          views = new Map([...docs].map(([docId, doc]) => [docId, documentView(doc)]));
+        } else {
+          const found = await fetchHighlights([...new Set(ids)], signal);
+          views = new Map([...found].map(([hid, h]) => [hid, { text: h.text, note: h.note || null, tags: tagList(h.tags) }]));
+        }
+        return items.map(group => {
+          const keep = id(group.keep);
+          const merge = mergeIds(keep, group.merge);
+          const step = { kind, keep, merge: merge.filter(m => views.has(m)), duplicates: kind === "documents" ? duplicates : "delete" };
+          if (!views.has(keep)) return { ...step, skip: "not_found" };
+          step.current = { [keep]: views.get(keep), ...Object.fromEntries(step.merge.map(m => [m, views.get(m)])) };
+          const missing = merge.filter(m => !views.has(m));
+          if (missing.length) step.missing = missing;
+          if (step.merge.length === 0) step.skip = "nothing_to_merge";
+          return step;
+        });
+      },
+      perform: async (step, signal) => {
+        const changes = [];
+        try {
+          const data = await (step.kind === "documents" ? mergeDocuments : mergeHighlights)(step, signal, changes);
+          return { data, changes };
+        } catch (error) {
+          error.changes = changes;
+          throw error;
+        }
+      },
+      key: ({ keep, merge }) => ({ keep, merge }),
+      journalArgs: steps => ({ kind, duplicates, groups: steps.map(({ keep, merge }) => ({ keep, merge })) }),
+    });
+  });
+
+  // ===========================================================================
+  // RESOURCES - 4 templates
+  // ===========================================================================
+
+  const RECENT_LIMIT = 50;
+
+  async function recentBooks() {
+    const data = mirror.isReady()
+      ? await mirror.queryBooks({ page_size: RECENT_LIMIT })
+      : await apiV2("/books/", { params: { page_size: RECENT_LIMIT } });
+    return data.results || [];
+  }
+
+  async function recentDocuments() {
+    const data = mirror.isReady()
+      ? await mirror.queryDocuments({ limit: RECENT_LIMIT, where: d => !d.parent_id })
+      : await apiV3("/list/");
+    // Highlight and note entries in Reader are children of a parent document
+    return (data.results || []).filter(d => !d.parent_id).slice(0, RECENT_LIMIT);
+  }
+
+  async function loadBook(id) {
+    const book = mirror.isReady() ? await mirror.getBook(id) : await apiV2(`/books/${id}/`);
+    if (!book) throw new Error(t("error.bookNotFound", { id }));
+    return book;
+  }
+
+  async function loadBookHighlights(id) {
+    const data = mirror.isReady()
+      ? await mirror.queryHighlights({ book_id: Number(id), page_size: DEFAULT_MAX_ITEMS })
+      : await fetchAllV2("/highlights/", { params: { book_id: id, page_size: 1000 } });
+    return data.results.sort((a, b) => (a.location ?? 0) - (b.location ?? 0));
+  }
+
+  const markdown = (uri, text) => ({ contents: [{ uri: uri.href, mimeType: "text/markdown", text }] });
+  // Resources and prompts have no arguments to pick a locale: server default
+  const t = translator();
+
+  server.resource("book", new ResourceTemplate("readwise://book/{id}", {
+    list: async () => ({
+      resources: (await recentBooks()).map(b => ({
+        uri: `readwise://book/${b.id}`,
+        name: b.title,
+        description: t("resource.book", { author: b.author || t("value.unknown"), count: b.num_highlights ?? 0 }),
+        mimeType: "text/markdown",
+      })),
+    }),
+  }), {
+    description: "A book, article or other source from your Readwise library",
+    mimeType: "text/markdown",
+  }, async (uri, { id }) => markdown(uri, formatBook(await loadBook(id), t)));
+
+  server.resource("book_highlights", new ResourceTemplate("readwise://book/{id}/highlights", { list: undefined }), {
+    description: "Every highlight and note from one Readwise book, in reading order",
+    mimeType: "text/markdown",
+  }, async (uri, { id }) => {
+    const [book, highlights] = await Promise.all([loadBook(id), loadBookHighlights(id)]);
+    return markdown(uri, formatBookHighlights(book, highlights, t));
+  });
+
+  server.resource("document", new ResourceTemplate("reader://document/{id}", {
+    list: async () => ({
+      resources: (await recentDocuments()).map(d => ({
+        uri: `reader://document/${d.id}`,
+        name: d.title || d.id,
+        description: `${d.author || t("value.unknown")} · ${d.category} · ${d.location}`,
+        mimeType: "text/markdown",
+      })),
+    }),
+  }), {
+    description: "A Reader document with its highlights and notes",
+    mimeType: "text/markdown",
+  }, async (uri, { id }) => {
+    const loaded = await loadDocumentForAnalysis(id);
+    if (!loaded) throw new Error(t("error.documentNotFound", { id }));
+    return markdown(uri, formatDocumentForAnalysis(loaded.doc, loaded.highlights, t));
+  });
+
+  server.resource("document_content", new ResourceTemplate("reader://document/{id}/content", { list: undefined }), {
+    description: "The full text of a Reader document, converted to markdown",
+    mimeType: "text/markdown",
+  }, async (uri, { id }) => {
+    const doc = await getDocument(id, { withHtml: true });
+    if (!doc) throw new Error(t("error.documentNotFound", { id }));
+    return markdown(uri, formatDocumentContent(doc, t));
+  });
+
+  // ===========================================================================
+  // PROMPTS - 4 workflows
+  // ===========================================================================
+
+  const userText = text => ({ role: "user", content: { type: "text", text } });
+  const userResource = (uri, text) => ({
+    role: "user",
+    content: { type: "resource", resource: { uri, mimeType: "text/markdown", text } },
+  });
+
+  server.prompt("analyze_document", "Analyze your highlights on a Reader document and save the analysis back to it", {
+    document_id: z.string().describe("ID of the Reader document"),
+  }, async ({ document_id }) => {
+    const loaded = await loadDocumentForAnalysis(document_id);
+    if (!loaded) throw new Error(t("error.documentNotFound", { id: document_id }));
+    const title = loaded.doc.title || t("value.unknown");
+    return {
+      description: t("prompt.analyze.description", { title }),
+      messages: [
+        userResource(`reader://document/${document_id}`, formatDocumentForAnalysis(loaded.doc, loaded.highlights, t)),
+        userText(t("prompt.analyze.text", { title, id: document_id })),
+      ],
+    };
+  });
+
+  server.prompt("continue_series", "Review an iterative exploration series and write its next part", {
+    series: z.string().describe("Series title fragment, tag (e.g. serie:...) or document ID"),
+  }, async ({ series }) => ({
+    description: t("prompt.series.description", { series }),
+    messages: [userText(t("prompt.series.text", { series }))],
+  }));
+
+  server.prompt("daily_review_session", "Work through today's Readwise daily review together", {}, async () => {
+    const review = await apiV2("/review/");
+    const highlights = review.highlights || [];
+    const list = highlights.map((h, i) => {
+      const source = `${h.title || t("value.unknown")}${h.author ? `, ${h.author}` : ""}`;
+      const item = t("prompt.review.item", { n: i + 1, id: h.id, text: h.text, source });
+      return h.note ? `${item}\n   ${t("label.note")}: ${h.note}` : item;
+    }).join("\n\n");
+    return {
+      description: t("prompt.review.description", { count: highlights.length }),
+      messages: [userText(t("prompt.review.text", { count: highlights.length, list: list || t("prompt.review.empty") }))],
+    };
+  });
+
+  server.prompt("book_synthesis", "Synthesize everything you highlighted in one book", {
+    book_id: z.string().describe("Readwise book ID"),
+  }, async ({ book_id }) => {
+    const [book, highlights] = await Promise.all([loadBook(book_id), loadBookHighlights(book_id)]);
+    return {
+      description: t("prompt.synthesis.description", { title: book.title }),
+      messages: [
+        userResource(`readwise://book/${book_id}/highlights`, formatBookHighlights(book, highlights, t)),
+        userText(t("prompt.synthesis.text", { title: book.title })),
+      ],
+    };
+  });
+
   return server;
 }
 
@@ -1217,12 +2465,14 @@ El usuario ahora puede:
 // =============================================================================
 
 const app = express();
+// Render terminates TLS in front of us; needed for correct https:// issuer URLs
+app.set("trust proxy", true);
 
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
   res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
   res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, Accept, Mcp-Session-Id");
-  res.header("Access-Control-Expose-Headers", "Mcp-Session-Id");
+  res.header("Access-Control-Expose-Headers", "Mcp-Session-Id, WWW-Authenticate");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
@@ -1235,58 +2485,67 @@ app.get("/health", (req, res) => {
     status: "ok",
     server: "readwise-mcp-enhanced",
     version: "2.4.0",
-    tools: 39,
+    tools: 66,
     auth: "oauth2",
-    transport: "streamable-http"
+    multiTenant: MULTI_TENANT,
+    transport: "streamable-http",
+    rateLimits: schedulerStats()
   });
 });
 
-app.get("/authorize", (req, res) => {
-  const { client_id, redirect_uri, state } = req.query;
-  if (client_id !== OAUTH_CLIENT_ID) {
-    return res.status(401).json({ error: "invalid_client" });
-  }
-  const code = crypto.randomUUID();
-  authCodes.set(code, { clientId: client_id, createdAt: Date.now() });
-  const url = new URL(redirect_uri);
-  url.searchParams.set("code", code);
-  if (state) url.searchParams.set("state", state);
-  res.redirect(url.toString());
+// Clients come from dynamic registration (with OAUTH_REGISTRATION_TOKEN);
+// the env pair is optional
+const clients = createClientRegistry({
+  staticClient: OAUTH_CLIENT_ID
+    ? { clientId: OAUTH_CLIENT_ID, clientSecret: OAUTH_CLIENT_SECRET, redirectUris: OAUTH_REDIRECT_URIS }
+    : null,
 });
 
-app.post("/token", (req, res) => {
-  const { grant_type, code, client_id, client_secret } = req.body;
-  if (!validateCredentials(client_id, client_secret)) {
-    return res.status(401).json({ error: "invalid_client" });
+const oauth = createOAuth({
+  clients,
+  tokens: createTokenStore(TOKEN_STORE),
+  publicUrl: PUBLIC_URL,
+  registrationToken: OAUTH_REGISTRATION_TOKEN,
+  adminToken: ADMIN_TOKEN,
+  readwiseAccounts: MULTI_TENANT
+    ? { verify: checkApiKey, seal: token => cipher.encrypt(token) }
+    : null,
+  ownerToken: MULTI_TENANT ? null : READWISE_API_KEY,
+});
+
+app.use(oauth.router);
+
+// Readwise token for this request: the grant's own one in multi-tenant mode
+function readwiseKeyFor(auth) {
+  if (!MULTI_TENANT) return READWISE_API_KEY;
+  if (!auth.readwiseToken) return null;
+  try {
+    return cipher.decrypt(auth.readwiseToken);
+  } catch {
+    return null;
   }
-  if (grant_type === "authorization_code") {
-    const authData = authCodes.get(code);
-    if (!authData || authData.clientId !== client_id) {
-      return res.status(400).json({ error: "invalid_grant" });
+}
+
+app.post("/mcp", oauth.requireBearer, async (req, res) => {
+  // Cancellations target a request served by another server instance
+  for (const message of [].concat(req.body)) {
+    if (message?.method === "notifications/cancelled") {
+      cancelRequest(`${req.auth.grantId}:${message.params?.requestId}`, message.params?.reason);
     }
-    authCodes.delete(code);
   }
-  const accessToken = crypto.randomUUID();
-  validTokens.set(accessToken, { clientId: client_id, createdAt: Date.now() });
-  res.json({
-    access_token: accessToken,
-    token_type: "Bearer",
-    expires_in: 86400,
-    refresh_token: crypto.randomUUID()
-  });
-});
 
-app.post("/mcp", async (req, res) => {
-  if (!validateToken(req.headers.authorization)) {
+  const apiKey = readwiseKeyFor(req.auth);
+  if (!apiKey) {
+    // Grants from before multi-tenant mode (or a rotated key) must re-authorize
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token", error_description="No Readwise account is linked to this token"');
     return res.status(401).json({
       jsonrpc: "2.0",
       error: { code: -32001, message: "Unauthorized" },
       id: null
     });
   }
-
   try {
-    const server = createMcpServer();
+    const server = createMcpServer({ apiKey, scopes: req.auth.scopes || SCOPES, auth: req.auth });
     const transport = new StreamableHTTPServerTransport({
       sessionIdGenerator: undefined
     });
@@ -1316,7 +2575,7 @@ app.get("/", (req, res) => {
   res.json({
     name: "Readwise MCP Enhanced",
     version: "2.4.0",
-    tools: 39,
+    tools: 66,
     status: "running",
     auth: "oauth2"
   });
@@ -1324,6 +2583,12 @@ app.get("/", (req, res) => {
 
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Readwise MCP Enhanced v2.0.0 running on port ${PORT}`);
-  console.log(`📚 34 tools available`);
+  console.log(`📚 66 tools available`);
   console.log(`🔒 OAuth2 authentication enabled`);
+  if (READWISE_API_KEY) libraryFor(READWISE_API_KEY).mirror.start(MIRROR_SYNC_MINUTES);
+  if (MULTI_TENANT) console.log(`👥 Multi-tenant mode: each grant uses its own Readwise token`);
+  if (!OAUTH_REGISTRATION_TOKEN) console.log(`🔐 Dynamic client registration disabled (set OAUTH_REGISTRATION_TOKEN to enable)`);
+  console.log(MIRROR_SYNC_MINUTES > 0
+    ? `🗂️  Library mirror syncing every ${MIRROR_SYNC_MINUTES} min`
+    : `🗂️  Library mirror background sync disabled`);
 });
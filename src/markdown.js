@@ -0,0 +1,140 @@
+import MarkdownIt from "markdown-it";
+import footnote from "markdown-it-footnote";
+
+// =============================================================================
+// MARKDOWN RENDERING
+// =============================================================================
+//
+// The one Markdown -> HTML renderer for content we save to Reader: CommonMark
+// plus GFM tables, strikethrough, autolinks and task lists, and footnotes.
+// Raw HTML in the Markdown is escaped, and link/image URLs go through
+// markdown-it's validation (no javascript:, vbscript:, file: or non-image
+// data: URLs). Inline styles are added because Reader keeps those, not CSS.
+
+// Themes: inline styles per element, plus the page parts renderArticle adds
+// (body, title, meta, footer). "plain" leaves all styling to Reader.
+const DEFAULT_THEME = {
+  body: "font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:680px;margin:0 auto;padding:24px;color:#1f2328;background:#fff",
+  title: "font-size:2em;margin:0 0 0.5em;color:#1f2328;font-weight:600",
+  meta: "color:#656d76;font-size:0.9em;margin-bottom:2em;padding-bottom:1em;border-bottom:1px solid #eee",
+  footer: "color:#656d76;font-size:0.85em;text-align:center",
+  h2: "font-size:1.5em;margin:1.5em 0 0.5em;color:#24292f;border-bottom:1px solid #eee;padding-bottom:0.3em",
+  h3: "font-size:1.25em;margin:1.5em 0 0.5em;color:#24292f",
+  h4: "font-size:1.1em;margin:1.5em 0 0.5em;color:#24292f",
+  p: "margin:1em 0;line-height:1.7",
+  blockquote: "border-left:4px solid #ddd;margin:1em 0;padding:0.5em 1em;color:#656d76;background:#f6f8fa",
+  ul: "margin:1em 0;padding-left:2em",
+  ol: "margin:1em 0;padding-left:2em",
+  li: "margin:0.25em 0",
+  a: "color:#0969da;text-decoration:none",
+  code: "background:#f0f0f0;padding:2px 6px;border-radius:4px;font-size:0.9em",
+  pre: "background:#f6f8fa;padding:16px;border-radius:8px;overflow-x:auto;font-size:14px;line-height:1.5",
+  hr: "border:none;border-top:1px solid #eee;margin:2em 0",
+  table: "border-collapse:collapse;margin:1em 0",
+  th: "border:1px solid #d0d7de;padding:6px 13px;background:#f6f8fa",
+  td: "border:1px solid #d0d7de;padding:6px 13px",
+};
+
+export const THEMES = {
+  default: DEFAULT_THEME,
+  serif: {
+    ...DEFAULT_THEME,
+    body: "font-family:Georgia,'Iowan Old Style','Times New Roman',serif;max-width:640px;margin:0 auto;padding:24px;color:#2b2b2b;background:#fffdf8",
+    title: "font-size:2.2em;margin:0 0 0.5em;color:#2b2b2b;font-weight:normal",
+    meta: "color:#7a7267;font-style:italic;margin-bottom:2em",
+    h2: "font-size:1.5em;margin:1.5em 0 0.5em;color:#2b2b2b;font-weight:normal",
+    h3: "font-size:1.25em;margin:1.5em 0 0.5em;color:#2b2b2b;font-weight:normal;font-style:italic",
+    p: "margin:1em 0;line-height:1.8",
+    blockquote: "border-left:3px solid #c9b99a;margin:1em 0;padding:0 1em;color:#5c5447;font-style:italic",
+    a: "color:#8a4b08;text-decoration:underline",
+  },
+  plain: {},
+};
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function styleAttr(css) {
+  return css ? ` style="${css}"` : "";
+}
+
+// "- [ ] todo" / "- [x] done" -> ☐ / ☑ (Reader drops form inputs)
+function taskLists(md) {
+  md.core.ruler.after("inline", "task_lists", state => {
+    const tokens = state.tokens;
+    for (let i = 2; i < tokens.length; i++) {
+      if (tokens[i].type !== "inline" || tokens[i - 1].type !== "paragraph_open" || tokens[i - 2].type !== "list_item_open") continue;
+      const first = tokens[i].children[0];
+      const match = first?.type === "text" && /^\[([ xX])\]\s/.exec(first.content);
+      if (!match) continue;
+      first.content = (match[1] === " " ? "☐ " : "☑ ") + first.content.slice(match[0].length);
+      tokens[i - 2].attrJoin("class", "task-list-item");
+    }
+  });
+}
+
+// The document title is the only <h1>; "# Heading" becomes an <h2>
+function readerLayout(md) {
+  md.core.ruler.push("reader_layout", state => {
+    const styles = state.env.theme || DEFAULT_THEME;
+    const style = token => {
+      if (token.type === "heading_open" || token.type === "heading_close") {
+        if (token.tag === "h1") token.tag = "h2";
+      }
+      if (token.nesting !== -1 && styles[token.tag] && !token.attrGet("style")) {
+        token.attrSet("style", styles[token.tag]);
+      }
+      token.children?.forEach(style);
+    };
+    state.tokens.forEach(style);
+  });
+
+  // Fenced and indented code: styled <pre>, language kept as a class
+  const codeBlock = (tokens, idx, options, env) => {
+    const token = tokens[idx];
+    const lang = token.info ? token.info.trim().split(/\s+/)[0] : "";
+    const cls = lang ? ` class="language-${escapeHtml(lang)}"` : "";
+    return `<pre${styleAttr((env.theme || DEFAULT_THEME).pre)}><code${cls}>${escapeHtml(token.content.replace(/\n$/, ""))}</code></pre>\n`;
+  };
+  md.renderer.rules.fence = codeBlock;
+  md.renderer.rules.code_block = codeBlock;
+}
+
+const md = new MarkdownIt({ html: false, linkify: true, typographer: false })
+  .enable(["table", "strikethrough"])
+  .use(footnote)
+  .use(taskLists)
+  .use(readerLayout);
+
+// theme: a THEMES entry (default: THEMES.default)
+export function renderMarkdown(text, { theme } = {}) {
+  return md.render(String(text ?? ""), { theme });
+}
+
+// One line of Markdown, without the surrounding <p>
+export function renderInline(text, { theme } = {}) {
+  return md.renderInline(String(text ?? ""), { theme });
+}
+
+// A complete document for Reader. `title` is escaped; `meta` and `footer`
+// are HTML (templates.js renders them with renderInline).
+export function renderArticle({ title, meta, markdown, footer, theme = DEFAULT_THEME }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body${styleAttr(theme.body)}>
+<article>
+<h1${styleAttr(theme.title)}>${escapeHtml(title)}</h1>
+${meta ? `<p${styleAttr(theme.meta)}>\n${meta}\n</p>\n` : ""}${renderMarkdown(markdown, { theme })}${footer ? `<hr${styleAttr(theme.hr)}>\n<p${styleAttr(theme.footer)}>\n${footer}\n</p>\n` : ""}</article>
+</body>
+</html>`;
+}
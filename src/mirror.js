@@ -0,0 +1,457 @@
+import { apiV2, apiV3 } from "./readwise.js";
+import { readJson, writeJson } from "./store.js";
+
+// =============================================================================
+// LOCAL LIBRARY MIRROR
+// =============================================================================
+//
+// Keeps a local copy of the Readwise library: books + highlights from the v2
+// /export/ endpoint and Reader documents from v3 /list/. The first sync is a
+// full import; after that only items changed since the previous run are
+// pulled with `updatedAfter`. Read tools answer from here once it is synced.
+//
+// v3 /list/ never reports deleted documents, so every
+// MIRROR_RECONCILE_HOURS the documents are listed in full instead and the
+// ones no longer there are dropped.
+
+const MIRROR_CURSOR_PREFIX = "mirror:";
+// Local patches are written out this long after the first of a burst
+const WRITE_DELAY_MS = 2000;
+const RECONCILE_MS = Number(process.env.MIRROR_RECONCILE_HOURS || 24) * 60 * 60 * 1000;
+
+// Thrown by ready() while the first full import runs in the background
+export class MirrorSyncing extends Error {
+  constructor() {
+    super("The library mirror is still importing");
+    this.code = "syncing";
+  }
+}
+
+function emptyState() {
+  return {
+    books: {},
+    highlights: {},
+    documents: {},
+    highlightsSyncedAt: null,
+    documentsSyncedAt: null,
+    documentsReconciledAt: null,
+  };
+}
+
+function toBook(book) {
+  return {
+    id: book.user_book_id,
+    title: book.readable_title || book.title,
+    author: book.author,
+    category: book.category,
+    source: book.source,
+    cover_image_url: book.cover_image_url,
+    source_url: book.source_url,
+    unique_url: book.unique_url,
+    asin: book.asin,
+    tags: book.book_tags || [],
+    document_note: book.document_note,
+    readwise_url: book.readwise_url,
+    num_highlights: 0,
+    last_highlight_at: null,
+    updated: null,
+  };
+}
+
+function toHighlight(h, bookId) {
+  return {
+    id: h.id,
+    text: h.text,
+    note: h.note,
+    location: h.location,
+    location_type: h.location_type,
+    end_location: h.end_location,
+    highlighted_at: h.highlighted_at,
+    created_at: h.created_at,
+    updated: h.updated_at,
+    url: h.url,
+    color: h.color,
+    book_id: bookId,
+    tags: h.tags || [],
+    is_favorite: h.is_favorite,
+    is_discard: h.is_discard,
+    readwise_url: h.readwise_url,
+    external_id: h.external_id,
+  };
+}
+
+function ingestBook(state, book) {
+  const { highlights = [], ...meta } = book;
+  const id = meta.user_book_id;
+  state.books[id] = toBook(meta);
+  for (const h of highlights) {
+    if (h.is_deleted) delete state.highlights[h.id];
+    else state.highlights[h.id] = toHighlight(h, id);
+  }
+}
+
+// Recompute per-book aggregates the /books/ endpoint normally provides
+function aggregateBooks(state) {
+  for (const book of Object.values(state.books)) {
+    book.num_highlights = 0;
+    book.last_highlight_at = null;
+    book.updated = null;
+  }
+  for (const h of Object.values(state.highlights)) {
+    const book = state.books[h.book_id];
+    if (!book) continue;
+    book.num_highlights++;
+    if (h.highlighted_at && (!book.last_highlight_at || h.highlighted_at > book.last_highlight_at)) {
+      book.last_highlight_at = h.highlighted_at;
+    }
+    if (h.updated && (!book.updated || h.updated > book.updated)) {
+      book.updated = h.updated;
+    }
+  }
+}
+
+export function inRange(value, after, before) {
+  if (!after && !before) return true;
+  if (!value) return false;
+  const t = new Date(value).getTime();
+  if (after && !(t > new Date(after).getTime())) return false;
+  if (before && !(t < new Date(before).getTime())) return false;
+  return true;
+}
+
+function byDateDesc(field) {
+  return (a, b) => String(b[field] || "").localeCompare(String(a[field] || ""));
+}
+
+// v2-style page: { count, next, previous, results }
+function paginate(items, page = 1, pageSize = 100) {
+  const size = Math.max(pageSize, 1);
+  const start = (Math.max(page, 1) - 1) * size;
+  return {
+    count: items.length,
+    next: start + size < items.length ? page + 1 : null,
+    previous: page > 1 ? page - 1 : null,
+    results: items.slice(start, start + size),
+  };
+}
+
+export function isMirrorCursor(cursor) {
+  return typeof cursor === "string" && cursor.startsWith(MIRROR_CURSOR_PREFIX);
+}
+
+export function createMirror({ name = "mirror", api = { apiV2, apiV3 } } = {}) {
+  let state = null;
+  let loading = null;
+  let running = null;
+  let timer = null;
+  let lastError = null;
+  let lastRun = null;
+  let revision = 0;
+  let pendingWrite = null;
+  let booksStale = false;
+
+  async function load() {
+    if (state) return state;
+    if (!loading) {
+      loading = readJson(name, null).then(saved => {
+        state = saved ? { ...emptyState(), ...saved } : emptyState();
+        revision++;
+        return state;
+      });
+    }
+    return loading;
+  }
+
+  function persist() {
+    revision++;
+    return write();
+  }
+
+  function write() {
+    clearTimeout(pendingWrite);
+    pendingWrite = null;
+    if (booksStale) aggregateBooks(state);
+    booksStale = false;
+    return writeJson(name, state).catch(error => {
+      console.error("Mirror write failed:", error.message);
+    });
+  }
+
+  // After our own single-item writes: the search index (highlights only) is
+  // only invalidated when highlights change, and the file is written once per
+  // burst, not once per item. A write lost on shutdown is harmless: the next
+  // sync pulls those items again, as they changed after it last ran.
+  function patched({ highlights = false } = {}) {
+    if (highlights) revision++;
+    if (pendingWrite) return;
+    pendingWrite = setTimeout(write, WRITE_DELAY_MS);
+    pendingWrite.unref();
+  }
+
+  async function pullExport(target, updatedAfter) {
+    let pageCursor;
+    let books = 0;
+    do {
+      const page = await api.apiV2("/export/", { params: { updatedAfter, pageCursor } });
+      for (const book of page.results || []) {
+        ingestBook(target, book);
+        books++;
+      }
+      pageCursor = page.nextPageCursor || undefined;
+    } while (pageCursor);
+    return books;
+  }
+
+  async function pullDocuments(target, updatedAfter) {
+    let pageCursor;
+    let documents = 0;
+    do {
+      const page = await api.apiV3("/list/", { params: { updatedAfter, pageCursor } });
+      for (const doc of page.results || []) {
+        target.documents[doc.id] = doc;
+        documents++;
+      }
+      pageCursor = page.nextPageCursor || undefined;
+    } while (pageCursor);
+    return documents;
+  }
+
+  async function runSync(full) {
+    await load();
+    const startedAt = new Date().toISOString();
+    const incremental = !full && state.highlightsSyncedAt && state.documentsSyncedAt;
+
+    // A full import fills a fresh state so readers keep the old copy meanwhile
+    const target = incremental ? state : emptyState();
+    const books = await pullExport(target, incremental ? state.highlightsSyncedAt : undefined);
+    target.highlightsSyncedAt = startedAt;
+    const reconcile = incremental && Date.now() - (Date.parse(state.documentsReconciledAt || "") || 0) > RECONCILE_MS;
+    let documents;
+    if (reconcile) {
+      const listed = { documents: {} };
+      documents = await pullDocuments(listed, undefined);
+      target.documents = listed.documents;
+    } else {
+      documents = await pullDocuments(target, incremental ? state.documentsSyncedAt : undefined);
+    }
+    target.documentsSyncedAt = startedAt;
+    if (!incremental || reconcile) target.documentsReconciledAt = startedAt;
+    aggregateBooks(target);
+
+    state = target;
+    await persist();
+
+    lastRun = {
+      mode: incremental ? "incremental" : "full",
+      documentsReconciled: !incremental || reconcile,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      booksChanged: books,
+      documentsChanged: documents,
+    };
+    return lastRun;
+  }
+
+  function sync({ full = false } = {}) {
+    if (!running) {
+      running = runSync(full)
+        .then(result => {
+          lastError = null;
+          return result;
+        })
+        .catch(error => {
+          lastError = { message: error.message, at: new Date().toISOString() };
+          throw error;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  // intervalMinutes = 0 only loads the saved copy; sync_now refreshes it
+  function start(intervalMinutes) {
+    const run = () => sync().catch(error => console.error("Mirror sync failed:", error.message));
+    if (!(intervalMinutes > 0)) {
+      load().catch(error => console.error("Mirror load failed:", error.message));
+      return;
+    }
+    run();
+    timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Until the first full import is done there is nothing to read: start it
+  // (unless start() already has) and tell the caller to come back, rather
+  // than hold a tool call for the whole import
+  async function ready() {
+    await load();
+    if (isReady()) return;
+    sync().catch(error => console.error("Mirror sync failed:", error.message));
+    throw new MirrorSyncing();
+  }
+
+  function isReady() {
+    return Boolean(state?.highlightsSyncedAt && state?.documentsSyncedAt);
+  }
+
+  async function status() {
+    await load();
+    const syncedAt = [state.highlightsSyncedAt, state.documentsSyncedAt].filter(Boolean).sort()[0] || null;
+    return {
+      ready: isReady(),
+      syncing: Boolean(running),
+      highlightsSyncedAt: state.highlightsSyncedAt,
+      documentsSyncedAt: state.documentsSyncedAt,
+      documentsReconciledAt: state.documentsReconciledAt,
+      ageMinutes: syncedAt ? Math.round((Date.now() - new Date(syncedAt).getTime()) / 60000) : null,
+      books: Object.keys(state.books).length,
+      highlights: Object.keys(state.highlights).length,
+      documents: Object.keys(state.documents).length,
+      lastRun,
+      lastError,
+    };
+  }
+
+  // Bumped on every change so derived indexes know when to rebuild
+  function version() {
+    return revision;
+  }
+
+  function snapshot() {
+    return { books: state?.books || {}, highlights: state?.highlights || {} };
+  }
+
+  function meta() {
+    return { source: "mirror", synced_at: state?.documentsSyncedAt || state?.highlightsSyncedAt || null };
+  }
+
+  async function queryHighlights({ book_id, updated__gt, updated__lt, highlighted_at__gt, highlighted_at__lt, page, page_size } = {}) {
+    await load();
+    const items = Object.values(state.highlights)
+      .filter(h => book_id === undefined || h.book_id === book_id)
+      .filter(h => inRange(h.updated, updated__gt, updated__lt))
+      .filter(h => inRange(h.highlighted_at, highlighted_at__gt, highlighted_at__lt))
+      .sort(byDateDesc("updated"));
+    return { ...paginate(items, page, page_size), ...meta() };
+  }
+
+  async function queryBooks({ category, source, updated__gt, updated__lt, page, page_size } = {}) {
+    await load();
+    const items = Object.values(state.books)
+      .filter(b => !category || b.category === category)
+      .filter(b => !source || b.source === source)
+      .filter(b => inRange(b.updated, updated__gt, updated__lt))
+      .sort(byDateDesc("updated"));
+    return { ...paginate(items, page, page_size), ...meta() };
+  }
+
+  // v3-style page: { count, nextPageCursor, results }
+  async function queryDocuments({ location, category, updatedAfter, pageCursor, limit = 100, where } = {}) {
+    await load();
+    const items = Object.values(state.documents)
+      .filter(d => !location || d.location === location)
+      .filter(d => !category || d.category === category)
+      .filter(d => inRange(d.updated_at, updatedAfter, null))
+      .filter(d => !where || where(d))
+      .sort(byDateDesc("updated_at"));
+    const offset = isMirrorCursor(pageCursor) ? Number(pageCursor.slice(MIRROR_CURSOR_PREFIX.length)) || 0 : 0;
+    const end = offset + limit;
+    return {
+      count: items.length,
+      nextPageCursor: end < items.length ? `${MIRROR_CURSOR_PREFIX}${end}` : null,
+      results: items.slice(offset, end),
+      ...meta(),
+    };
+  }
+
+  async function getBook(id) {
+    await load();
+    return state.books[id] || null;
+  }
+
+  async function getDocument(id) {
+    await load();
+    return state.documents[id] || null;
+  }
+
+  function removeDocument(id) {
+    if (state?.documents[id]) {
+      delete state.documents[id];
+      patched();
+    }
+  }
+
+  // Our own writes, applied locally so reads before the next sync see them
+  function patchDocument(id, fields) {
+    const doc = state?.documents[id];
+    if (!doc) return;
+    const { tags, ...rest } = fields;
+    Object.assign(doc, rest);
+    // Stored the way Reader returns them: keyed by name
+    if (tags) doc.tags = Object.fromEntries(tags.map(name => [name, { name }]));
+    patched();
+  }
+
+  // tags as v2 returns them: [{ id, name }]
+  function patchHighlight(id, fields) {
+    const h = state?.highlights[id];
+    if (!h) return;
+    Object.assign(h, fields);
+    patched({ highlights: true });
+  }
+
+  // Items made by our own writes (an undone delete), as the API returns them
+  function putDocument(doc) {
+    if (!state) return;
+    state.documents[doc.id] = doc;
+    patched();
+  }
+
+  function putHighlight(h) {
+    if (!state) return;
+    state.highlights[h.id] = toHighlight(h, h.book_id);
+    if (state.books[h.book_id]) state.books[h.book_id].num_highlights++;
+    booksStale = true;
+    patched({ highlights: true });
+  }
+
+  function removeHighlight(id) {
+    const h = state?.highlights[id];
+    if (h) {
+      delete state.highlights[id];
+      // The count right away; the rest of the book's aggregates on write
+      if (state.books[h.book_id]) state.books[h.book_id].num_highlights--;
+      booksStale = true;
+      patched({ highlights: true });
+    }
+  }
+
+  return {
+    sync,
+    start,
+    stop,
+    ready,
+    isReady,
+    status,
+    version,
+    snapshot,
+    queryHighlights,
+    queryBooks,
+    queryDocuments,
+    getBook,
+    getDocument,
+    patchDocument,
+    putDocument,
+    removeDocument,
+    patchHighlight,
+    putHighlight,
+    removeHighlight,
+  };
+}
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+
+// =============================================================================
+// DOCUMENT NOTES SECTIONS
+// =============================================================================
+//
+// expand_document appends blocks to a Reader document's notes:
+//
+//   ───────────────────────────      (unless separator=false)
+//
+//   ## Section title                 (when given)
+//   *timestamp*
+//
+//   content
+//
+// Here the notes are read back as those sections, so they can be edited one
+// at a time. Whatever precedes the first section is the preamble and is left
+// alone. A section's ID comes from its title and timestamp, so it survives
+// edits to its content and to the other sections.
+//
+// Versions are short hashes: of the whole notes ("3f2a9c01b7d4"), and for a
+// section, of the notes plus the section ("3f2a9c01b7d4.9e0c2d11"). Writing
+// with a version that is no longer current is not refused: the edit is
+// applied again to the notes as they are now, keeping what changed meanwhile,
+// unless the section itself changed.
+
+export const SEPARATOR = "───────────────────────────";
+
+const SEPARATOR_LINE = /^─{5,}\s*$/;
+const HEADING_LINE = /^##\s+(.+?)\s*$/;
+const TIMESTAMP_LINE = /^\*[^*\s].*\*\s*$/;
+
+function hash(text, length) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, length);
+}
+
+export function notesVersion(notes) {
+  return hash(notes, 12);
+}
+
+// The block expand_document appends, starting a paragraph of its own
+export function sectionBlock({ title, timestamp, content, separator = true }) {
+  let block = separator ? `\n\n${SEPARATOR}\n\n` : "\n\n";
+  if (title) block += `## ${title}\n`;
+  block += `*${timestamp}*\n\n`;
+  return block + content;
+}
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+// Where a section starts at line i: a separator (optionally followed by the
+// heading and timestamp), or a heading directly followed by a timestamp.
+// Returns the index of the first body line, title and timestamp.
+function sectionHeader(lines, i) {
+  let j = i;
+  if (SEPARATOR_LINE.test(lines[j])) {
+    j++;
+    while (j < lines.length && !lines[j].trim()) j++;
+  } else if (!(HEADING_LINE.test(lines[j]) && TIMESTAMP_LINE.test(lines[j + 1] ?? ""))) {
+    return null;
+  }
+  let title = null;
+  let timestamp = null;
+  const heading = HEADING_LINE.exec(lines[j] ?? "");
+  if (heading && TIMESTAMP_LINE.test(lines[j + 1] ?? "")) {
+    title = heading[1];
+    j++;
+  }
+  if (TIMESTAMP_LINE.test(lines[j] ?? "")) {
+    timestamp = lines[j].trim().slice(1, -1);
+    j++;
+  } else if (j > i + 1) {
+    // A bare separator: the section starts right after it
+    j = i + 1;
+  }
+  return { bodyStart: j, title, timestamp };
+}
+
+// notes -> { preamble, sections: [{ id, title, timestamp, header, body }] }
+// header: the separator/heading/timestamp lines as written; body: the rest
+export function parseSections(notes) {
+  const lines = String(notes ?? "").split("\n");
+  const starts = [];
+  for (let i = 0; i < lines.length; i++) {
+    const header = sectionHeader(lines, i);
+    if (!header) continue;
+    starts.push({ line: i, ...header });
+    i = header.bodyStart - 1;
+  }
+
+  const seen = new Map();
+  const sections = starts.map((start, n) => {
+    const end = starts[n + 1]?.line ?? lines.length;
+    const key = hash(`${start.title ?? ""}\n${start.timestamp ?? ""}`, 8);
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return {
+      id: count > 1 ? `${key}-${count}` : key,
+      title: start.title,
+      timestamp: start.timestamp,
+      header: lines.slice(start.line, start.bodyStart).join("\n").trim(),
+      body: lines.slice(start.bodyStart, end).join("\n").trim(),
+    };
+  });
+  const preamble = lines.slice(0, starts[0]?.line ?? lines.length).join("\n").trim();
+  return { preamble, sections };
+}
+
+function sectionText(section) {
+  return [section.header, section.body].filter(Boolean).join("\n\n");
+}
+
+export function serializeSections({ preamble, sections }) {
+  return [preamble, ...sections.map(sectionText)].filter(Boolean).join("\n\n");
+}
+
+export function sectionVersion(notes, section) {
+  return `${notesVersion(notes)}.${hash(sectionText(section), 8)}`;
+}
+
+// What list_note_sections shows for each section
+export function describeSections(notes) {
+  const { preamble, sections } = parseSections(notes);
+  return {
+    version: notesVersion(notes),
+    preamble_length: preamble.length,
+    sections: sections.map((section, i) => ({
+      id: section.id,
+      position: i + 1,
+      title: section.title,
+      timestamp: section.timestamp,
+      length: section.body.length,
+      version: sectionVersion(notes, section),
+    })),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Editing
+// -----------------------------------------------------------------------------
+
+// Edits throw a SectionError when they cannot apply; index.js turns the
+// code and details into a catalog message
+export class SectionError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// A section by ID, or by title when exactly one section has it
+export function findSection(sections, ref) {
+  const byId = sections.find(section => section.id === ref);
+  if (byId) return byId;
+  const byTitle = sections.filter(section => section.title?.toLowerCase() === String(ref).trim().toLowerCase());
+  if (byTitle.length > 1) throw new SectionError("ambiguous", { section: ref });
+  if (byTitle.length === 0) throw new SectionError("notFound", { section: ref });
+  return byTitle[0];
+}
+
+// A section version from an older read: if that section's content is not
+// what it was then, refuse rather than overwrite someone else's edit
+function checkSection(notes, section, version) {
+  const [notesPart, sectionPart] = String(version ?? "").split(".");
+  if (!sectionPart || notesPart === notesVersion(notes)) return;
+  if (sectionVersion(notes, section).split(".")[1] !== sectionPart) {
+    throw new SectionError("changed", { section: section.id });
+  }
+}
+
+// content replaces the body; title (sections with a heading only) renames it
+export function replaceSection(notes, ref, { content, title, version }) {
+  const parsed = parseSections(notes);
+  const section = findSection(parsed.sections, ref);
+  checkSection(notes, section, version);
+  if (content !== undefined) section.body = content.trim();
+  if (title && section.title !== null) {
+    section.header = section.header.replace(/^##\s+.+$/m, `## ${title}`);
+  }
+  return serializeSections(parsed);
+}
+
+export function deleteSection(notes, ref, { version }) {
+  const parsed = parseSections(notes);
+  const section = findSection(parsed.sections, ref);
+  checkSection(notes, section, version);
+  parsed.sections = parsed.sections.filter(s => s !== section);
+  return serializeSections(parsed);
+}
+
+// ids: every section, in the new order. With a version that is no longer
+// current, sections added since then go after the listed ones.
+export function reorderSections(notes, ids, { version }) {
+  const parsed = parseSections(notes);
+  const stale = Boolean(version) && version.split(".")[0] !== notesVersion(notes);
+  const ordered = ids.map(id => findSection(parsed.sections, id));
+  const rest = parsed.sections.filter(section => !ordered.includes(section));
+  if (new Set(ordered).size !== ordered.length || (rest.length > 0 && !stale)) {
+    throw new SectionError("order", { ids: parsed.sections.map(section => section.id) });
+  }
+  parsed.sections = [...ordered, ...rest];
+  return serializeSections(parsed);
+}
+
+// -----------------------------------------------------------------------------
+// Write queue
+// -----------------------------------------------------------------------------
+
+// Read-modify-write of the same document's notes, one at a time within this
+// process (all sessions and accounts share it: document IDs are unique)
+const pending = new Map();
+// Times an edit is redone on notes that keep changing before it gives up
+// without writing
+export const NOTES_WRITE_ATTEMPTS = 3;
+
+export function queueNotesWrite(documentId, task) {
+  const run = (pending.get(documentId) || Promise.resolve()).catch(() => {}).then(task);
+  pending.set(documentId, run);
+  run.catch(() => {}).finally(() => {
+    if (pending.get(documentId) === run) pending.delete(documentId);
+  });
+  return run;
+}
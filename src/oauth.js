@@ -0,0 +1,562 @@
+import crypto from "crypto";
+import express from "express";
+import { AUTH_METHODS, RegistrationError } from "./clients.js";
+import { TOKEN_KINDS } from "./tokens.js";
+import { SCOPES, parseScope, formatScope } from "./scopes.js";
+
+// =============================================================================
+// AUTENTICACIÓN OAUTH
+// =============================================================================
+//
+// OAuth 2.1 authorization server for MCP clients:
+//   - RFC 8414 authorization server metadata
+//   - RFC 9728 protected resource metadata
+//   - RFC 7591 dynamic client registration, gated by OAUTH_REGISTRATION_TOKEN
+//   - authorization code grant with mandatory PKCE (S256)
+//   - rotating refresh tokens, RFC 7009 revocation
+//   - read/write/delete scopes recorded on every grant (see scopes.js)
+//   - a consent page before every code: the owner approves with the server's
+//     own Readwise token, or (multi-tenant) each user binds the grant to theirs
+//
+// Codes and tokens live in a pluggable token store (see tokens.js), keyed by
+// their SHA-256 hash. An access token and the refresh tokens rotated from it
+// share a grant ID, which is what revocation and the admin API work on.
+
+const AUTH_CODE_TTL_MS = 10 * 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a ?? ""));
+  const bufB = Buffer.from(String(b ?? ""));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function pkceChallenge(verifier) {
+  return crypto.createHash("sha256").update(verifier).digest("base64url");
+}
+
+// RFC 7636: 43-128 chars from the unreserved set
+const VERIFIER_RE = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+function oauthError(res, status, error, description) {
+  res.set("Cache-Control", "no-store");
+  return res.status(status).json({ error, error_description: description });
+}
+
+// Client credentials may come as client_secret_post or client_secret_basic
+function readClientCredentials(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+    const sep = decoded.indexOf(":");
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, sep)),
+      clientSecret: decodeURIComponent(decoded.slice(sep + 1)),
+      method: "client_secret_basic",
+    };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret, method: "client_secret_post" };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Authorization request parameters carried through the consent form
+const AUTHORIZE_PARAMS = ["client_id", "redirect_uri", "state", "response_type", "code_challenge", "code_challenge_method", "scope", "resource"];
+
+const SCOPE_DESCRIPTIONS = {
+  read: "Read your highlights, books and Reader documents",
+  write: "Create and edit highlights, notes, documents and tags",
+  delete: "Delete highlights and documents",
+};
+
+function sendConsentPage(res, client, params, scopes, errorMessage, status = 200) {
+  const hidden = AUTHORIZE_PARAMS
+    .filter(name => params[name] !== undefined)
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join("\n      ");
+  const clientName = escapeHtml(client.client_name || client.client_id);
+  const permissions = scopes.map(scope => `<li>${escapeHtml(SCOPE_DESCRIPTIONS[scope])}</li>`).join("");
+  res.set("Cache-Control", "no-store");
+  res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'");
+  res.status(status).type("html").send(`<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Connect Readwise</title>
+    <style>
+      body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 4rem auto; padding: 0 1rem; color: #222; }
+      input[type=password] { width: 100%; padding: .5rem; box-sizing: border-box; }
+      .error { color: #b00020; }
+      .actions { display: flex; gap: .5rem; margin-top: 1rem; }
+    </style>
+  </head>
+  <body>
+    <h1>Connect Readwise</h1>
+    <p><strong>${clientName}</strong> wants to access your Readwise account and will be able to:</p>
+    <ul>${permissions}</ul>
+    ${errorMessage ? `<p class="error">${escapeHtml(errorMessage)}</p>` : ""}
+    <form method="post" action="authorize">
+      ${hidden}
+      <label for="readwise_token">Readwise access token
+        (<a href="https://readwise.io/access_token" target="_blank" rel="noopener">get yours here</a>)</label>
+      <input type="password" id="readwise_token" name="readwise_token" autocomplete="off" autofocus>
+      <div class="actions">
+        <button type="submit" name="action" value="approve">Authorize</button>
+        <button type="submit" name="action" value="deny">Deny</button>
+      </div>
+    </form>
+  </body>
+</html>`);
+}
+
+// Express 4 does not catch rejected promises from async handlers
+function handle(fn) {
+  return (req, res, next) => fn(req, res, next).catch(next);
+}
+
+// readwiseAccounts (multi-tenant mode): { verify(token), seal(token) }. When
+// set, /authorize asks for the user's Readwise token and the sealed token is
+// attached to every code and token of the grant. Otherwise ownerToken, the
+// server's own Readwise token, is what approves a request.
+export function createOAuth({ clients, tokens, publicUrl, registrationToken, adminToken, readwiseAccounts, ownerToken }) {
+  const cleanup = setInterval(async () => {
+    const now = Date.now();
+    try {
+      for (const kind of TOKEN_KINDS) {
+        for (const [key, data] of await tokens.entries(kind)) {
+          if (now > data.expiresAt) await tokens.remove(kind, key);
+        }
+      }
+    } catch (error) {
+      console.error("Token cleanup failed:", error.message);
+    }
+  }, 5 * 60 * 1000);
+  cleanup.unref();
+
+  // Single-use read: the record is removed whether or not it is still valid
+  async function consume(kind, token) {
+    if (!token) return null;
+    const key = hashToken(token);
+    const data = await tokens.get(kind, key);
+    if (data) await tokens.remove(kind, key);
+    if (!data || Date.now() > data.expiresAt) return null;
+    return data;
+  }
+
+  async function revokeGrants(predicate) {
+    const grants = new Set();
+    for (const kind of ["access", "refresh"]) {
+      for (const [key, data] of await tokens.entries(kind)) {
+        if (predicate(data)) {
+          await tokens.remove(kind, key);
+          grants.add(data.grantId);
+        }
+      }
+    }
+    return grants.size;
+  }
+
+  async function listGrants() {
+    const grants = new Map();
+    const now = Date.now();
+    for (const kind of ["access", "refresh"]) {
+      for (const [, data] of await tokens.entries(kind)) {
+        if (now > data.expiresAt) continue;
+        const grant = grants.get(data.grantId) || {
+          grant_id: data.grantId,
+          client_id: data.clientId,
+          scope: formatScope(data.scopes || SCOPES),
+          issued_at: new Date(data.grantCreatedAt || data.createdAt).toISOString(),
+          access_expires_at: null,
+          refresh_expires_at: null,
+        };
+        const field = kind === "access" ? "access_expires_at" : "refresh_expires_at";
+        const expires = new Date(data.expiresAt).toISOString();
+        if (!grant[field] || expires > grant[field]) grant[field] = expires;
+        grants.set(data.grantId, grant);
+      }
+    }
+    const result = [];
+    for (const grant of grants.values()) {
+      const client = await clients.get(grant.client_id);
+      result.push({ ...grant, client_name: client?.client_name || null });
+    }
+    return result.sort((a, b) => b.issued_at.localeCompare(a.issued_at));
+  }
+
+  function issuer(req) {
+    return (publicUrl || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+  }
+
+  function resourceMetadataUrl(req) {
+    return `${issuer(req)}/.well-known/oauth-protected-resource`;
+  }
+
+  // grant: { clientId, scopes, grantId?, grantCreatedAt?, readwiseToken? } - refreshes keep the grant ID
+  async function issueTokens(grant) {
+    const now = Date.now();
+    const record = {
+      ...grant,
+      grantId: grant.grantId || crypto.randomUUID(),
+      grantCreatedAt: grant.grantCreatedAt || now,
+      createdAt: now,
+    };
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    await tokens.put("access", hashToken(accessToken), { ...record, expiresAt: now + ACCESS_TOKEN_TTL_MS });
+    await tokens.put("refresh", hashToken(refreshToken), { ...record, expiresAt: now + REFRESH_TOKEN_TTL_MS });
+    return {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL_MS / 1000,
+      refresh_token: refreshToken,
+      scope: formatScope(record.scopes),
+    };
+  }
+
+  const router = express.Router();
+
+  // ---------------------------------------------------------------------------
+  // Discovery
+  // ---------------------------------------------------------------------------
+
+  router.get("/.well-known/oauth-authorization-server", (req, res) => {
+    const base = issuer(req);
+    res.json({
+      issuer: base,
+      authorization_endpoint: `${base}/authorize`,
+      token_endpoint: `${base}/token`,
+      ...(registrationToken && { registration_endpoint: `${base}/register` }),
+      revocation_endpoint: `${base}/revoke`,
+      revocation_endpoint_auth_methods_supported: AUTH_METHODS,
+      response_types_supported: ["code"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: AUTH_METHODS,
+      scopes_supported: SCOPES,
+    });
+  });
+
+  router.get(["/.well-known/oauth-protected-resource", "/.well-known/oauth-protected-resource/mcp"], (req, res) => {
+    const base = issuer(req);
+    res.json({
+      resource: `${base}/mcp`,
+      authorization_servers: [base],
+      bearer_methods_supported: ["header"],
+      scopes_supported: SCOPES,
+      resource_name: "Readwise MCP Enhanced",
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Dynamic client registration
+  // ---------------------------------------------------------------------------
+
+  router.post("/register", handle(async (req, res) => {
+    // Only with OAUTH_REGISTRATION_TOKEN: a registered client can be
+    // authorized for the server's Readwise account, so anyone who can reach
+    // the server must not be able to add one
+    if (!registrationToken) {
+      return oauthError(res, 403, "access_denied", "Dynamic client registration is disabled on this server");
+    }
+    if (!safeEqual(req.headers.authorization, `Bearer ${registrationToken}`)) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return oauthError(res, 401, "invalid_token", "A valid initial access token is required to register");
+    }
+    try {
+      const { client, clientSecret } = await clients.register(req.body || {});
+      res.set("Cache-Control", "no-store");
+      res.status(201).json(clients.describe(client, clientSecret));
+    } catch (error) {
+      if (error instanceof RegistrationError) return oauthError(res, 400, error.code, error.message);
+      console.error("Client registration failed:", error);
+      return oauthError(res, 500, "server_error", "Could not register client");
+    }
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Authorization endpoint
+  // ---------------------------------------------------------------------------
+
+  // Shared by GET (direct or consent page) and POST (consent submitted).
+  // Returns { client, scopes, redirectTo } once the request is valid,
+  // otherwise answers the request itself and returns null.
+  async function validateAuthorization(params, res) {
+    const { client_id, redirect_uri, state, response_type, code_challenge, code_challenge_method, scope } = params;
+
+    // Without a trusted client + redirect_uri pair, never redirect anywhere
+    const client = await clients.get(client_id);
+    if (!client) {
+      oauthError(res, 401, "invalid_client", "Unknown client_id");
+      return null;
+    }
+    if (!redirect_uri || !clients.allowsRedirect(client, redirect_uri)) {
+      oauthError(res, 400, "invalid_request", "Missing or unregistered redirect_uri");
+      return null;
+    }
+
+    const redirectTo = (values) => {
+      const url = new URL(redirect_uri);
+      for (const [key, value] of Object.entries(values)) url.searchParams.set(key, value);
+      if (state) url.searchParams.set("state", state);
+      res.redirect(url.toString());
+    };
+    const fail = (error, description) => {
+      redirectTo({ error, error_description: description });
+      return null;
+    };
+
+    if (response_type !== "code") {
+      return fail("unsupported_response_type", "Only response_type=code is supported");
+    }
+    if (!code_challenge) {
+      return fail("invalid_request", "PKCE code_challenge is required");
+    }
+    if (code_challenge_method !== "S256") {
+      return fail("invalid_request", "code_challenge_method must be S256");
+    }
+
+    // No scope requested: whatever the client registered for, else everything
+    const allowed = (client.scope && parseScope(client.scope)) || SCOPES;
+    const scopes = scope ? parseScope(scope) : allowed;
+    if (!scopes || scopes.length === 0) {
+      return fail("invalid_scope", `Supported scopes: ${formatScope(SCOPES)}`);
+    }
+    if (scopes.some(s => !allowed.includes(s))) {
+      return fail("invalid_scope", `Client is only registered for: ${formatScope(allowed)}`);
+    }
+    return { client, scopes, redirectTo };
+  }
+
+  async function grantCode(params, { scopes, redirectTo }, extra = {}) {
+    const code = randomToken();
+    await tokens.put("code", hashToken(code), {
+      ...extra,
+      clientId: params.client_id,
+      scopes,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + AUTH_CODE_TTL_MS,
+    });
+    redirectTo({ code });
+  }
+
+  // No code without someone approving: the owner, or in multi-tenant mode
+  // the user saying which Readwise account the grant is for
+  router.get("/authorize", handle(async (req, res) => {
+    const valid = await validateAuthorization(req.query, res);
+    if (!valid) return;
+    sendConsentPage(res, valid.client, req.query, valid.scopes);
+  }));
+
+  router.post("/authorize", handle(async (req, res) => {
+    const params = req.body || {};
+    const valid = await validateAuthorization(params, res);
+    if (!valid) return;
+    if (params.action !== "approve") {
+      return valid.redirectTo({ error: "access_denied", error_description: "The user denied the request" });
+    }
+
+    const readwiseToken = String(params.readwise_token || "").trim();
+    if (!readwiseAccounts) {
+      if (!ownerToken || !safeEqual(readwiseToken, ownerToken)) {
+        return sendConsentPage(res, valid.client, params, valid.scopes, "This is not the Readwise access token this server runs with.", 403);
+      }
+      return grantCode(params, valid);
+    }
+
+    let accepted = false;
+    if (readwiseToken) {
+      try {
+        accepted = await readwiseAccounts.verify(readwiseToken);
+      } catch (error) {
+        console.error("Readwise token check failed:", error.message);
+        return sendConsentPage(res, valid.client, params, valid.scopes, "Could not reach Readwise to check the token. Please try again.", 502);
+      }
+    }
+    if (!accepted) {
+      return sendConsentPage(res, valid.client, params, valid.scopes, "Readwise rejected this access token.", 400);
+    }
+    await grantCode(params, valid, { readwiseToken: readwiseAccounts.seal(readwiseToken) });
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Token endpoint
+  // ---------------------------------------------------------------------------
+
+  router.post("/token", handle(async (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier, refresh_token, scope } = req.body;
+    const credentials = readClientCredentials(req);
+
+    const client = await clients.authenticate(credentials.clientId, credentials.clientSecret);
+    if (!client) {
+      if (credentials.method === "client_secret_basic") res.set("WWW-Authenticate", 'Basic realm="token"');
+      return oauthError(res, 401, "invalid_client", "Client authentication failed");
+    }
+    if (grant_type && !client.grant_types.includes(grant_type)) {
+      return oauthError(res, 400, "unauthorized_client", `Client is not registered for grant_type ${grant_type}`);
+    }
+
+    if (grant_type === "authorization_code") {
+      // Codes are single-use, whatever happens next
+      const authData = await consume("code", code);
+      if (!authData || authData.clientId !== client.client_id) {
+        return oauthError(res, 400, "invalid_grant", "Invalid or expired authorization code");
+      }
+      if (redirect_uri !== authData.redirectUri) {
+        return oauthError(res, 400, "invalid_grant", "redirect_uri does not match the authorization request");
+      }
+      if (!code_verifier || !VERIFIER_RE.test(code_verifier) || !safeEqual(pkceChallenge(code_verifier), authData.codeChallenge)) {
+        return oauthError(res, 400, "invalid_grant", "PKCE verification failed");
+      }
+      res.set("Cache-Control", "no-store");
+      return res.json(await issueTokens({
+        clientId: client.client_id,
+        scopes: authData.scopes || SCOPES,
+        readwiseToken: authData.readwiseToken,
+      }));
+    }
+
+    if (grant_type === "refresh_token") {
+      // Rotation: the old refresh token stops working once used
+      const data = await consume("refresh", refresh_token);
+      if (!data || data.clientId !== client.client_id) {
+        return oauthError(res, 400, "invalid_grant", "Invalid or expired refresh token");
+      }
+      // Grants from before scopes existed had full access
+      const granted = data.scopes || SCOPES;
+      // A refresh may narrow the scope, never widen it (RFC 6749 section 6)
+      const scopes = scope ? parseScope(scope) : granted;
+      if (!scopes || scopes.length === 0 || scopes.some(s => !granted.includes(s))) {
+        return oauthError(res, 400, "invalid_scope", `Scope must be a subset of: ${formatScope(granted)}`);
+      }
+      res.set("Cache-Control", "no-store");
+      return res.json(await issueTokens({
+        clientId: data.clientId,
+        grantId: data.grantId,
+        grantCreatedAt: data.grantCreatedAt,
+        scopes,
+        readwiseToken: data.readwiseToken,
+      }));
+    }
+
+    return oauthError(res, 400, "unsupported_grant_type", `Unsupported grant_type: ${grant_type}`);
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Revocation (RFC 7009)
+  // ---------------------------------------------------------------------------
+
+  router.post("/revoke", handle(async (req, res) => {
+    const credentials = readClientCredentials(req);
+    const client = await clients.authenticate(credentials.clientId, credentials.clientSecret);
+    if (!client) {
+      return oauthError(res, 401, "invalid_client", "Client authentication failed");
+    }
+    const { token, token_type_hint } = req.body;
+    const kinds = token_type_hint === "refresh_token" ? ["refresh", "access"] : ["access", "refresh"];
+    for (const kind of kinds) {
+      const data = await tokens.get(kind, hashToken(token));
+      if (data && data.clientId === client.client_id) {
+        await revokeGrants(d => d.grantId === data.grantId);
+        break;
+      }
+    }
+    // Unknown tokens are not an error (RFC 7009 section 2.2)
+    res.status(200).end();
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Admin API (enabled by ADMIN_TOKEN)
+  // ---------------------------------------------------------------------------
+
+  const admin = express.Router();
+
+  admin.use((req, res, next) => {
+    if (!adminToken) return res.status(404).json({ error: "Admin API disabled" });
+    if (!safeEqual(req.headers.authorization, `Bearer ${adminToken}`)) {
+      res.set("WWW-Authenticate", 'Bearer realm="admin"');
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  });
+
+  admin.get("/tokens", handle(async (req, res) => {
+    const grants = await listGrants();
+    const { client_id } = req.query;
+    res.json({ grants: client_id ? grants.filter(g => g.client_id === client_id) : grants });
+  }));
+
+  admin.delete("/tokens/:grantId", handle(async (req, res) => {
+    const revoked = await revokeGrants(d => d.grantId === req.params.grantId);
+    if (!revoked) return res.status(404).json({ error: "Grant not found" });
+    res.json({ revoked });
+  }));
+
+  admin.delete("/clients/:clientId/tokens", handle(async (req, res) => {
+    const revoked = await revokeGrants(d => d.clientId === req.params.clientId);
+    res.json({ revoked });
+  }));
+
+  router.use("/admin", admin);
+
+  // ---------------------------------------------------------------------------
+  // Resource server side
+  // ---------------------------------------------------------------------------
+
+  async function verifyAccessToken(authHeader) {
+    if (!authHeader?.startsWith("Bearer ")) return null;
+    const key = hashToken(authHeader.slice(7));
+    const data = await tokens.get("access", key);
+    if (!data) return null;
+    if (Date.now() > data.expiresAt) {
+      await tokens.remove("access", key);
+      return null;
+    }
+    return data;
+  }
+
+  // Express middleware for protected routes; sets req.auth
+  async function requireBearer(req, res, next) {
+    let auth;
+    try {
+      auth = await verifyAccessToken(req.headers.authorization);
+    } catch (error) {
+      return next(error);
+    }
+    if (!auth) {
+      const params = [`resource_metadata="${resourceMetadataUrl(req)}"`];
+      if (req.headers.authorization) {
+        params.push('error="invalid_token"', 'error_description="The access token is invalid or expired"');
+      }
+      res.set("WWW-Authenticate", `Bearer ${params.join(", ")}`);
+      return res.status(401).json({
+        jsonrpc: "2.0",
+        error: { code: -32001, message: "Unauthorized" },
+        id: null
+      });
+    }
+    req.auth = auth;
+    next();
+  }
+
+  return { router, requireBearer };
+}
@@ -0,0 +1,260 @@
+import { z } from "zod";
+import { formatProgress, tagList } from "./format.js";
+
+// =============================================================================
+// TOOL OUTPUT
+// =============================================================================
+//
+// The read tools answer with a trimmed, stable shape of highlights, books and
+// documents instead of the raw API payload: as structuredContent (checked
+// against the tool's outputSchema) and as text in the requested `format`:
+//   json      the structured content, indented (default)
+//   compact   the same on one line, without null and empty fields
+//   markdown  a readable list
+//   csv       one row per item, a header row first
+//
+// Every listing has the same envelope: { count, results, next?,
+// nextPageCursor?, truncated? }, where the paging fields are the ones the
+// source (API page, mirror or fetch_all) returned.
+
+export const FORMATS = ["json", "compact", "markdown", "csv"];
+
+const id = z.union([z.string(), z.number()]);
+const text = z.string().nullable();
+const date = z.union([z.string(), z.number()]).nullable();
+
+const highlightSchema = z.object({
+  id,
+  text: z.string(),
+  note: z.string(),
+  tags: z.array(z.string()),
+  color: text,
+  location: z.number().nullable(),
+  highlighted_at: date,
+  updated_at: date,
+  book_id: id.nullable(),
+  book_title: text,
+  book_author: text,
+  score: z.number().optional(),
+  // Local review queue (review.js)
+  review: z.object({
+    state: z.enum(["new", "review"]),
+    due: z.string(),
+    interval_days: z.number(),
+    reps: z.number(),
+    lapses: z.number(),
+  }).optional(),
+});
+
+const bookSchema = z.object({
+  id,
+  title: text,
+  author: text,
+  category: text,
+  source: text,
+  source_url: text,
+  num_highlights: z.number().nullable(),
+  tags: z.array(z.string()),
+  last_highlight_at: date,
+  updated_at: date,
+  highlights: z.array(highlightSchema).optional(),
+});
+
+const documentSchema = z.object({
+  id,
+  title: text,
+  author: text,
+  category: text,
+  location: text,
+  url: text,
+  source_url: text,
+  tags: z.array(z.string()),
+  reading_progress: z.number().nullable(),
+  word_count: z.number().nullable(),
+  summary: text,
+  published_date: date,
+  saved_at: date,
+  updated_at: date,
+  html: z.string().optional(),
+});
+
+function listSchema(item) {
+  return {
+    count: z.number(),
+    results: z.array(item),
+    next: z.union([z.string(), z.number()]).nullable().optional(),
+    nextPageCursor: z.string().nullable().optional(),
+    truncated: z.boolean().optional(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Trimmed views
+// ---------------------------------------------------------------------------
+
+// `book` fills in the source for highlights nested under a book (/export/)
+export function highlightView(h, book) {
+  const view = {
+    id: h.id,
+    text: h.text ?? "",
+    note: h.note || "",
+    tags: tagList(h.tags),
+    color: h.color || null,
+    location: typeof h.location === "number" ? h.location : null,
+    highlighted_at: h.highlighted_at ?? null,
+    updated_at: h.updated_at ?? h.updated ?? null,
+    book_id: h.book_id ?? book?.id ?? book?.user_book_id ?? null,
+    // Search hits carry book_title/book_author, /review/ highlights title/author
+    book_title: h.book_title ?? h.title ?? book?.title ?? null,
+    book_author: h.book_author ?? h.author ?? book?.author ?? null,
+  };
+  if (typeof h.score === "number") view.score = h.score;
+  if (h.review) view.review = h.review;
+  return view;
+}
+
+export function bookView(b) {
+  const view = {
+    id: b.id ?? b.user_book_id,
+    title: b.title ?? b.readable_title ?? null,
+    author: b.author ?? null,
+    category: b.category ?? null,
+    source: b.source ?? null,
+    source_url: b.source_url ?? null,
+    num_highlights: b.num_highlights ?? (Array.isArray(b.highlights) ? b.highlights.length : null),
+    tags: tagList(b.tags ?? b.book_tags),
+    last_highlight_at: b.last_highlight_at ?? null,
+    updated_at: b.updated ?? b.updated_at ?? null,
+  };
+  if (Array.isArray(b.highlights)) view.highlights = b.highlights.map(h => highlightView(h, b));
+  return view;
+}
+
+export function documentView(d) {
+  const view = {
+    id: d.id,
+    title: d.title ?? null,
+    author: d.author ?? null,
+    category: d.category ?? null,
+    location: d.location ?? null,
+    url: d.url ?? null,
+    source_url: d.source_url ?? null,
+    tags: tagList(d.tags),
+    reading_progress: d.reading_progress ?? null,
+    word_count: d.word_count ?? null,
+    summary: d.summary ?? null,
+    published_date: d.published_date ?? null,
+    saved_at: d.saved_at ?? d.created_at ?? null,
+    updated_at: d.updated_at ?? null,
+  };
+  if (d.html_content || d.html) view.html = d.html_content || d.html;
+  return view;
+}
+
+const KINDS = {
+  highlights: { schema: highlightSchema, view: highlightView },
+  books: { schema: bookSchema, view: bookView },
+  documents: { schema: documentSchema, view: documentView },
+};
+
+// outputSchema (raw shape) of a tool listing `kind`
+export function outputSchema(kind) {
+  return listSchema(KINDS[kind].schema);
+}
+
+// API page, mirror page, fetch_all result, /review/ or a single object ->
+// the listing envelope
+export function toListing(kind, data) {
+  const items = data.results ?? data.highlights ?? (data.id !== undefined || data.user_book_id !== undefined ? [data] : []);
+  const listing = {
+    count: typeof data.count === "number" ? data.count : items.length,
+    results: items.map(item => KINDS[kind].view(item)),
+  };
+  if (data.next !== undefined) listing.next = data.next;
+  if (data.nextPageCursor !== undefined) listing.nextPageCursor = data.nextPageCursor;
+  if (data.truncated !== undefined) listing.truncated = data.truncated;
+  return listing;
+}
+
+// ---------------------------------------------------------------------------
+// Text renderings
+// ---------------------------------------------------------------------------
+
+function withoutEmpty(value) {
+  if (Array.isArray(value)) return value.map(withoutEmpty);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined && v !== "" && !(Array.isArray(v) && v.length === 0))
+      .map(([k, v]) => [k, withoutEmpty(v)]));
+  }
+  return value;
+}
+
+function markdownHighlight(h, t) {
+  let output = `> ${h.text.replace(/\n/g, "\n> ")}\n\n`;
+  const source = [h.book_title && `*${h.book_title}*`, h.book_author].filter(Boolean).join(", ");
+  output += `— ${[source, `#${h.id}`].filter(Boolean).join(" · ")}\n`;
+  if (h.note) output += `**${t("label.note")}:** ${h.note}\n`;
+  if (h.tags.length > 0) output += `**${t("label.tags")}:** ${h.tags.join(", ")}\n`;
+  return output;
+}
+
+function markdownBook(b, t) {
+  const details = [t("resource.book", { author: b.author || t("value.unknown"), count: b.num_highlights ?? 0 }), b.category].filter(Boolean);
+  let output = `- **${b.title || b.id}** — ${details.join(" · ")} (#${b.id})\n`;
+  if (b.highlights?.length) {
+    output += "\n" + b.highlights.map(h => markdownHighlight(h, t).replace(/^/gm, "  ")).join("\n") + "\n";
+  }
+  return output;
+}
+
+function markdownDocument(d, t) {
+  const title = d.url ? `[${d.title || d.id}](${d.url})` : d.title || d.id;
+  const details = [d.author || t("value.unknown"), d.category, d.location, formatProgress(d.reading_progress, null)].filter(Boolean);
+  let output = `- **${title}** — ${details.join(" · ")} (${d.id})\n`;
+  if (d.tags.length > 0) output += `  ${t("label.tags")}: ${d.tags.join(", ")}\n`;
+  return output;
+}
+
+function toMarkdown(kind, listing, t) {
+  const items = listing.results;
+  let output = `_${t("output.showing", { shown: items.length, count: listing.count })}_\n\n`;
+  if (kind === "highlights") output += items.map(h => markdownHighlight(h, t)).join("\n");
+  else if (kind === "books") output += items.map(b => markdownBook(b, t)).join("");
+  else output += items.map(d => markdownDocument(d, t)).join("");
+  const next = listing.nextPageCursor ?? listing.next;
+  if (next) output += `\n${t("output.nextPage", { next })}\n`;
+  return output;
+}
+
+const CSV_COLUMNS = {
+  highlights: ["id", "text", "note", "tags", "color", "location", "highlighted_at", "updated_at", "book_id", "book_title", "book_author"],
+  books: ["id", "title", "author", "category", "source", "source_url", "num_highlights", "tags", "last_highlight_at", "updated_at"],
+  documents: ["id", "title", "author", "category", "location", "url", "source_url", "tags", "reading_progress", "word_count", "published_date", "saved_at", "updated_at"],
+};
+
+function csvCell(value) {
+  const cell = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// /export/ books carry their highlights: one row per highlight then
+function toCsv(kind, listing) {
+  let rowKind = kind;
+  let rows = listing.results;
+  if (kind === "books" && rows.some(b => b.highlights)) {
+    rowKind = "highlights";
+    rows = rows.flatMap(b => b.highlights || []);
+  }
+  const columns = CSV_COLUMNS[rowKind];
+  return [columns.join(","), ...rows.map(row => columns.map(column => csvCell(row[column])).join(","))].join("\r\n");
+}
+
+export function renderListing(kind, listing, format = "json", t) {
+  switch (format) {
+    case "compact": return JSON.stringify(withoutEmpty(listing));
+    case "markdown": return toMarkdown(kind, listing, t);
+    case "csv": return toCsv(kind, listing);
+    default: return JSON.stringify(listing, null, 2);
+  }
+}
@@ -0,0 +1,55 @@
+import crypto from "crypto";
+
+// =============================================================================
+// BULK OPERATION PLANS
+// =============================================================================
+//
+// A dry run of a bulk tool resolves every target and stores the resulting
+// plan under a preview token. The confirmed run hands the token back and
+// executes exactly the stored steps, not whatever the arguments say by then.
+// Plans are single-use, expire after PLAN_TTL_MINUTES and are kept in memory
+// only: a restart simply means running the preview again.
+
+const PLAN_TTL_MS = Number(process.env.PLAN_TTL_MINUTES || 15) * 60 * 1000;
+
+// Why take() refused a token; index.js words it for the caller
+export class PlanError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Step shape is up to each tool; steps with `skip` set are shown but not run
+export function createPlanStore() {
+  const plans = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [token, plan] of plans) {
+      if (now > plan.expiresAt) plans.delete(token);
+    }
+  }
+
+  function create({ tool, owner, steps }) {
+    prune();
+    const token = crypto.randomBytes(16).toString("base64url");
+    const now = Date.now();
+    plans.set(token, { tool, owner: owner ?? null, steps, createdAt: now, expiresAt: now + PLAN_TTL_MS });
+    return { token, expiresAt: new Date(now + PLAN_TTL_MS).toISOString() };
+  }
+
+  // Removes the plan and returns it, or throws if it cannot be used here
+  function take(token, { tool, owner }) {
+    prune();
+    const plan = plans.get(token);
+    if (!plan) throw new PlanError("unknown");
+    if (plan.tool !== tool) throw new PlanError("tool", { planTool: plan.tool, tool });
+    if (plan.owner !== (owner ?? null)) throw new PlanError("owner");
+    plans.delete(token);
+    return plan;
+  }
+
+  return { create, take };
+}
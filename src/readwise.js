@@ -0,0 +1,198 @@
+import { acquire, block, bucketFor, parseRetryAfter, sleep } from "./scheduler.js";
+
+// =============================================================================
+// READWISE API HELPERS
+// =============================================================================
+
+export const READWISE_V2 = "https://readwise.io/api/v2";
+export const READWISE_V3 = "https://readwise.io/api/v3";
+
+const MAX_RETRIES = Number(process.env.READWISE_MAX_RETRIES || 5);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30 * 1000;
+
+// Requests that can be sent again after a network failure or 5xx without
+// doing the work twice. Readwise PATCHes set fields to the given values.
+// POSTs create things (/save/, /highlights/) and are only retried on 429,
+// which means the request was not processed.
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "PATCH", "DELETE"]);
+
+function backoff(attempt) {
+  const ms = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return ms / 2 + Math.random() * ms / 2;
+}
+
+async function request(version, endpoint, options = {}) {
+  const { method = "GET", params = {}, body = null, signal } = options;
+  const apiKey = options.apiKey || process.env.READWISE_API_KEY;
+  const base = version === "v2" ? READWISE_V2 : READWISE_V3;
+
+  const url = new URL(`${base}${endpoint}`);
+  if (method === "GET") {
+    Object.entries(params).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    });
+  }
+
+  const opts = {
+    method,
+    headers: {
+      Authorization: `Token ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    signal,
+  };
+
+  if (body && method !== "GET") {
+    opts.body = JSON.stringify(body);
+  }
+
+  const bucket = bucketFor(version, method, endpoint);
+  const idempotent = IDEMPOTENT_METHODS.has(method);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(apiKey, bucket, signal);
+
+    let res;
+    try {
+      res = await fetch(url.toString(), opts);
+    } catch (error) {
+      // Network failure: retry unless the caller gave up or the request
+      // may have gone through
+      if (signal?.aborted || !idempotent || attempt >= MAX_RETRIES) throw error;
+      await sleep(backoff(attempt), signal);
+      continue;
+    }
+
+    if (res.status === 429 && attempt < MAX_RETRIES) {
+      await res.body?.cancel();
+      const wait = parseRetryAfter(res.headers.get("retry-after"), backoff(attempt));
+      block(apiKey, bucket, wait);
+      continue;
+    }
+
+    if (res.status >= 500 && idempotent && attempt < MAX_RETRIES) {
+      await res.body?.cancel();
+      await sleep(backoff(attempt), signal);
+      continue;
+    }
+
+    if (res.status === 204) return { success: true };
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Readwise ${version} API error: ${res.status} ${text}`);
+    }
+
+    return res.json();
+  }
+}
+
+export function apiV2(endpoint, options = {}) {
+  return request("v2", endpoint, options);
+}
+
+export function apiV3(endpoint, options = {}) {
+  return request("v3", endpoint, options);
+}
+
+// =============================================================================
+// AUTOMATIC PAGINATION
+// =============================================================================
+
+export const DEFAULT_MAX_ITEMS = 5000;
+
+// Where the next page lives: v3 (and v2 /export/) use nextPageCursor, the
+// other v2 list endpoints return a full `next` URL
+function nextPage(version, current, data) {
+  if (data.nextPageCursor) {
+    return { endpoint: current.endpoint, params: { ...current.params, pageCursor: data.nextPageCursor } };
+  }
+  if (data.next) {
+    const url = new URL(data.next);
+    const base = new URL(version === "v2" ? READWISE_V2 : READWISE_V3);
+    return { endpoint: url.pathname.slice(base.pathname.length), params: Object.fromEntries(url.searchParams) };
+  }
+  return null;
+}
+
+async function fetchAll(version, endpoint, options = {}) {
+  const { params = {}, maxItems = DEFAULT_MAX_ITEMS, signal } = options;
+  const results = [];
+  let count = null;
+  let pages = 0;
+  let next = { endpoint, params };
+
+  while (next && results.length < maxItems) {
+    const data = await request(version, next.endpoint, { params: next.params, signal, apiKey: options.apiKey });
+    pages++;
+    if (count === null && typeof data.count === "number") count = data.count;
+    results.push(...(data.results || []));
+    next = nextPage(version, next, data);
+  }
+
+  return {
+    count: count ?? results.length,
+    fetched: Math.min(results.length, maxItems),
+    pages,
+    truncated: Boolean(next) || results.length > maxItems,
+    results: results.slice(0, maxItems),
+  };
+}
+
+export function fetchAllV2(endpoint, options = {}) {
+  return fetchAll("v2", endpoint, options);
+}
+
+export function fetchAllV3(endpoint, options = {}) {
+  return fetchAll("v3", endpoint, options);
+}
+
+// Reader has no single-document endpoint: /list/?id= returns it as the only result
+export async function getDocument(id, { withHtml = false, ...options } = {}) {
+  const params = { id };
+  if (withHtml) params.withHtmlContent = true;
+  const data = await apiV3("/list/", { ...options, params });
+  const results = data.results || [data];
+  return results[0] || null;
+}
+
+// A highlight's tags become exactly `tags` (names, compared case-insensitively):
+// v2 keeps each tag as its own resource, so extras are deleted and missing
+// ones added. Returns the tags as v2 has them now, [{ id, name }].
+export async function setHighlightTags(id, { tags, ...options }) {
+  const data = await apiV2(`/highlights/${id}/tags/`, options);
+  const wanted = new Set(tags.map(name => name.toLowerCase()));
+  const kept = [];
+  for (const tag of data.results || data) {
+    if (wanted.has(tag.name.toLowerCase())) kept.push(tag);
+    else await apiV2(`/highlights/${id}/tags/${tag.id}/`, { ...options, method: "DELETE" });
+  }
+  const present = new Set(kept.map(tag => tag.name.toLowerCase()));
+  for (const name of tags) {
+    if (present.has(name.toLowerCase())) continue;
+    present.add(name.toLowerCase());
+    kept.push(await apiV2(`/highlights/${id}/tags/`, { ...options, method: "POST", body: { name } }));
+  }
+  return kept;
+}
+
+// Readwise answers 204 on /auth/ for a valid access token and 401 otherwise
+export async function checkApiKey(apiKey) {
+  const res = await fetch(`${READWISE_V2}/auth/`, { headers: { Authorization: `Token ${apiKey}` } });
+  if (res.status === 204) return true;
+  if (res.status === 401 || res.status === 403) return false;
+  throw new Error(`Readwise v2 API error: ${res.status} ${await res.text()}`);
+}
+
+// The helpers above, bound to one Readwise account
+export function createReadwiseClient(apiKey) {
+  const bind = fn => (endpoint, options = {}) => fn(endpoint, { ...options, apiKey });
+  return {
+    apiV2: bind(apiV2),
+    apiV3: bind(apiV3),
+    fetchAllV2: bind(fetchAllV2),
+    fetchAllV3: bind(fetchAllV3),
+    getDocument: bind(getDocument),
+    setHighlightTags: bind(setHighlightTags),
+  };
+}
@@ -0,0 +1,267 @@
+import { readJson, writeJson } from "./store.js";
+
+// =============================================================================
+// SPACED REPETITION
+// =============================================================================
+//
+// A review schedule kept by this server, next to Readwise's own daily review.
+// Grades (again/hard/good/easy) feed FSRS (default) or SM-2, picked with
+// REVIEW_ALGORITHM. Per Readwise account, DATA_DIR/<name>.json holds every
+// graded highlight's card, the day's review counts and a log of recent grades
+// for the statistics.
+//
+// A highlight that was never graded is new. Each day's queue is what is due
+// (most overdue first) up to the review limit, then new highlights up to the
+// new-card limit, in an order that changes daily. Days are UTC days. A card
+// whose algorithm changed since its last grade is carried over approximately.
+
+export const GRADES = ["again", "hard", "good", "easy"];
+export const ALGORITHMS = ["fsrs", "sm2"];
+
+const ALGORITHM = ALGORITHMS.includes(process.env.REVIEW_ALGORITHM) ? process.env.REVIEW_ALGORITHM : "fsrs";
+export const NEW_PER_DAY = Number(process.env.REVIEW_NEW_PER_DAY || 20);
+export const REVIEWS_PER_DAY = Number(process.env.REVIEW_MAX_PER_DAY || 200);
+// FSRS: the chance of recall a card's interval aims for
+const DESIRED_RETENTION = Number(process.env.REVIEW_RETENTION || 0.9);
+
+const MAX_INTERVAL_DAYS = 36500;
+// Cards at or above this interval count as mature
+const MATURE_DAYS = 21;
+const LOG_MAX_ENTRIES = 10000;
+const KEEP_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// ---------------------------------------------------------------------------
+// FSRS (v4.5, default parameters)
+// ---------------------------------------------------------------------------
+
+const W = [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755];
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+function retrievability(elapsedDays, stability) {
+  return (1 + FACTOR * elapsedDays / stability) ** DECAY;
+}
+
+function initialDifficulty(grade) {
+  return clamp(W[4] - (grade - 3) * W[5], 1, 10);
+}
+
+// grade 1..4 -> { stability, difficulty, interval, retrievability }
+function fsrs(card, grade, elapsedDays) {
+  let stability;
+  let difficulty;
+  let recall = null;
+  if (!card.stability) {
+    stability = W[grade - 1];
+    difficulty = initialDifficulty(grade);
+  } else {
+    recall = retrievability(elapsedDays, card.stability);
+    difficulty = clamp(W[7] * initialDifficulty(3) + (1 - W[7]) * (card.difficulty - W[6] * (grade - 3)), 1, 10);
+    stability = grade === 1
+      ? Math.min(W[11] * card.difficulty ** -W[12] * ((card.stability + 1) ** W[13] - 1) * Math.exp(W[14] * (1 - recall)), card.stability)
+      : card.stability * (1 + Math.exp(W[8]) * (11 - card.difficulty) * card.stability ** -W[9]
+        * (Math.exp(W[10] * (1 - recall)) - 1) * (grade === 2 ? W[15] : 1) * (grade === 4 ? W[16] : 1));
+  }
+  const interval = grade === 1
+    ? 1
+    : clamp(Math.round(stability / FACTOR * (DESIRED_RETENTION ** (1 / DECAY) - 1)), 1, MAX_INTERVAL_DAYS);
+  return { stability, difficulty, interval, retrievability: recall };
+}
+
+// ---------------------------------------------------------------------------
+// SM-2
+// ---------------------------------------------------------------------------
+
+// again/hard/good/easy -> SM-2 quality (0-5)
+const SM2_QUALITY = [null, 1, 3, 4, 5];
+
+function sm2(card, grade) {
+  const quality = SM2_QUALITY[grade];
+  const ease = Math.max(1.3, (card.ease ?? 2.5) + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  if (quality < 3) return { ease, streak: 0, interval: 1 };
+  const streak = (card.streak ?? 0) + 1;
+  const interval = streak === 1 ? 1 : streak === 2 ? 6 : Math.round((card.interval || 1) * ease);
+  return { ease, streak, interval: Math.min(interval, MAX_INTERVAL_DAYS) };
+}
+
+// A card last graded by the other algorithm, in this one's terms
+function convert(card) {
+  if (!card.algorithm || card.algorithm === ALGORITHM) return card;
+  if (ALGORITHM === "fsrs") {
+    return { ...card, stability: card.interval || W[2], difficulty: clamp(10 - ((card.ease ?? 2.5) - 1.3) * 5, 1, 10) };
+  }
+  return { ...card, ease: clamp(1.3 + (10 - (card.difficulty ?? 5)) / 5, 1.3, 3.1), streak: card.reps };
+}
+
+// ---------------------------------------------------------------------------
+// Review store
+// ---------------------------------------------------------------------------
+
+// Highlights not graded yet come in an order that is stable within a day
+function dailyOrder(day) {
+  const key = id => {
+    let hash = 2166136261;
+    for (const char of `${day}:${id}`) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    return hash >>> 0;
+  };
+  return (a, b) => key(a.id) - key(b.id);
+}
+
+export function createReviewStore({ name = "review" } = {}) {
+  let state = null;
+  const loaded = readJson(name, { cards: {}, days: {}, log: [] }).then(saved => {
+    state = saved;
+  });
+
+  function persist() {
+    return writeJson(name, state);
+  }
+
+  function countsFor(day) {
+    return state.days[day] || { new: 0, reviews: 0 };
+  }
+
+  // highlights: the candidates, already filtered by book/tag -> today's queue
+  // as a listing; each highlight gets a `review` field ({ state, due, ... })
+  async function queue(highlights, { newLimit = NEW_PER_DAY, reviewLimit = REVIEWS_PER_DAY, now = new Date() } = {}) {
+    await loaded;
+    const day = dayOf(now);
+    const done = countsFor(day);
+    const due = [];
+    const fresh = [];
+    for (const h of highlights) {
+      const card = state.cards[h.id];
+      if (!card) fresh.push(h);
+      else if (card.due <= day) due.push(h);
+    }
+
+    const reviews = due
+      .sort((a, b) => state.cards[a.id].due.localeCompare(state.cards[b.id].due))
+      .slice(0, Math.max(reviewLimit - done.reviews, 0))
+      .map(h => {
+        const card = state.cards[h.id];
+        return { ...h, review: { state: "review", due: card.due, interval_days: card.interval, reps: card.reps, lapses: card.lapses } };
+      });
+    const introduced = fresh
+      .sort(dailyOrder(day))
+      .slice(0, Math.max(newLimit - done.new, 0))
+      .map(h => ({ ...h, review: { state: "new", due: day, interval_days: 0, reps: 0, lapses: 0 } }));
+
+    const results = [...reviews, ...introduced];
+    return { count: results.length, results };
+  }
+
+  // highlight: { id, book_id }; grade: one of GRADES
+  async function grade(highlight, gradeName, { now = new Date() } = {}) {
+    await loaded;
+    const value = GRADES.indexOf(gradeName) + 1;
+    const day = dayOf(now);
+    const previous = state.cards[highlight.id];
+    const card = previous ? convert(previous) : { reps: 0, lapses: 0 };
+    const elapsedDays = previous ? Math.max((now - new Date(previous.last_review)) / DAY_MS, 0) : 0;
+
+    let recall = null;
+    if (ALGORITHM === "fsrs") {
+      const next = fsrs(card, value, elapsedDays);
+      Object.assign(card, { stability: next.stability, difficulty: next.difficulty, interval: next.interval });
+      recall = next.retrievability;
+    } else {
+      Object.assign(card, sm2(card, value));
+    }
+    card.algorithm = ALGORITHM;
+    card.book_id = highlight.book_id ?? card.book_id ?? null;
+    card.reps++;
+    if (previous && value === 1) card.lapses++;
+    card.last_review = now.toISOString();
+    card.due = dayOf(addDays(now, card.interval));
+    state.cards[highlight.id] = card;
+
+    const counts = { ...countsFor(day) };
+    if (previous) counts.reviews++;
+    else counts.new++;
+    state.days[day] = counts;
+    const oldest = dayOf(addDays(now, -KEEP_DAYS));
+    for (const d of Object.keys(state.days)) {
+      if (d < oldest) delete state.days[d];
+    }
+    state.log.push({ id: Number(highlight.id), grade: gradeName, at: card.last_review, new: !previous, interval: card.interval });
+    if (state.log.length > LOG_MAX_ENTRIES) state.log.splice(0, state.log.length - LOG_MAX_ENTRIES);
+    await persist();
+
+    const result = {
+      highlight_id: highlight.id,
+      grade: gradeName,
+      algorithm: ALGORITHM,
+      new: !previous,
+      interval_days: card.interval,
+      due: card.due,
+      reps: card.reps,
+      lapses: card.lapses,
+      today: { ...counts, new_limit: NEW_PER_DAY, review_limit: REVIEWS_PER_DAY },
+    };
+    if (ALGORITHM === "fsrs") {
+      Object.assign(result, { stability: round(card.stability), difficulty: round(card.difficulty) });
+      if (recall !== null) result.recall_probability = round(recall, 3);
+    } else {
+      result.ease = round(card.ease);
+    }
+    return result;
+  }
+
+  // highlightIds: only these (a book/tag selection); candidates: how many
+  // highlights that selection has, graded or not
+  async function stats({ highlightIds = null, candidates = null, days = 14, now = new Date() } = {}) {
+    await loaded;
+    const day = dayOf(now);
+    const cards = Object.entries(state.cards)
+      .filter(([id]) => !highlightIds || highlightIds.has(Number(id)))
+      .map(([, card]) => card);
+    const log = state.log.filter(entry => !highlightIds || highlightIds.has(entry.id));
+
+    // Share of reviews (first grades excluded) not answered "again"
+    const retention = sinceDays => {
+      const from = sinceDays ? addDays(now, -sinceDays).toISOString() : "";
+      const reviews = log.filter(entry => !entry.new && entry.at >= from);
+      return reviews.length ? round(reviews.filter(entry => entry.grade !== "again").length / reviews.length, 3) : null;
+    };
+
+    const upcoming = Array.from({ length: days }, (_, i) => {
+      const date = dayOf(addDays(now, i));
+      return { date, due: cards.filter(card => (i === 0 ? card.due <= date : card.due === date)).length };
+    });
+
+    const withStability = cards.filter(card => card.algorithm === "fsrs" && card.stability);
+    const recallNow = withStability.length
+      ? round(withStability.reduce((sum, card) => sum + retrievability(Math.max((now - new Date(card.last_review)) / DAY_MS, 0), card.stability), 0) / withStability.length, 3)
+      : null;
+
+    return {
+      algorithm: ALGORITHM,
+      today: { date: day, ...countsFor(day), new_limit: NEW_PER_DAY, review_limit: REVIEWS_PER_DAY },
+      cards: {
+        graded: cards.length,
+        new: candidates === null ? null : Math.max(candidates - cards.length, 0),
+        young: cards.filter(card => card.interval < MATURE_DAYS).length,
+        mature: cards.filter(card => card.interval >= MATURE_DAYS).length,
+        lapses: cards.reduce((sum, card) => sum + card.lapses, 0),
+      },
+      retention: { last_7_days: retention(7), last_30_days: retention(30), all_time: retention(0) },
+      predicted_recall_now: recallNow,
+      upcoming,
+    };
+  }
+
+  return { queue, grade, stats };
+}
@@ -0,0 +1,142 @@
+// =============================================================================
+// REQUEST SCHEDULER
+// =============================================================================
+//
+// Shared queue in front of every Readwise call. Readwise enforces its limits
+// per access token and per endpoint family, so each (token, bucket) pair gets
+// its own FIFO queue and sliding one-minute window. Calls coming from
+// concurrent MCP sessions wait their turn here instead of racing each other
+// into a 429.
+
+const WINDOW_MS = 60 * 1000;
+
+// Requests per minute, as documented at https://readwise.io/api_deets and
+// https://readwise.io/reader_api
+export const RATE_LIMITS = {
+  "v2-default": 240,
+  "v2-list": 20,
+  "v3-default": 20,
+  "v3-save": 50,
+  "v3-update": 50,
+};
+
+const buckets = new Map();
+
+function getBucket(key, name) {
+  const id = `${key}:${name}`;
+  let bucket = buckets.get(id);
+  if (!bucket) {
+    bucket = {
+      limit: RATE_LIMITS[name] ?? RATE_LIMITS["v3-default"],
+      sent: [],
+      queue: [],
+      blockedUntil: 0,
+      timer: null,
+    };
+    buckets.set(id, bucket);
+  }
+  return bucket;
+}
+
+// Pick the budget a request is billed against
+export function bucketFor(version, method, endpoint) {
+  if (version === "v2") {
+    const isList = method === "GET" && /^\/(highlights|books)\/?$/.test(endpoint);
+    return isList ? "v2-list" : "v2-default";
+  }
+  if (method === "POST" && endpoint.startsWith("/save/")) return "v3-save";
+  if (method === "PATCH" && endpoint.startsWith("/update/")) return "v3-update";
+  return "v3-default";
+}
+
+function msUntilFree(bucket, now) {
+  while (bucket.sent.length && now - bucket.sent[0] >= WINDOW_MS) bucket.sent.shift();
+  if (now < bucket.blockedUntil) return bucket.blockedUntil - now;
+  if (bucket.sent.length < bucket.limit) return 0;
+  return bucket.sent[0] + WINDOW_MS - now;
+}
+
+function pump(bucket) {
+  if (bucket.timer) return;
+  while (bucket.queue.length) {
+    const now = Date.now();
+    const wait = msUntilFree(bucket, now);
+    if (wait > 0) {
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        pump(bucket);
+      }, wait);
+      return;
+    }
+    const next = bucket.queue.shift();
+    next.signal?.removeEventListener("abort", next.onAbort);
+    bucket.sent.push(now);
+    next.resolve();
+  }
+}
+
+// Resolves once a request may be sent for this token/bucket. An aborted
+// caller leaves the queue right away instead of waiting for its turn.
+export function acquire(key, name, signal) {
+  const bucket = getBucket(key, name);
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const entry = { resolve, signal };
+    entry.onAbort = () => {
+      const index = bucket.queue.indexOf(entry);
+      if (index !== -1) bucket.queue.splice(index, 1);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", entry.onAbort, { once: true });
+    bucket.queue.push(entry);
+    pump(bucket);
+  });
+}
+
+// Pause a bucket after Readwise answered 429 with Retry-After
+export function block(key, name, ms) {
+  const bucket = getBucket(key, name);
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+  if (bucket.timer) {
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+  }
+  pump(bucket);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(header, fallbackMs) {
+  if (!header) return fallbackMs;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return fallbackMs;
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+export function schedulerStats() {
+  const stats = {};
+  for (const [id, bucket] of buckets) {
+    const name = id.slice(id.lastIndexOf(":") + 1);
+    const entry = stats[name] || (stats[name] = { limit: bucket.limit, queued: 0, sentLastMinute: 0 });
+    msUntilFree(bucket, Date.now());
+    entry.queued += bucket.queue.length;
+    entry.sentLastMinute += bucket.sent.length;
+  }
+  return stats;
+}
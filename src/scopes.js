@@ -0,0 +1,77 @@
+// =============================================================================
+// OAUTH SCOPES
+// =============================================================================
+//
+// read   - list, search and export; refresh the local mirror
+// write  - create and change highlights, notes, documents and tags, and
+//          this server's document templates, review schedule and series
+// delete - delete highlights and documents
+//
+// Scopes are requested at /authorize and recorded on the grant. Tools outside
+// a token's scopes are not registered on its MCP server at all.
+
+export const SCOPES = ["read", "write", "delete"];
+
+// Anything not listed here only needs "read"; a list needs all of them
+const TOOL_SCOPES = {
+  create_highlight: "write",
+  update_highlight: "write",
+  delete_highlight: "delete",
+  create_note: "write",
+  save_document: "write",
+  save_text_content: "write",
+  update_document: "write",
+  expand_document: "write",
+  create_continuation: "write",
+  delete_document: "delete",
+  bulk_save_documents: "write",
+  bulk_update_documents: "write",
+  bulk_delete_documents: "delete",
+  bulk_tags: "write",
+  rename_tag: "write",
+  merge_tags: "write",
+  delete_tag: "write",
+  update_reading_progress: "write",
+  create_video_highlight: "write",
+  update_video_position: "write",
+  undo_operation: "write",
+  save_template: "write",
+  delete_template: "write",
+  grade_highlight: "write",
+  reorder_series: "write",
+  rename_series: "write",
+  fork_series: "write",
+  close_series: "write",
+  replace_note_section: "write",
+  reorder_note_sections: "write",
+  delete_note_section: "write",
+  // Edits the kept item, archives or deletes the others
+  merge_duplicates: ["write", "delete"],
+};
+
+// Tools registered for "read" whose other actions need more; the tool
+// checks actionScopes() before running one of those
+const ACTION_SCOPES = {
+  document_tags: { set: "write", add: "write", remove: "write" },
+};
+
+// The scopes a token needs to use this tool
+export function toolScopes(name) {
+  return [].concat(TOOL_SCOPES[name] || "read");
+}
+
+// The scopes a token needs for one action of this tool
+export function actionScopes(name, action) {
+  return [].concat(ACTION_SCOPES[name]?.[action] || toolScopes(name));
+}
+
+// "read write" -> ["read", "write"]; null if any scope is unknown
+export function parseScope(value) {
+  const scopes = [...new Set(String(value ?? "").split(" ").filter(Boolean))];
+  if (scopes.some(scope => !SCOPES.includes(scope))) return null;
+  return SCOPES.filter(scope => scopes.includes(scope));
+}
+
+export function formatScope(scopes) {
+  return scopes.join(" ");
+}
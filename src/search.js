@@ -0,0 +1,421 @@
+import { inRange } from "./mirror.js";
+
+// =============================================================================
+// FULL-TEXT SEARCH
+// =============================================================================
+//
+// Inverted index over the mirrored highlights. Each highlight is indexed by
+// its text, note, tags and the title/author of its book, ranked with BM25.
+//
+// Query syntax:
+//   stoic virtue            both words (AND is implicit)
+//   "memento mori"          exact phrase
+//   stoic OR epicurean      either word
+//   NOT draft, -draft       exclude
+//   (a OR b) c              grouping
+//   field:value             tag:, author:, title:/book:, note:, text:, color:, category:
+//   philosoph*              prefix match
+
+const TEXT_FIELDS = ["text", "note", "tags", "title", "author"];
+
+const FIELD_WEIGHTS = { text: 1.0, note: 0.8, tags: 0.6, title: 0.5, author: 0.3 };
+
+const FIELD_ALIASES = {
+  text: "text",
+  note: "note",
+  title: "title",
+  book: "title",
+  author: "author",
+  tag: "tag",
+  tags: "tag",
+  color: "color",
+  category: "category",
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function normalizeValue(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function tagNames(tags) {
+  return (tags || []).map(t => (typeof t === "string" ? t : t?.name)).filter(Boolean);
+}
+
+// -----------------------------------------------------------------------------
+// Query parsing
+// -----------------------------------------------------------------------------
+
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    let negate = false;
+    if (ch === "-" && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negate = true;
+      i++;
+      if (query[i] === "(") {
+        tokens.push({ type: "NOT" });
+        continue;
+      }
+    }
+
+    // Unknown prefixes like "http:" stay part of the word
+    let field = null;
+    const fieldMatch = /^([A-Za-z_]+):(?=\S)/.exec(query.slice(i));
+    if (fieldMatch && FIELD_ALIASES[fieldMatch[1].toLowerCase()]) {
+      field = FIELD_ALIASES[fieldMatch[1].toLowerCase()];
+      i += fieldMatch[0].length;
+    }
+
+    if (query[i] === '"') {
+      const close = query.indexOf('"', i + 1);
+      const end = close === -1 ? query.length : close;
+      tokens.push({ type: "term", negate, field, value: query.slice(i + 1, end), phrase: true });
+      i = end + 1;
+      continue;
+    }
+
+    const word = /^[^\s()"]*/.exec(query.slice(i))[0];
+    i += word.length;
+    if (!word) continue;
+    if (!negate && !field && (word === "AND" || word === "OR" || word === "NOT")) {
+      tokens.push({ type: word });
+    } else {
+      tokens.push({ type: "term", negate, field, value: word, phrase: false });
+    }
+  }
+  return tokens;
+}
+
+export function parseQuery(query) {
+  const tokens = lex(query || "");
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "OR") {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length) {
+      const token = peek();
+      if (token.type === "OR" || (token.type === ")" && depth > 0)) break;
+      // Stray closing parens and explicit ANDs carry no meaning here
+      if (token.type === "AND" || token.type === ")") {
+        pos++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    if (children.length === 0) return { type: "all" };
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === "NOT") {
+      pos++;
+      return { type: "not", child: pos < tokens.length ? parseUnary() : { type: "all" } };
+    }
+    if (token.type === "(") {
+      pos++;
+      depth++;
+      const inner = parseOr();
+      depth--;
+      if (peek()?.type === ")") pos++;
+      return inner;
+    }
+    pos++;
+    const prefix = !token.phrase && token.value.endsWith("*");
+    const node = {
+      type: "term",
+      field: token.field,
+      value: prefix ? token.value.slice(0, -1) : token.value,
+      phrase: token.phrase,
+      prefix,
+    };
+    return token.negate ? { type: "not", child: node } : node;
+  }
+
+  return parseOr();
+}
+
+// -----------------------------------------------------------------------------
+// Index
+// -----------------------------------------------------------------------------
+
+function buildIndex({ books, highlights }) {
+  const docs = new Map();
+  const postings = {};
+  const lengths = {};
+  const totals = {};
+  for (const field of TEXT_FIELDS) {
+    postings[field] = new Map();
+    lengths[field] = new Map();
+    totals[field] = 0;
+  }
+  const tagIndex = new Map();
+  const exact = { color: new Map(), category: new Map() };
+
+  const addExact = (map, key, id) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  };
+
+  for (const h of Object.values(highlights)) {
+    const book = books[h.book_id] || {};
+    const tags = [...tagNames(h.tags), ...tagNames(book.tags)];
+    docs.set(h.id, { highlight: h, book });
+
+    const fieldText = {
+      text: h.text,
+      note: h.note,
+      tags: tags.join(" "),
+      title: book.title,
+      author: book.author,
+    };
+    for (const field of TEXT_FIELDS) {
+      const words = tokenize(fieldText[field]);
+      lengths[field].set(h.id, words.length);
+      totals[field] += words.length;
+      words.forEach((word, i) => {
+        let entry = postings[field].get(word);
+        if (!entry) postings[field].set(word, (entry = new Map()));
+        let positions = entry.get(h.id);
+        if (!positions) entry.set(h.id, (positions = []));
+        positions.push(i);
+      });
+    }
+
+    for (const tag of tags) addExact(tagIndex, normalizeValue(tag), h.id);
+    addExact(exact.color, normalizeValue(h.color), h.id);
+    addExact(exact.category, normalizeValue(book.category), h.id);
+  }
+
+  const avgLength = {};
+  for (const field of TEXT_FIELDS) {
+    avgLength[field] = docs.size ? totals[field] / docs.size : 0;
+  }
+
+  return { docs, postings, lengths, avgLength, tagIndex, exact };
+}
+
+function expandWord(index, field, word, prefix) {
+  if (!prefix) return index.postings[field].has(word) ? [word] : [];
+  const words = [];
+  for (const key of index.postings[field].keys()) {
+    if (key.startsWith(word)) words.push(key);
+  }
+  return words;
+}
+
+// docId -> term frequency for one field
+function matchField(index, field, words, phrase, prefix) {
+  const hits = new Map();
+  if (words.length === 0) return hits;
+
+  if (words.length === 1 || !phrase) {
+    // Every word must appear somewhere in the field
+    let candidate = null;
+    words.forEach((word, i) => {
+      const isLast = i === words.length - 1;
+      const found = new Map();
+      for (const w of expandWord(index, field, word, prefix && isLast)) {
+        for (const [id, positions] of index.postings[field].get(w)) {
+          found.set(id, (found.get(id) || 0) + positions.length);
+        }
+      }
+      if (!candidate) {
+        candidate = found;
+      } else {
+        for (const [id, tf] of candidate) {
+          if (found.has(id)) candidate.set(id, tf + found.get(id));
+          else candidate.delete(id);
+        }
+      }
+    });
+    return candidate;
+  }
+
+  // Phrase: consecutive positions
+  const first = index.postings[field].get(words[0]);
+  if (!first) return hits;
+  for (const [id, starts] of first) {
+    let count = 0;
+    for (const start of starts) {
+      const ok = words.every((word, offset) =>
+        offset === 0 || index.postings[field].get(word)?.get(id)?.includes(start + offset)
+      );
+      if (ok) count++;
+    }
+    if (count) hits.set(id, count);
+  }
+  return hits;
+}
+
+function matchExact(map, value, prefix) {
+  const ids = new Set();
+  const needle = normalizeValue(value);
+  for (const [key, set] of map) {
+    if (prefix ? key.startsWith(needle) : key === needle) {
+      for (const id of set) ids.add(id);
+    }
+  }
+  return ids;
+}
+
+function bm25(index, field, id, tf, df) {
+  const n = index.docs.size;
+  const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  const len = index.lengths[field].get(id) || 0;
+  const avg = index.avgLength[field] || 1;
+  return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * len / avg));
+}
+
+// Matching ids for one AST node; BM25 contributions accumulate in `scores`
+function evaluate(index, node, scores, negated = false) {
+  const universe = () => new Set(index.docs.keys());
+
+  switch (node.type) {
+    case "all":
+      return universe();
+    case "not": {
+      const excluded = evaluate(index, node.child, scores, !negated);
+      const ids = universe();
+      for (const id of excluded) ids.delete(id);
+      return ids;
+    }
+    case "and": {
+      let ids = null;
+      for (const child of node.children) {
+        const childIds = evaluate(index, child, scores, negated);
+        ids = ids ? new Set([...ids].filter(id => childIds.has(id))) : childIds;
+      }
+      return ids;
+    }
+    case "or": {
+      const ids = new Set();
+      for (const child of node.children) {
+        for (const id of evaluate(index, child, scores, negated)) ids.add(id);
+      }
+      return ids;
+    }
+    case "term": {
+      if (node.field === "tag") return matchExact(index.tagIndex, node.value, node.prefix);
+      if (node.field === "color" || node.field === "category") {
+        return matchExact(index.exact[node.field], node.value, node.prefix);
+      }
+
+      const words = tokenize(node.value);
+      // A term like "e-mail" tokenizes to two words and behaves as a phrase
+      const phrase = node.phrase || words.length > 1;
+      const fields = node.field ? [node.field] : TEXT_FIELDS;
+      const ids = new Set();
+      for (const field of fields) {
+        const hits = matchField(index, field, words, phrase, node.prefix);
+        for (const [id, tf] of hits) {
+          ids.add(id);
+          if (!negated) {
+            const score = FIELD_WEIGHTS[field] * bm25(index, field, id, tf, hits.size) * (phrase ? 1.5 : 1);
+            scores.set(id, (scores.get(id) || 0) + score);
+          }
+        }
+      }
+      return ids;
+    }
+    default:
+      return new Set();
+  }
+}
+
+export function createSearchIndex(mirror) {
+  let index = null;
+  let builtVersion = -1;
+
+  function ensure() {
+    if (!index || builtVersion !== mirror.version()) {
+      index = buildIndex(mirror.snapshot());
+      builtVersion = mirror.version();
+    }
+    return index;
+  }
+
+  // filters: book_id, tag, color, highlighted_at__gt/__lt, updated__gt/__lt, where(highlight, book)
+  function search(query, { filters = {}, page = 1, page_size = 20, sort = "relevance" } = {}) {
+    const idx = ensure();
+    const scores = new Map();
+    const ids = evaluate(idx, parseQuery(query), scores);
+
+    // The highlight's and its book's tags, like the tag: field
+    const tagged = filters.tag ? matchExact(idx.tagIndex, filters.tag, false) : null;
+    let hits = [...ids]
+      .map(id => idx.docs.get(id))
+      .filter(({ highlight: h, book }) => {
+        if (filters.book_id !== undefined && h.book_id !== filters.book_id) return false;
+        if (filters.color && h.color !== filters.color) return false;
+        if (tagged && !tagged.has(h.id)) return false;
+        if (!inRange(h.highlighted_at, filters.highlighted_at__gt, filters.highlighted_at__lt)) return false;
+        if (!inRange(h.updated, filters.updated__gt, filters.updated__lt)) return false;
+        if (filters.where && !filters.where(h, book)) return false;
+        return true;
+      })
+      .map(({ highlight, book }) => ({
+        ...highlight,
+        book_title: book.title,
+        book_author: book.author,
+        score: Math.round((scores.get(highlight.id) || 0) * 1000) / 1000,
+      }));
+
+    if (sort === "newest" || sort === "oldest") {
+      const dir = sort === "newest" ? -1 : 1;
+      hits.sort((a, b) => dir * String(a.highlighted_at || "").localeCompare(String(b.highlighted_at || "")));
+    } else {
+      hits.sort((a, b) => b.score - a.score || String(b.highlighted_at || "").localeCompare(String(a.highlighted_at || "")));
+    }
+
+    const size = Math.min(Math.max(page_size, 1), 1000);
+    const start = (Math.max(page, 1) - 1) * size;
+    return {
+      count: hits.length,
+      page,
+      page_size: size,
+      next: start + size < hits.length ? page + 1 : null,
+      previous: page > 1 ? page - 1 : null,
+      results: hits.slice(start, start + size),
+    };
+  }
+
+  return { search };
+}
@@ -0,0 +1,38 @@
+import crypto from "crypto";
+
+// =============================================================================
+// SECRET ENCRYPTION
+// =============================================================================
+//
+// AES-256-GCM for secrets we must be able to read back (per-user Readwise
+// tokens). The key is derived from TOKEN_ENCRYPTION_KEY, so any sufficiently
+// long random string works. Output format: v1.<iv>.<tag>.<ciphertext>, base64url.
+
+const VERSION = "v1";
+
+export function createCipher(secret) {
+  if (!secret || secret.length < 32) {
+    throw new Error("TOKEN_ENCRYPTION_KEY must be at least 32 characters");
+  }
+  const key = crypto.createHash("sha256").update(secret).digest();
+
+  function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [VERSION, iv, tag, data].map(part => (Buffer.isBuffer(part) ? part.toString("base64url") : part)).join(".");
+  }
+
+  function decrypt(payload) {
+    const [version, iv, tag, data] = String(payload).split(".");
+    if (version !== VERSION || !iv || !tag || data === undefined) {
+      throw new Error("Unrecognized encrypted payload");
+    }
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+  }
+
+  return { encrypt, decrypt };
+}
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./store.js";
+
+// =============================================================================
+// SERIES REGISTRY
+// =============================================================================
+//
+// The documents of a create_continuation series, kept explicitly instead of
+// guessed from titles. Per Readwise account, DATA_DIR/<name>.json maps a
+// stable series ID to its title, status (open/closed) and ordered members; a
+// member's part number is its position. Each member remembers the document it
+// continued from (parent_id). A fork starts as a copy of its series up to the
+// fork point and records where it came from.
+//
+// Reader documents carry the same facts as tags, so a series stays visible
+// and searchable there:
+//   serie:<slug>           the series title, as create_continuation always tagged
+//   serie-id:<id>          membership, by stable ID
+//   serie-parent:<doc id>  the document this one continues
+// The registry is authoritative; the tags are rewritten from it.
+
+export const SERIES_TAG = "serie:";
+export const SERIES_ID_TAG = "serie-id:";
+export const SERIES_PARENT_TAG = "serie-parent:";
+
+export function seriesSlug(title) {
+  return title.toLowerCase().replace(/\s+/g, "-").substring(0, 30);
+}
+
+export function isSeriesTag(tag) {
+  return [SERIES_TAG, SERIES_ID_TAG, SERIES_PARENT_TAG].some(prefix => tag.startsWith(prefix));
+}
+
+// The tags a member document gets for its series
+export function seriesTags(series, member) {
+  const tags = [`${SERIES_TAG}${seriesSlug(series.title)}`, `${SERIES_ID_TAG}${series.id}`];
+  if (member?.parent_id) tags.push(`${SERIES_PARENT_TAG}${member.parent_id}`);
+  return tags;
+}
+
+// code "unknown": no series with that ID (any more)
+export class SeriesError extends Error {
+  constructor(code, details = {}) {
+    super(code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function createSeriesRegistry({ name = "series" } = {}) {
+  let registry = null;
+  const loaded = readJson(name, {}).then(saved => {
+    registry = saved;
+  });
+
+  function persist() {
+    return writeJson(name, registry);
+  }
+
+  // A copy with part numbers, so callers never change the registry by accident
+  function view(series) {
+    if (!series) return null;
+    return { ...series, members: series.members.map((member, i) => ({ part: i + 1, ...member })) };
+  }
+
+  function byId(id) {
+    return Object.hasOwn(registry, id) ? registry[id] : null;
+  }
+
+  function member({ document_id, title = null, parent_id = null, added_at }) {
+    return { document_id, title, parent_id, added_at: added_at || new Date().toISOString() };
+  }
+
+  async function get(id) {
+    await loaded;
+    return view(byId(id));
+  }
+
+  // By series ID (or serie-id: tag), a member's document ID, the title or
+  // the serie: tag
+  async function find(identifier) {
+    await loaded;
+    const value = String(identifier).trim();
+    const lower = value.toLowerCase();
+    const all = Object.values(registry);
+    return view(
+      byId(lower.startsWith(SERIES_ID_TAG) ? lower.slice(SERIES_ID_TAG.length) : lower)
+      ?? all.find(series => series.members.some(m => m.document_id === value))
+      ?? all.find(series => series.title.toLowerCase() === lower || `${SERIES_TAG}${seriesSlug(series.title)}` === lower)
+    );
+  }
+
+  // The series a document belongs to; if several, preferably one it ends,
+  // then the most recently changed
+  async function forDocument(documentId) {
+    await loaded;
+    const matches = Object.values(registry)
+      .filter(series => series.members.some(m => m.document_id === documentId))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    return view(matches.find(series => series.members.at(-1).document_id === documentId) ?? matches[0]);
+  }
+
+  // Most recently changed first
+  async function list({ status } = {}) {
+    await loaded;
+    return Object.values(registry)
+      .filter(series => !status || series.status === status)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+      .map(view);
+  }
+
+  async function create({ title, members, forkedFrom = null }) {
+    await loaded;
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString("hex");
+    } while (byId(id));
+    const now = new Date().toISOString();
+    registry[id] = { id, title, status: "open", created_at: now, updated_at: now, forked_from: forkedFrom, members: members.map(member) };
+    await persist();
+    return view(registry[id]);
+  }
+
+  async function change(id, apply) {
+    await loaded;
+    const series = byId(id);
+    if (!series) throw new SeriesError("unknown", { id });
+    apply(series);
+    series.updated_at = new Date().toISOString();
+    await persist();
+    return view(series);
+  }
+
+  // position: 0-based index (default: at the end)
+  function addMember(id, fields, position) {
+    return change(id, series => {
+      series.members.splice(position ?? series.members.length, 0, member(fields));
+    });
+  }
+
+  // documentIds: every member, in the new order (checked by the caller).
+  // Each member then continues the one before it.
+  function reorder(id, documentIds) {
+    return change(id, series => {
+      series.members = documentIds.map((documentId, i) => ({
+        ...series.members.find(m => m.document_id === documentId),
+        parent_id: i > 0 ? documentIds[i - 1] : null,
+      }));
+    });
+  }
+
+  function rename(id, title) {
+    return change(id, series => {
+      series.title = title;
+    });
+  }
+
+  function setStatus(id, status) {
+    return change(id, series => {
+      series.status = status;
+    });
+  }
+
+  // Members' document titles as last seen in Reader: Map of document ID -> title
+  function recordTitles(id, titles) {
+    return change(id, series => {
+      for (const m of series.members) {
+        if (titles.has(m.document_id)) m.title = titles.get(m.document_id);
+      }
+    });
+  }
+
+  // A new series with the members up to and including fromDocumentId
+  async function fork(id, fromDocumentId, title) {
+    await loaded;
+    const source = byId(id);
+    const end = source.members.findIndex(m => m.document_id === fromDocumentId);
+    return create({
+      title,
+      members: source.members.slice(0, end + 1),
+      forkedFrom: { series_id: id, document_id: fromDocumentId },
+    });
+  }
+
+  return { get, find, forDocument, list, create, addMember, reorder, rename, setStatus, recordTitles, fork };
+}
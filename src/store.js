@@ -0,0 +1,45 @@
+import fs from "fs/promises";
+import path from "path";
+
+// =============================================================================
+// LOCAL JSON STORE
+// =============================================================================
+//
+// Small file-backed persistence for server state. Each name maps to one JSON
+// file under DATA_DIR. Writes go to a temp file and are renamed into place so
+// a crash mid-write never leaves a truncated file behind.
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+const pendingWrites = new Map();
+
+function fileFor(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+export async function readJson(name, fallback) {
+  try {
+    const raw = await fs.readFile(fileFor(name), "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+export function writeJson(name, data) {
+  // Serialize writes per file so an older snapshot never lands last
+  const previous = pendingWrites.get(name) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const file = fileFor(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  });
+  pendingWrites.set(name, next);
+  next.finally(() => {
+    if (pendingWrites.get(name) === next) pendingWrites.delete(name);
+  }).catch(() => {});
+  return next;
+}
@@ -0,0 +1,105 @@
+import { tagList } from "./format.js";
+
+// =============================================================================
+// TAG HIERARCHY
+// =============================================================================
+//
+// A tag containing TAG_SEPARATOR is the child of what precedes it:
+// "serie:stoicism" is a child of "serie", as create_continuation has always
+// tagged its series. Filtering on a parent can include its children, and
+// renaming or deleting a parent can carry its children along.
+//
+// Tags are compared case-insensitively; a rename writes the new name as
+// given.
+
+export const TAG_SEPARATOR = process.env.TAG_SEPARATOR || ":";
+
+function same(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function isChildOf(tag, parent) {
+  return tag.length > parent.length + TAG_SEPARATOR.length
+    && same(tag.slice(0, parent.length + TAG_SEPARATOR.length), `${parent}${TAG_SEPARATOR}`);
+}
+
+// children: also match "tag:..." at any depth
+export function matchesTag(tag, wanted, { children = true } = {}) {
+  return same(tag, wanted) || (children && isChildOf(tag, wanted));
+}
+
+// "a:b:c" -> ["a", "a:b"]
+export function tagParents(tag) {
+  const parts = tag.split(TAG_SEPARATOR);
+  return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+// One item's tags after renaming (from -> to) and removing. Renamed children
+// keep their suffix under the new parent: ml:deep -> machine-learning:deep.
+// Returns null when nothing changes.
+export function retag(tags, { rename = [], remove = [], children = true } = {}) {
+  const next = [];
+  let changed = false;
+  for (const tag of tags) {
+    if (remove.some(r => matchesTag(tag, r, { children }))) {
+      changed = true;
+      continue;
+    }
+    const rule = rename.find(r => matchesTag(tag, r.from, { children }));
+    const name = rule ? `${rule.to}${tag.slice(rule.from.length)}` : tag;
+    if (name !== tag) changed = true;
+    if (next.some(t => same(t, name))) {
+      changed = true;
+    } else {
+      next.push(name);
+    }
+  }
+  return changed ? next : null;
+}
+
+// Tag counts over Reader documents and highlights, most used first
+export function tagUsage({ documents = [], highlights = [] }) {
+  const usage = new Map();
+  const count = (items, field) => {
+    for (const item of items) {
+      for (const tag of new Set(tagList(item.tags))) {
+        const id = tag.toLowerCase();
+        if (!usage.has(id)) usage.set(id, { tag, documents: 0, highlights: 0, total: 0 });
+        usage.get(id)[field]++;
+        usage.get(id).total++;
+      }
+    }
+  };
+  count(documents, "documents");
+  count(highlights, "highlights");
+  return [...usage.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+}
+
+// The same counts nested by parent: [{ tag, ..., total_with_children,
+// children: [...] }]. Parents nobody uses directly still appear, with zeros.
+export function tagTree(usage) {
+  const nodes = new Map();
+  const node = tag => {
+    const id = tag.toLowerCase();
+    if (!nodes.has(id)) nodes.set(id, { tag, documents: 0, highlights: 0, total: 0, total_with_children: 0, children: [] });
+    return nodes.get(id);
+  };
+  for (const entry of usage) {
+    Object.assign(node(entry.tag), entry);
+    for (const parent of tagParents(entry.tag)) node(parent).total_with_children += entry.total;
+    node(entry.tag).total_with_children += entry.total;
+  }
+  const roots = [];
+  for (const [id, item] of nodes) {
+    const parents = tagParents(item.tag);
+    const parent = parents.length ? nodes.get(parents.at(-1).toLowerCase()) : null;
+    if (parent && parent !== nodes.get(id)) parent.children.push(item);
+    else roots.push(item);
+  }
+  const sort = items => {
+    items.sort((a, b) => b.total_with_children - a.total_with_children || a.tag.localeCompare(b.tag));
+    items.forEach(item => sort(item.children));
+    return items;
+  };
+  return sort(roots);
+}
@@ -0,0 +1,179 @@
+import { readJson, writeJson } from "./store.js";
+import { THEMES, renderArticle, renderInline } from "./markdown.js";
+import { translator } from "./i18n.js";
+
+// =============================================================================
+// DOCUMENT TEMPLATES
+// =============================================================================
+//
+// A template decides what surrounds the Markdown a tool saves to Reader: the
+// lines under the title (meta), a body that wraps {{content}}, a footer, and
+// the theme. The built-ins below are always there; users add their own with
+// save_template, kept per Readwise account in DATA_DIR/<name>.json. A user
+// template may shadow a built-in of the same name.
+//
+// Placeholders: {{title}} {{author}} {{date}} {{summary}} {{series}} {{part}}
+// {{previous_title}} {{previous_url}} {{previous_link}} {{content}}, plus any
+// custom variable the caller passes under another name. Values go in as literal text, except
+// {{content}} (Markdown) and {{previous_link}} (a link to the previous
+// document). In meta and footer, a line whose placeholders are all empty is
+// left out.
+
+// Server-wide theme for templates that do not pick one; a typo stops the
+// server at startup rather than the first save
+const DEFAULT_THEME = process.env.TEMPLATE_THEME || "default";
+if (!Object.hasOwn(THEMES, DEFAULT_THEME)) {
+  throw new Error(`TEMPLATE_THEME "${DEFAULT_THEME}" is not a theme (${Object.keys(THEMES).join(", ")})`);
+}
+
+// Texts come from the message catalog (template.<name>.<field>), so the
+// built-ins follow the locale
+const BUILTIN_TEMPLATES = {
+  article: { fields: ["description", "meta"] },
+  meeting_notes: { fields: ["description", "meta", "footer"] },
+  book_summary: { fields: ["description", "meta"], theme: "serif" },
+  series_part: { fields: ["description", "meta", "footer"] },
+};
+
+function builtin(name, t) {
+  const { fields, ...rest } = BUILTIN_TEMPLATES[name];
+  return { ...Object.fromEntries(fields.map(field => [field, t(`template.${name}.${field}`)])), ...rest };
+}
+
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// Placeholders the tools fill themselves; custom variables may not use them
+const RESERVED_PLACEHOLDERS = [
+  "title", "author", "date", "summary", "series", "part",
+  "previous_title", "previous_url", "previous_link", "content",
+];
+const PLACEHOLDER = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+// Style values end up inside style="..."
+const UNSAFE_CSS = /["<>]/;
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+// Backslash-escape Markdown punctuation so values render as typed
+function escapeMarkdown(value) {
+  return String(value).replace(/[\\`*_{}[\]()#+\-.!<>|~&]/g, "\\$&");
+}
+
+function fill(text, values) {
+  return text.replace(PLACEHOLDER, (_, key) => values[key.toLowerCase()] ?? "");
+}
+
+// Meta/footer: one rendered line per template line, empty ones dropped
+function fillLines(text, values, theme) {
+  if (!text) return "";
+  return text.split("\n")
+    .filter(line => {
+      const keys = [...line.matchAll(PLACEHOLDER)].map(m => m[1].toLowerCase());
+      return keys.length === 0 || keys.some(key => values[key]);
+    })
+    .map(line => renderInline(fill(line, values), { theme }))
+    .join("<br>\n");
+}
+
+// Throws with a message meant for the tool caller, in its language
+function validate(name, template, t) {
+  if (!TEMPLATE_NAME.test(name)) {
+    throw new Error(t("error.templateName"));
+  }
+  if (template.body && !/\{\{\s*content\s*\}\}/i.test(template.body)) {
+    throw new Error(t("error.templateBody"));
+  }
+  if (template.theme && !THEMES[template.theme]) {
+    throw new Error(t("error.unknownTheme", { name: template.theme, available: THEME_NAMES.join(", ") }));
+  }
+  for (const [element, css] of Object.entries(template.styles || {})) {
+    if (!THEMES.default[element]) throw new Error(t("error.styleElement", { element, available: Object.keys(THEMES.default).join(", ") }));
+    if (UNSAFE_CSS.test(css)) throw new Error(t("error.styleUnsafe", { element }));
+  }
+}
+
+export function createTemplateStore({ name = "templates" } = {}) {
+  let templates = null;
+  const loaded = readJson(name, {}).then(saved => {
+    templates = saved;
+  });
+
+  function persist() {
+    return writeJson(name, templates);
+  }
+
+  async function get(templateName, { locale } = {}) {
+    await loaded;
+    const user = templates[templateName];
+    if (user) return { name: templateName, source: "user", ...user };
+    if (!BUILTIN_TEMPLATES[templateName]) return null;
+    return { name: templateName, source: "builtin", ...builtin(templateName, translator(locale)) };
+  }
+
+  async function list({ locale } = {}) {
+    await loaded;
+    const names = [...new Set([...Object.keys(BUILTIN_TEMPLATES), ...Object.keys(templates)])];
+    return Promise.all(names.map(templateName => get(templateName, { locale })));
+  }
+
+  async function save(templateName, { description, meta, body, footer, theme, styles }, { locale } = {}) {
+    await loaded;
+    const template = { description, meta, body, footer, theme, styles };
+    validate(templateName, template, translator(locale));
+    const replaced = Boolean(templates[templateName]);
+    templates[templateName] = {
+      ...Object.fromEntries(Object.entries(template).filter(([, value]) => value !== undefined)),
+      updated_at: new Date().toISOString(),
+    };
+    await persist();
+    return { ...(await get(templateName)), replaced, shadows_builtin: Boolean(BUILTIN_TEMPLATES[templateName]) };
+  }
+
+  async function remove(templateName) {
+    await loaded;
+    if (!templates[templateName]) return false;
+    delete templates[templateName];
+    await persist();
+    return true;
+  }
+
+  // The full HTML page. `theme` overrides the template's; `values` fills
+  // the built-in placeholders (title and content are passed separately) and
+  // `variables` the caller's custom ones; `locale` picks the built-in texts
+  // and the date format.
+  async function render(templateName, { title, content, theme: themeName, values = {}, variables = {}, locale }) {
+    const t = translator(locale);
+    const reserved = Object.keys(variables).filter(key => RESERVED_PLACEHOLDERS.includes(key.toLowerCase()));
+    if (reserved.length > 0) {
+      throw new Error(t("error.reservedVariable", { names: reserved.join(", ") }));
+    }
+    const template = await get(templateName, { locale });
+    if (!template) {
+      const available = (await list()).map(entry => entry.name).join(", ");
+      throw new Error(t("error.unknownTemplate", { name: templateName, available }));
+    }
+    const selected = themeName || template.theme || DEFAULT_THEME;
+    if (!THEMES[selected]) {
+      throw new Error(t("error.unknownTheme", { name: selected, available: THEME_NAMES.join(", ") }));
+    }
+    const theme = { ...THEMES[selected], ...template.styles };
+
+    const text = { ...variables, date: t.date(new Date()), title, ...values };
+    const filled = Object.fromEntries(Object.entries(text)
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .map(([key, value]) => [key.toLowerCase(), escapeMarkdown(value)]));
+    if (text.previous_title) {
+      filled.previous_link = text.previous_url
+        ? `[${escapeMarkdown(text.previous_title)}](<${String(text.previous_url).replace(/[<>\s]/g, encodeURIComponent)}>)`
+        : escapeMarkdown(text.previous_title);
+    }
+
+    return renderArticle({
+      title,
+      meta: fillLines(template.meta, filled, theme),
+      markdown: fill(template.body || "{{content}}", { ...filled, content: String(content ?? "") }),
+      footer: fillLines(template.footer, filled, theme),
+      theme,
+    });
+  }
+
+  return { get, list, save, remove, render };
+}
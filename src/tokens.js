@@ -0,0 +1,91 @@
+import { readJson, writeJson } from "./store.js";
+
+// =============================================================================
+// TOKEN STORE
+// =============================================================================
+//
+// Storage for OAuth authorization codes, access tokens and refresh tokens.
+// Records are keyed by a hash of the token (hashing is done by the caller),
+// so a leaked store file does not hand out working credentials.
+//
+// Every store implements the same async interface:
+//   get(kind, key), put(kind, key, record), remove(kind, key), entries(kind)
+// where kind is "code", "access" or "refresh".
+
+export const TOKEN_KINDS = ["code", "access", "refresh"];
+
+function emptyRecords() {
+  return Object.fromEntries(TOKEN_KINDS.map(kind => [kind, new Map()]));
+}
+
+function checkKind(kind) {
+  if (!TOKEN_KINDS.includes(kind)) throw new Error(`Unknown token kind: ${kind}`);
+}
+
+// Lost on restart; handy for tests and throwaway deployments
+export function createMemoryTokenStore() {
+  const records = emptyRecords();
+  return {
+    async get(kind, key) {
+      checkKind(kind);
+      return records[kind].get(key) || null;
+    },
+    async put(kind, key, record) {
+      checkKind(kind);
+      records[kind].set(key, record);
+    },
+    async remove(kind, key) {
+      checkKind(kind);
+      records[kind].delete(key);
+    },
+    async entries(kind) {
+      checkKind(kind);
+      return [...records[kind]];
+    },
+  };
+}
+
+// Default: kept in memory, written through to DATA_DIR/<name>.json
+export function createFileTokenStore({ name = "tokens" } = {}) {
+  const records = emptyRecords();
+  const loaded = readJson(name, {}).then(saved => {
+    for (const kind of TOKEN_KINDS) {
+      for (const [key, record] of Object.entries(saved[kind] || {})) records[kind].set(key, record);
+    }
+  });
+
+  function persist() {
+    const data = Object.fromEntries(TOKEN_KINDS.map(kind => [kind, Object.fromEntries(records[kind])]));
+    return writeJson(name, data);
+  }
+
+  return {
+    async get(kind, key) {
+      checkKind(kind);
+      await loaded;
+      return records[kind].get(key) || null;
+    },
+    async put(kind, key, record) {
+      checkKind(kind);
+      await loaded;
+      records[kind].set(key, record);
+      await persist();
+    },
+    async remove(kind, key) {
+      checkKind(kind);
+      await loaded;
+      if (records[kind].delete(key)) await persist();
+    },
+    async entries(kind) {
+      checkKind(kind);
+      await loaded;
+      return [...records[kind]];
+    },
+  };
+}
+
+export function createTokenStore(type = "file") {
+  if (type === "memory") return createMemoryTokenStore();
+  if (type === "file") return createFileTokenStore();
+  throw new Error(`Unknown TOKEN_STORE "${type}" (expected "file" or "memory")`);
+}
@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import { fetchAllV2 } from "./readwise.js";
+import { readJson, writeJson } from "./store.js";
+import { tagList } from "./format.js";
+import { translator } from "./i18n.js";
+
+// =============================================================================
+// MARKDOWN VAULT EXPORT
+// =============================================================================
+//
+// Turns the Readwise export (/export/) into Markdown notes for Obsidian or
+// Logseq: one file per book at <folder>/<Category>/<Title>.md, with YAML
+// frontmatter (author, category, source URL, tags, Readwise IDs) and one
+// block per highlight carrying its note, tags and a link to its location.
+// Block IDs come from the highlight ID, so links into a note survive
+// re-exports:
+//   obsidian  "^rw-<id>" at the end of the block
+//   logseq    an "id::" property holding a UUID derived from the highlight ID
+//
+// Per account, flavor and folder, the exporter remembers when it last ran
+// and where each book's note went (DATA_DIR/<name>.json). The next run only
+// renders the books with highlights updated since then; notes that moved
+// (renamed book) or lost all their highlights are reported so the caller can
+// delete the old files.
+
+export const VAULT_FLAVORS = ["obsidian", "logseq"];
+
+const CATEGORY_FOLDERS = {
+  books: "Books",
+  articles: "Articles",
+  tweets: "Tweets",
+  podcasts: "Podcasts",
+  supplementals: "Supplementals",
+};
+// Book IDs per /export/?ids= request, to keep URLs short
+const IDS_PER_REQUEST = 100;
+
+// ---------------------------------------------------------------------------
+// Notes
+// ---------------------------------------------------------------------------
+
+// Characters Obsidian and Logseq reject in note names (or that break links)
+function fileName(value) {
+  const name = String(value ?? "")
+    .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, 120)
+    .trim();
+  return name || "Untitled";
+}
+
+// "Readwise/../x" -> "Readwise/x": the folder never leaves the vault
+function folderPath(folder) {
+  return String(folder).split("/").filter(s => s.trim() && s.trim() !== "." && s.trim() !== "..").map(fileName).join("/");
+}
+
+function bookPath(book, folder) {
+  const category = CATEGORY_FOLDERS[book.category] || fileName(book.category || "other");
+  return [folder, category, `${fileName(book.readable_title || book.title)}.md`].filter(Boolean).join("/");
+}
+
+// Two books with the same title: the later one gets its ID in the name.
+// A book keeps the path it had as long as its title does not change.
+function placeBook(book, folder, taken, previous) {
+  const id = String(book.user_book_id);
+  const path = bookPath(book, folder);
+  const withId = path.replace(/\.md$/, ` (${id}).md`);
+  if (previous === path || previous === withId) return previous;
+  return taken.has(path) && taken.get(path) !== id ? withId : path;
+}
+
+// Obsidian tags cannot contain spaces
+function tagName(tag) {
+  return tag.trim().replace(/\s+/g, "-");
+}
+
+function yamlValue(value) {
+  // JSON strings are valid double-quoted YAML scalars
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "" && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => (Array.isArray(value)
+      ? `${key}:\n${value.map(item => `  - ${yamlValue(item)}`).join("\n")}`
+      : `${key}: ${yamlValue(value)}`));
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+// Name-based UUID (version 5 layout) so Logseq sees the same block ID on
+// every export
+function blockUuid(highlightId) {
+  const hex = crypto.createHash("sha1").update(`readwise-highlight:${highlightId}`).digest("hex");
+  const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function timestamp(seconds) {
+  const s = Math.floor(seconds % 60).toString().padStart(2, "0");
+  const m = Math.floor(seconds / 60) % 60;
+  const h = Math.floor(seconds / 3600);
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Kindle/Reader deep link when Readwise has one, the Readwise page otherwise
+function locationLink(h, t) {
+  const url = h.url || h.readwise_url || `https://readwise.io/open/${h.id}`;
+  let label = t("vault.open");
+  if (typeof h.location === "number") {
+    if (h.location_type === "page") label = t("vault.page", { n: h.location });
+    else if (h.location_type === "location") label = t("vault.location", { n: h.location });
+    else if (h.location_type === "time_offset") label = timestamp(h.location);
+  }
+  return `[${label}](<${url.replace(/[<>\s]/g, encodeURIComponent)}>)`;
+}
+
+function inlineTag(tag, flavor) {
+  return flavor === "logseq" ? `#[[${tag}]]` : `#${tagName(tag)}`;
+}
+
+// One top-level list item; text lines after the first are indented to stay
+// in the block, children (note, tags) are nested one level down
+function highlightBlock(h, flavor, t) {
+  const lines = String(h.text ?? "").trim().split(/\r?\n/).map(line => line.trimEnd());
+  lines[lines.length - 1] += ` (${locationLink(h, t)})`;
+  if (flavor === "obsidian") lines[lines.length - 1] += ` ^rw-${h.id}`;
+  let block = `- ${lines.join("\n  ")}\n`;
+  if (flavor === "logseq") block += `  id:: ${blockUuid(h.id)}\n`;
+
+  if (h.note) block += `\t- **${t("label.note")}:** ${h.note.trim().replace(/\r?\n/g, "\n\t  ")}\n`;
+  const tags = tagList(h.tags);
+  if (tags.length > 0) block += `\t- **${t("label.tags")}:** ${tags.map(tag => inlineTag(tag, flavor)).join(" ")}\n`;
+  return block;
+}
+
+function latestUpdate(highlights) {
+  return highlights.map(h => h.updated_at || h.highlighted_at).filter(Boolean).sort().pop() ?? null;
+}
+
+export function renderBookNote(book, { flavor = "obsidian", t = translator() } = {}) {
+  const highlights = [...(book.highlights || [])]
+    .sort((a, b) => (a.location ?? 0) - (b.location ?? 0) || a.id - b.id);
+  const title = book.readable_title || book.title;
+
+  let output = frontmatter({
+    title,
+    author: book.author,
+    category: book.category,
+    source: book.source,
+    source_url: book.source_url,
+    tags: tagList(book.book_tags).map(tagName),
+    readwise_id: book.user_book_id,
+    readwise_url: book.readwise_url,
+    asin: book.asin,
+    highlights: highlights.length,
+    updated: latestUpdate(highlights),
+  });
+  output += `\n# ${title}\n\n`;
+  if (book.summary) output += `## ${t("label.summary")}\n\n${book.summary.trim()}\n\n`;
+  if (book.document_note) output += `## ${t("format.documentNotes")}\n\n${book.document_note.trim()}\n\n`;
+  output += `## ${t("label.highlights")}\n\n`;
+  output += highlights.map(h => highlightBlock(h, flavor, t)).join("");
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// Incremental export
+// ---------------------------------------------------------------------------
+
+export function createVaultExporter({ name = "vault", api = { fetchAllV2 } } = {}) {
+  let state = null;
+  const loaded = readJson(name, {}).then(saved => {
+    state = saved;
+  });
+  // Runs per flavor and folder, chained so each starts from the state the
+  // previous one saved
+  const pending = new Map();
+
+  function queue(key, task) {
+    const next = (pending.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    pending.set(key, next);
+    next.catch(() => {}).finally(() => {
+      if (pending.get(key) === next) pending.delete(key);
+    });
+    return next;
+  }
+
+  async function exportPages(params, signal) {
+    const { results } = await api.fetchAllV2("/export/", { params, maxItems: Infinity, signal });
+    return results;
+  }
+
+  async function exportBooks(ids, signal) {
+    const books = [];
+    for (let i = 0; i < ids.length; i += IDS_PER_REQUEST) {
+      books.push(...await exportPages({ ids: ids.slice(i, i + IDS_PER_REQUEST).join(",") }, signal));
+    }
+    return books;
+  }
+
+  // deliver({ flavor, folder, since, files: [{ path, content, book_id }], moved, removed })
+  // builds the reply, which run() returns. The run is only recorded once that
+  // succeeded, so a failed delivery is exported again next time.
+  // since: the previous run the export is relative to (null: everything).
+  // bookIds re-exports just those books and leaves the incremental point alone.
+  async function run({ flavor = "obsidian", folder = "Readwise", bookIds, full = false, locale, signal, deliver = result => result } = {}) {
+    await loaded;
+    const root = folderPath(folder);
+    const key = `${flavor}:${root}`;
+    return queue(key, () => exportRun({ flavor, root, key, bookIds, full, locale, signal, deliver }));
+  }
+
+  async function exportRun({ flavor, root, key, bookIds, full, locale, signal, deliver }) {
+    const t = translator(locale);
+    const target = structuredClone(state[key] || { last_export_at: null, books: {} });
+    const since = full || bookIds ? null : target.last_export_at;
+    const startedAt = new Date().toISOString();
+
+    let books;
+    if (bookIds) {
+      books = await exportBooks(bookIds, signal);
+    } else if (since) {
+      // updatedAfter only returns the changed highlights: load those books whole
+      const changed = await exportPages({ updatedAfter: since }, signal);
+      books = await exportBooks([...new Set(changed.map(b => b.user_book_id))], signal);
+    } else {
+      books = await exportPages({}, signal);
+    }
+
+    const taken = new Map(Object.entries(target.books).map(([id, entry]) => [entry.path, id]));
+    const files = [];
+    const moved = [];
+    const removed = [];
+    const seen = new Set();
+
+    for (const book of books) {
+      const id = String(book.user_book_id);
+      const previous = target.books[id]?.path;
+      const highlights = (book.highlights || []).filter(h => !h.is_deleted);
+      seen.add(id);
+      if (highlights.length === 0) {
+        if (previous) {
+          removed.push(previous);
+          taken.delete(previous);
+          delete target.books[id];
+        }
+        continue;
+      }
+      const path = placeBook(book, root, taken, previous);
+      if (previous && previous !== path) {
+        moved.push({ from: previous, to: path });
+        taken.delete(previous);
+      }
+      taken.set(path, id);
+      target.books[id] = { path, updated_at: latestUpdate(highlights) };
+      files.push({ path, book_id: book.user_book_id, content: renderBookNote({ ...book, highlights }, { flavor, t }) });
+    }
+
+    // A full export sees every book: anything else was deleted in Readwise
+    if (!since && !bookIds) {
+      for (const [id, entry] of Object.entries(target.books)) {
+        if (seen.has(id)) continue;
+        removed.push(entry.path);
+        delete target.books[id];
+      }
+    }
+
+    const reply = await deliver({ flavor, folder: root, since, files, moved, removed });
+    if (!bookIds) target.last_export_at = startedAt;
+    state[key] = target;
+    await writeJson(name, state);
+    return reply;
+  }
+
+  return { run };
+}